@@ -0,0 +1,320 @@
+/**
+ * Achievements 学习目标与成就模块
+ * 记录孩子解锁的成就徽章，并在徽章墙上展示
+ */
+
+// 成就存储键名
+const ACHIEVEMENTS_KEY = 'childStudyReminderAchievements';
+
+// 成就提示显示时长（毫秒）
+const ACHIEVEMENT_TOAST_MS = 4000;
+
+// 成就列表，check 的参数见 AchievementTracker.evaluate
+const ACHIEVEMENTS = [
+    {
+        id: 'firstPomodoro',
+        icon: '🍅',
+        name: '第一个番茄',
+        description: '完整学完一段并开始休息',
+        check: ctx => ctx.cycles >= 1
+    },
+    {
+        id: 'fullRound',
+        icon: '🏆',
+        name: '完成一轮',
+        description: '一次学习中完成4个番茄',
+        check: ctx => ctx.cycles >= 4
+    },
+    {
+        id: 'focusedSession',
+        icon: '🎯',
+        name: '专心致志',
+        description: '开着智能模式学习20分钟以上，一次都没走神',
+        check: ctx => !!ctx.session && ctx.autoMode &&
+            ctx.session.focusedSeconds >= 20 * 60 && ctx.session.distractions.length === 0
+    },
+    {
+        id: 'breakChampion',
+        icon: '🤸',
+        name: '休息小达人',
+        description: '累计做完10次休息活动',
+        check: ctx => ctx.totals.breaks >= 10
+    },
+    {
+        id: 'dailyGoal',
+        icon: '✅',
+        name: '今日目标',
+        description: '完成一次每日学习目标',
+        check: ctx => ctx.progress.today >= ctx.goals.daily
+    },
+    {
+        id: 'weeklyGoal',
+        icon: '📅',
+        name: '本周目标',
+        description: '完成一次每周学习目标',
+        check: ctx => ctx.progress.week >= ctx.goals.weekly
+    },
+    {
+        id: 'streak3',
+        icon: '🔥',
+        name: '连续3天',
+        description: '连续3天都有学习',
+        check: ctx => ctx.streak >= 3
+    },
+    {
+        id: 'streak5',
+        icon: '⭐',
+        name: '连续5天',
+        description: '连续5天都有学习',
+        check: ctx => ctx.streak >= 5
+    },
+    {
+        id: 'streak7',
+        icon: '👑',
+        name: '坚持一周',
+        description: '连续7天都有学习',
+        check: ctx => ctx.streak >= 7
+    },
+    {
+        id: 'tenHours',
+        icon: '📚',
+        name: '学习10小时',
+        description: '累计专注学习10小时',
+        check: ctx => ctx.totals.seconds >= 10 * 3600
+    }
+];
+
+/**
+ * AchievementTracker 类 - 成就记录
+ */
+class AchievementTracker {
+    /**
+     * @param {string} storageKey - localStorage 键名
+     */
+    constructor(storageKey = ACHIEVEMENTS_KEY) {
+        this.storageKey = storageKey;
+        // 已解锁的成就：成就ID -> 解锁时间戳
+        this.unlocked = {};
+    }
+
+    /**
+     * 从 localStorage 读取已解锁的成就
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const data = JSON.parse(saved);
+                this.unlocked = data.unlocked || {};
+            }
+        } catch (e) {
+            console.warn('无法读取成就:', e.message);
+            this.unlocked = {};
+        }
+    }
+
+    /**
+     * 保存已解锁的成就到 localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                unlocked: this.unlocked
+            }));
+        } catch (e) {
+            console.warn('无法保存成就:', e.message);
+        }
+    }
+
+    /**
+     * 检查并解锁新成就
+     * @param {Object} ctx - 当前学习情况
+     * @param {number} ctx.cycles - 本次学习完成的番茄数
+     * @param {{today: number, week: number}} ctx.progress - 今天/本周学习秒数（含进行中的会话）
+     * @param {{daily: number, weekly: number}} ctx.goals - 每日/每周目标秒数
+     * @param {number} ctx.streak - 连续学习天数
+     * @param {{seconds: number, breaks: number}} ctx.totals - 累计学习秒数和完成的休息次数
+     * @param {Object|null} ctx.session - 刚结束的会话，没有时为 null
+     * @param {boolean} ctx.autoMode - 是否开着智能模式
+     * @returns {Array<Object>} 本次新解锁的成就
+     */
+    evaluate(ctx) {
+        const unlocked = ACHIEVEMENTS.filter(a => !this.isUnlocked(a.id) && a.check(ctx));
+        if (unlocked.length === 0) return [];
+
+        const now = Date.now();
+        unlocked.forEach(a => {
+            this.unlocked[a.id] = now;
+        });
+        this.save();
+
+        return unlocked;
+    }
+
+    /**
+     * 成就是否已解锁
+     * @param {string} id - 成就ID
+     * @returns {boolean}
+     */
+    isUnlocked(id) {
+        return !!this.unlocked[id];
+    }
+
+    /**
+     * 获取全部成就及解锁状态
+     * @returns {Array<Object>} 成就 { id, icon, name, description, unlockedAt }，未解锁时 unlockedAt 为 null
+     */
+    getAll() {
+        return ACHIEVEMENTS.map(a => ({
+            id: a.id,
+            icon: a.icon,
+            name: a.name,
+            description: a.description,
+            unlockedAt: this.unlocked[a.id] || null
+        }));
+    }
+}
+
+/**
+ * BadgeShelf 类 - 徽章墙和解锁提示
+ */
+class BadgeShelf {
+    constructor() {
+        // DOM元素引用
+        this.panel = null;
+        this.countElement = null;
+        this.grid = null;
+        this.toast = null;
+        this.toastIcon = null;
+        this.toastName = null;
+        // 等待显示的解锁提示
+        this.toastQueue = [];
+        this.toastTimerId = null;
+    }
+
+    /**
+     * 初始化徽章墙
+     * 绑定DOM元素
+     */
+    init() {
+        this.panel = document.getElementById('badgePanel');
+        this.countElement = document.getElementById('badgeCount');
+        this.grid = document.getElementById('badgeGrid');
+        this.toast = document.getElementById('achievementToast');
+        this.toastIcon = document.getElementById('achievementToastIcon');
+        this.toastName = document.getElementById('achievementToastName');
+    }
+
+    /**
+     * 切换面板显示
+     * @param {AchievementTracker} tracker - 成就记录
+     */
+    toggle(tracker) {
+        if (!this.panel) return;
+
+        this.panel.classList.toggle('hidden');
+        if (!this.panel.classList.contains('hidden')) {
+            this.render(tracker);
+        }
+    }
+
+    /**
+     * 面板是否正在显示
+     * @returns {boolean}
+     */
+    isVisible() {
+        return this.panel && !this.panel.classList.contains('hidden');
+    }
+
+    /**
+     * 渲染徽章墙
+     * @param {AchievementTracker} tracker - 成就记录
+     */
+    render(tracker) {
+        if (!this.grid) return;
+
+        const all = tracker.getAll();
+        const count = all.filter(a => a.unlockedAt).length;
+        this.countElement.textContent = `已获得 ${count} / ${all.length}`;
+        this.grid.innerHTML = '';
+
+        all.forEach(a => {
+            const badge = document.createElement('div');
+            badge.className = 'badge' + (a.unlockedAt ? ' unlocked' : '');
+
+            const icon = document.createElement('span');
+            icon.className = 'badge-icon';
+            icon.textContent = a.unlockedAt ? a.icon : '🔒';
+
+            const name = document.createElement('span');
+            name.className = 'badge-name';
+            name.textContent = a.name;
+
+            const detail = document.createElement('span');
+            detail.className = 'badge-detail';
+            if (a.unlockedAt) {
+                const date = new Date(a.unlockedAt);
+                detail.textContent = `${date.getMonth() + 1}/${date.getDate()} 获得`;
+            } else {
+                detail.textContent = a.description;
+            }
+
+            badge.title = a.description;
+            badge.appendChild(icon);
+            badge.appendChild(name);
+            badge.appendChild(detail);
+            this.grid.appendChild(badge);
+        });
+    }
+
+    /**
+     * 显示新解锁的成就（多个时依次显示）
+     * @param {Array<Object>} achievements - 新解锁的成就
+     */
+    celebrate(achievements) {
+        this.toastQueue.push(...achievements);
+        if (!this.toastTimerId) {
+            this.showNextToast();
+        }
+    }
+
+    /**
+     * 显示队列中的下一个解锁提示
+     */
+    showNextToast() {
+        const next = this.toastQueue.shift();
+        if (!next || !this.toast) {
+            this.toastTimerId = null;
+            if (this.toast) {
+                this.toast.classList.add('hidden');
+            }
+            return;
+        }
+
+        this.toastIcon.textContent = next.icon;
+        this.toastName.textContent = next.name;
+        this.toast.classList.remove('hidden');
+        this.toastTimerId = setTimeout(() => {
+            this.showNextToast();
+        }, ACHIEVEMENT_TOAST_MS);
+    }
+
+    /**
+     * 立即关闭解锁提示（切换孩子时）
+     */
+    clearToasts() {
+        this.toastQueue = [];
+        if (this.toastTimerId) {
+            clearTimeout(this.toastTimerId);
+            this.toastTimerId = null;
+        }
+        if (this.toast) {
+            this.toast.classList.add('hidden');
+        }
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AchievementTracker, BadgeShelf, ACHIEVEMENTS, ACHIEVEMENTS_KEY };
+}
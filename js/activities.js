@@ -0,0 +1,265 @@
+/**
+ * Activities 休息活动模块
+ * 休息时按步骤引导孩子做护眼操、拉伸等小活动
+ */
+
+// 休息活动，按提醒类型对应（见 MessageType）
+// 每一步：icon 图标、text 说明、seconds 时长、animation 图标动画；
+// confirm 为 true 的步骤不计时，等孩子点按钮确认后继续
+// 每个活动总时长控制在1分钟以内，最短的休息也能做完
+const BREAK_ACTIVITIES = {
+    eyeRest: {
+        name: '20-20-20 护眼操',
+        steps: [
+            { icon: '👀', text: '看向窗外最远的地方', seconds: 20, animation: 'look' },
+            { icon: '😌', text: '闭上眼睛，放松一下', seconds: 10, animation: 'breathe' },
+            { icon: '🔄', text: '眼球慢慢转圈：上、右、下、左', seconds: 10, animation: 'spin' },
+            { icon: '✨', text: '快速眨眼10次', seconds: 8, animation: 'blink' }
+        ]
+    },
+    water: {
+        name: '喝水小任务',
+        steps: [
+            { icon: '🚶', text: '起身去拿水杯', seconds: 10, animation: 'bounce' },
+            { icon: '💧', text: '喝几口水', confirm: true, confirmText: '我喝好了', animation: 'bounce' },
+            { icon: '😊', text: '深呼吸，准备继续', seconds: 8, animation: 'breathe' }
+        ]
+    },
+    stretch: {
+        name: '颈肩拉伸',
+        steps: [
+            { icon: '🙆', text: '头慢慢歪向左边，保持住', seconds: 8, animation: 'tiltLeft' },
+            { icon: '🙆', text: '头慢慢歪向右边，保持住', seconds: 8, animation: 'tiltRight' },
+            { icon: '🔄', text: '肩膀向后转5圈', seconds: 10, animation: 'spin' },
+            { icon: '🙌', text: '双手举高，伸个大懒腰', seconds: 10, animation: 'stretch' },
+            { icon: '🧘', text: '慢慢深呼吸3次', seconds: 12, animation: 'breathe' }
+        ]
+    },
+    posture: {
+        name: '坐姿调整',
+        steps: [
+            { icon: '🧍', text: '站起来抖抖手、抖抖脚', seconds: 10, animation: 'bounce' },
+            { icon: '🪑', text: '坐回椅子，后背贴住椅背', seconds: 8, animation: 'breathe' },
+            { icon: '🦶', text: '双脚平放在地上', seconds: 6, animation: 'bounce' },
+            { icon: '📏', text: '眼睛离屏幕一臂远', seconds: 6, animation: 'look' }
+        ]
+    }
+};
+
+// 进度刷新间隔（毫秒）
+const ACTIVITY_TICK_MS = 200;
+
+/**
+ * 按提醒类型选择休息活动，没有对应活动时做护眼操
+ * @param {string} type - 提醒类型
+ * @returns {Object} 活动 { name, steps }
+ */
+function getBreakActivity(type) {
+    return BREAK_ACTIVITIES[type] || BREAK_ACTIVITIES.eyeRest;
+}
+
+/**
+ * GuidedActivity 类 - 分步骤的休息活动
+ *
+ * 计时步骤按时间戳倒计时，可以暂停（页面切到后台时）；
+ * 确认步骤等待 confirmStep()。所有步骤走完才算完成。
+ */
+class GuidedActivity {
+    /**
+     * @param {Object} activity - 活动 { name, steps }
+     */
+    constructor(activity) {
+        this.activity = activity;
+        // 当前步骤序号
+        this.index = -1;
+        // 当前步骤结束时间戳；暂停时记录剩余毫秒
+        this.stepEndTime = null;
+        this.pausedRemainingMs = null;
+        // 刷新定时器ID
+        this.tickId = null;
+        this.completed = false;
+        // 回调函数
+        this.stepCallback = null;
+        this.progressCallback = null;
+        this.completeCallback = null;
+    }
+
+    /**
+     * 从第一步开始
+     */
+    start() {
+        this.stop();
+        this.completed = false;
+        this.index = 0;
+        this.enterStep();
+    }
+
+    /**
+     * 进入当前步骤
+     */
+    enterStep() {
+        const step = this.getStep();
+
+        if (this.stepCallback) {
+            this.stepCallback(step, this.index, this.activity.steps.length);
+        }
+
+        if (step.confirm) {
+            this.stepEndTime = null;
+            return;
+        }
+
+        this.stepEndTime = Date.now() + step.seconds * 1000;
+        this.startTicking();
+        this.tick();
+    }
+
+    /**
+     * 刷新进度，时间到了进入下一步
+     */
+    tick() {
+        if (this.stepEndTime === null) return;
+
+        const step = this.getStep();
+        const remainingMs = Math.max(0, this.stepEndTime - Date.now());
+
+        if (this.progressCallback) {
+            this.progressCallback(Math.ceil(remainingMs / 1000), 1 - remainingMs / (step.seconds * 1000));
+        }
+
+        if (remainingMs <= 0) {
+            this.nextStep();
+        }
+    }
+
+    /**
+     * 进入下一步，最后一步结束时完成活动
+     */
+    nextStep() {
+        this.stopTicking();
+        this.index++;
+
+        if (this.index >= this.activity.steps.length) {
+            this.complete();
+        } else {
+            this.enterStep();
+        }
+    }
+
+    /**
+     * 确认当前步骤（只对需要确认的步骤有效）
+     */
+    confirmStep() {
+        const step = this.getStep();
+        if (step && step.confirm) {
+            this.nextStep();
+        }
+    }
+
+    /**
+     * 完成活动
+     */
+    complete() {
+        this.stop();
+        this.completed = true;
+
+        if (this.completeCallback) {
+            this.completeCallback();
+        }
+    }
+
+    /**
+     * 暂停计时步骤
+     */
+    pause() {
+        if (this.stepEndTime === null || this.pausedRemainingMs !== null) return;
+
+        this.pausedRemainingMs = Math.max(0, this.stepEndTime - Date.now());
+        this.stopTicking();
+    }
+
+    /**
+     * 继续暂停的计时步骤
+     */
+    resume() {
+        if (this.pausedRemainingMs === null) return;
+
+        this.stepEndTime = Date.now() + this.pausedRemainingMs;
+        this.pausedRemainingMs = null;
+        this.startTicking();
+    }
+
+    /**
+     * 停止活动
+     */
+    stop() {
+        this.stopTicking();
+        this.stepEndTime = null;
+        this.pausedRemainingMs = null;
+    }
+
+    /**
+     * 开始刷新进度
+     */
+    startTicking() {
+        this.stopTicking();
+        this.tickId = setInterval(() => {
+            this.tick();
+        }, ACTIVITY_TICK_MS);
+    }
+
+    /**
+     * 停止刷新进度
+     */
+    stopTicking() {
+        if (this.tickId) {
+            clearInterval(this.tickId);
+            this.tickId = null;
+        }
+    }
+
+    /**
+     * 获取当前步骤
+     * @returns {Object|undefined}
+     */
+    getStep() {
+        return this.activity.steps[this.index];
+    }
+
+    /**
+     * 是否已完成
+     * @returns {boolean}
+     */
+    isComplete() {
+        return this.completed;
+    }
+
+    /**
+     * 注册步骤变化回调
+     * @param {Function} callback - 回调函数，参数为步骤、序号、总步数
+     */
+    onStep(callback) {
+        this.stepCallback = callback;
+    }
+
+    /**
+     * 注册进度回调
+     * @param {Function} callback - 回调函数，参数为剩余秒数、本步进度（0~1）
+     */
+    onProgress(callback) {
+        this.progressCallback = callback;
+    }
+
+    /**
+     * 注册完成回调
+     * @param {Function} callback - 回调函数
+     */
+    onComplete(callback) {
+        this.completeCallback = callback;
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GuidedActivity, BREAK_ACTIVITIES, getBreakActivity };
+}
@@ -10,8 +10,33 @@ const CONFIG_KEY = 'childStudyReminderConfig';
 const DEFAULT_CONFIG = {
     reminderInterval: 25,      // 提醒间隔（分钟）
     soundEnabled: true,        // 是否启用声音
+    soundThemes: { ...DEFAULT_SOUND_OPTIONS.themes },  // 各提醒类型的提示音主题
+    soundVolume: 60,           // 提示音音量（0-100）
+    soundRepeat: 1,            // 每次提醒播放几遍
+    soundEscalate: false,      // 重复时是否一遍比一遍响
+    voiceMode: 'off',          // 语音播报（见 VoiceMode）
+    voiceLang: 'zh-CN',        // 朗读语言
+    voiceName: '',             // 朗读声音，空为默认
+    voiceRate: 1,              // 语速
+    notificationsEnabled: false,  // 页面不在前台时发送系统通知
+    interventionSteps: DistractionLadder.copySteps(DEFAULT_INTERVENTION_STEPS),  // 走神干预阶梯
+    parentRepeatCount: 5,      // 多少次走神通知家长
+    parentRepeatWindow: 30,    // 统计走神次数的时间窗口（分钟）
     autoMode: false,           // 是否启用智能模式（摄像头）
-    distractionThreshold: 5    // 走神阈值（秒）
+    distractionThreshold: 5,   // 走神阈值（秒）
+    detectorBackend: 'auto',   // 检测方式（见 DetectionBackendType）
+    cameraDeviceId: '',        // 使用的摄像头设备ID，空为默认（前置摄像头）
+    calibration: null,         // 摄像头校准结果（见 DistractionDetector.calibrate）
+    postureEnabled: true,      // 智能模式下是否检测坐姿和离屏幕距离
+    postureTolerance: 25,      // 坐姿允许偏离校准基准的百分比
+    privacyMode: 'show',       // 预览画面显示方式（见 PrivacyMode）
+    cameraIdleMinutes: 10,     // 多少分钟没有检测到人自动关闭摄像头，0 为不自动关闭
+    cameraPauseOnBreak: false, // 休息时是否关闭摄像头
+    shortBreak: 5,             // 短休息（分钟）
+    longBreak: 15,             // 长休息（分钟）
+    longBreakEvery: 4,         // 每几段学习长休息一次
+    dailyGoal: 60,             // 每日学习目标（分钟）
+    weeklyGoal: 300            // 每周学习目标（分钟）
 };
 
 /**
@@ -19,10 +44,42 @@ const DEFAULT_CONFIG = {
  */
 class App {
     constructor() {
+        // 孩子资料（设置、学习记录、会话存档、提醒内容、成就、积分、课表、作业按孩子隔离）
+        this.profiles = new ProfileManager([
+            CONFIG_KEY, HISTORY_KEY, SESSION_KEY, MESSAGES_KEY, ACHIEVEMENTS_KEY, REWARDS_KEY, SCHEDULE_KEY, TASKS_KEY
+        ]);
+        this.profiles.load();
+
         // 创建模块实例
         this.timer = new Timer();
+        this.pomodoro = new PomodoroCycle();
         this.reminder = new Reminder();
         this.detector = new DistractionDetector();
+        this.distractionLadder = new DistractionLadder();
+        this.history = new StudyHistory(this.profiles.storageKey(HISTORY_KEY));
+        this.statsView = new StatsView();
+        this.achievements = new AchievementTracker(this.profiles.storageKey(ACHIEVEMENTS_KEY));
+        this.badgeShelf = new BadgeShelf();
+        this.rewards = new RewardLedger(this.profiles.storageKey(REWARDS_KEY));
+        this.rewardView = new RewardShopView();
+        this.schedule = new StudySchedule(this.profiles.storageKey(SCHEDULE_KEY));
+        this.scheduleView = new ScheduleView();
+        this.tasks = new TaskList(this.profiles.storageKey(TASKS_KEY));
+        this.taskView = new TaskView();
+        this.backup = new BackupManager(this.profiles, [
+            CONFIG_KEY, HISTORY_KEY, MESSAGES_KEY, ACHIEVEMENTS_KEY, REWARDS_KEY, SCHEDULE_KEY, TASKS_KEY
+        ], { [CONFIG_KEY]: DEFAULT_CONFIG });
+        this.backupView = new BackupView();
+        this.privacyView = new PrivacyView();
+        this.sessionStore = new SessionStore(this.profiles.storageKey(SESSION_KEY));
+        this.calibrationWizard = new CalibrationWizard();
+        this.profileView = new ProfileView();
+        this.parentLock = new ParentLock();
+        this.voiceRecorder = new VoiceRecorder();
+        this.messages = new MessageLibrary(this.profiles.storageKey(MESSAGES_KEY));
+        this.messageView = new MessageView();
+        this.notifier = new BackgroundNotifier();
+        this.installer = new AppInstaller();
         
         // 加载配置
         this.config = this.loadConfig();
@@ -37,13 +94,93 @@ class App {
         this.settingsPanel = null;
         this.intervalInput = null;
         this.soundEnabledCheckbox = null;
+        this.soundThemeSelects = {};
+        this.soundVolumeInput = null;
+        this.soundVolumeValue = null;
+        this.soundRepeatSelect = null;
+        this.soundEscalateCheckbox = null;
+        this.voiceModeSelect = null;
+        this.voiceLangSelect = null;
+        this.voiceNameSelect = null;
+        this.voiceRateInput = null;
+        this.voiceRateValue = null;
+        this.voicePreviewBtn = null;
+        this.notificationsCheckbox = null;
+        this.notificationStatus = null;
+        this.notificationPermissionBtn = null;
         this.saveSettingsBtn = null;
         // V2.0 新增
         this.autoModeSwitch = null;
         this.cameraSection = null;
         this.cameraPreview = null;
         this.cameraStatus = null;
+        this.motionGrid = null;
+        this.restlessnessBadge = null;
+        this.detectorLoad = null;
         this.distractionThresholdInput = null;
+        this.postureEnabledCheckbox = null;
+        this.postureToleranceInput = null;
+        this.detectorBackendSelect = null;
+        this.cameraDeviceSelect = null;
+        this.privacyModeSelect = null;
+        this.cameraIdleMinutesInput = null;
+        this.cameraPauseOnBreakCheckbox = null;
+        this.interventionInputs = {};
+        this.parentRepeatCountInput = null;
+        this.parentRepeatWindowInput = null;
+        this.recalibrateBtn = null;
+        // 学习记录
+        this.statsBtn = null;
+        // 学习目标和成就
+        this.goalRingProgress = null;
+        this.goalInfo = null;
+        this.badgesBtn = null;
+        this.dailyGoalInput = null;
+        this.weeklyGoalInput = null;
+        // 番茄钟
+        this.cycleInfo = null;
+        this.shortBreakInput = null;
+        this.longBreakInput = null;
+        this.longBreakEveryInput = null;
+        // 恢复上次会话
+        this.resumePrompt = null;
+        this.resumeMessage = null;
+        this.resumeBtn = null;
+        this.discardResumeBtn = null;
+        // 家长锁
+        this.lockIndicator = null;
+        this.parentLockStatus = null;
+        this.setPinBtn = null;
+        this.disablePinBtn = null;
+        // 提醒内容
+        this.editMessagesBtn = null;
+        // 安装和更新
+        this.installBtn = null;
+        this.updatePrompt = null;
+        this.updateBtn = null;
+        this.updateLaterBtn = null;
+        // 学习课表
+        this.scheduleBtn = null;
+        // 检查课表的定时器ID
+        this.scheduleTimerId = null;
+        // 已提醒过的场次（时段ID@日期），同一场次只提醒一次
+        this.promptedOccurrence = null;
+        // "稍后提醒"到期时间戳
+        this.scheduleSnoozeUntil = 0;
+        // 当前学习内容（科目或作业），没有选择时为 null
+        this.currentTask = null;
+        // 等待确认导入的备份
+        this.pendingImport = null;
+        // 等待确认是否继续的存档
+        this.pendingResume = null;
+        // 本次休息的引导活动是否已做完
+        this.breakActivityDone = false;
+        // 本段学习中的走神次数（计算专注奖励）
+        this.blockDistractions = 0;
+        // 没有检测到人时自动关闭摄像头的定时器ID
+        this.cameraIdleTimeoutId = null;
+        // 摄像头是否因休息暂停（休息结束后重新打开）
+        this.cameraPausedForBreak = false;
     }
 
     /**
@@ -60,19 +197,115 @@ class App {
         this.settingsPanel = document.getElementById('settingsPanel');
         this.intervalInput = document.getElementById('intervalInput');
         this.soundEnabledCheckbox = document.getElementById('soundEnabled');
+        document.querySelectorAll('.sound-theme-select').forEach(select => {
+            this.soundThemeSelects[select.dataset.event] = select;
+        });
+        this.soundVolumeInput = document.getElementById('soundVolume');
+        this.soundVolumeValue = document.getElementById('soundVolumeValue');
+        this.soundRepeatSelect = document.getElementById('soundRepeat');
+        this.soundEscalateCheckbox = document.getElementById('soundEscalate');
+        this.voiceModeSelect = document.getElementById('voiceMode');
+        this.voiceLangSelect = document.getElementById('voiceLang');
+        this.voiceNameSelect = document.getElementById('voiceName');
+        this.voiceRateInput = document.getElementById('voiceRate');
+        this.voiceRateValue = document.getElementById('voiceRateValue');
+        this.voicePreviewBtn = document.getElementById('voicePreviewBtn');
+        this.notificationsCheckbox = document.getElementById('notificationsEnabled');
+        this.notificationStatus = document.getElementById('notificationStatus');
+        this.notificationPermissionBtn = document.getElementById('notificationPermissionBtn');
         this.saveSettingsBtn = document.getElementById('saveSettingsBtn');
         // V2.0 新增
         this.autoModeSwitch = document.getElementById('autoModeSwitch');
         this.cameraSection = document.getElementById('cameraSection');
         this.cameraPreview = document.getElementById('cameraPreview');
         this.cameraStatus = document.getElementById('cameraStatus');
+        this.motionGrid = document.getElementById('motionGrid');
+        this.restlessnessBadge = document.getElementById('restlessnessBadge');
+        this.detectorLoad = document.getElementById('detectorLoad');
         this.distractionThresholdInput = document.getElementById('distractionThreshold');
+        this.postureEnabledCheckbox = document.getElementById('postureEnabled');
+        this.postureToleranceInput = document.getElementById('postureTolerance');
+        this.detectorBackendSelect = document.getElementById('detectorBackend');
+        this.cameraDeviceSelect = document.getElementById('cameraDevice');
+        this.privacyModeSelect = document.getElementById('privacyMode');
+        this.cameraIdleMinutesInput = document.getElementById('cameraIdleMinutes');
+        this.cameraPauseOnBreakCheckbox = document.getElementById('cameraPauseOnBreak');
+        document.querySelectorAll('.intervention-enabled').forEach(checkbox => {
+            this.interventionInputs[checkbox.dataset.level] = {
+                enabled: checkbox,
+                after: document.querySelector(`.intervention-after[data-level="${checkbox.dataset.level}"]`)
+            };
+        });
+        this.parentRepeatCountInput = document.getElementById('parentRepeatCount');
+        this.parentRepeatWindowInput = document.getElementById('parentRepeatWindow');
+        this.recalibrateBtn = document.getElementById('recalibrateBtn');
+        this.statsBtn = document.getElementById('statsBtn');
+        this.goalRingProgress = document.getElementById('goalRingProgress');
+        this.goalInfo = document.getElementById('goalInfo');
+        this.badgesBtn = document.getElementById('badgesBtn');
+        this.dailyGoalInput = document.getElementById('dailyGoalInput');
+        this.weeklyGoalInput = document.getElementById('weeklyGoalInput');
+        this.cycleInfo = document.getElementById('cycleInfo');
+        this.shortBreakInput = document.getElementById('shortBreakInput');
+        this.longBreakInput = document.getElementById('longBreakInput');
+        this.longBreakEveryInput = document.getElementById('longBreakEveryInput');
+        this.resumePrompt = document.getElementById('resumePrompt');
+        this.resumeMessage = document.getElementById('resumeMessage');
+        this.resumeBtn = document.getElementById('resumeBtn');
+        this.discardResumeBtn = document.getElementById('discardResumeBtn');
+        this.lockIndicator = document.getElementById('lockIndicator');
+        this.parentLockStatus = document.getElementById('parentLockStatus');
+        this.setPinBtn = document.getElementById('setPinBtn');
+        this.disablePinBtn = document.getElementById('disablePinBtn');
+        this.editMessagesBtn = document.getElementById('editMessagesBtn');
+        this.installBtn = document.getElementById('installBtn');
+        this.updatePrompt = document.getElementById('updatePrompt');
+        this.updateBtn = document.getElementById('updateBtn');
+        this.updateLaterBtn = document.getElementById('updateLaterBtn');
+        this.scheduleBtn = document.getElementById('scheduleBtn');
 
         // 初始化提醒模块
         this.reminder.init();
+        this.notifier.init();
+        this.updateNotificationStatus();
+        this.fillSoundThemeOptions();
+        this.fillVoiceLanguageOptions();
+        this.calibrationWizard.init();
+        this.profileView.init();
+        this.profileView.render(this.profiles.getAll(), this.profiles.activeId);
+        this.parentLock.init();
+        this.updateLockState();
+
+        // 读取提醒内容
+        this.messages.load();
+        this.messageView.init();
+        this.messageView.render(this.messages);
+
+        // 读取学习记录
+        this.history.load();
+        this.statsView.init();
+
+        // 读取成就和积分
+        this.achievements.load();
+        this.badgeShelf.init();
+        this.rewards.load();
+        this.rewardView.init();
+        this.rewardView.render(this.rewards);
+
+        // 读取课表
+        this.schedule.load();
+        this.scheduleView.init();
+
+        // 读取科目和作业清单
+        this.tasks.load();
+        this.taskView.init();
+        this.taskView.render(this.tasks, this.currentTask);
+        this.backupView.init();
+        this.privacyView.init();
 
         // 应用配置
         this.applyConfig();
+        this.refreshCameraList();
 
         // 绑定事件
         this.bindEvents();
@@ -83,6 +316,21 @@ class App {
         // 设置检测器回调
         this.setupDetectorCallbacks();
 
+        // 检查是否有未完成的会话
+        this.checkResume();
+
+        // 上次关闭页面时结束的会话也可能解锁成就
+        this.checkAchievements();
+
+        // 按课表提醒开始学习，记录错过的场次
+        this.checkSchedule();
+        this.scheduleTimerId = setInterval(() => {
+            this.checkSchedule();
+        }, SCHEDULE_CHECK_MS);
+
+        // 启用离线缓存
+        this.installer.register();
+
         console.log('儿童学习提醒助手已启动！');
     }
 
@@ -115,10 +363,309 @@ class App {
             this.saveSettings();
         });
 
-        // 提醒关闭回调
-        this.reminder.onDismiss(() => {
-            this.handleReminderDismiss();
+        // 孩子切换和管理
+        this.profileView.onSwitch((id) => {
+            this.switchProfile(id);
+        });
+        this.profileView.onAdd((name, avatar) => {
+            this.addProfile(name, avatar);
+        });
+        this.profileView.onRename((id, name, avatar) => {
+            this.renameProfile(id, name, avatar);
+        });
+        this.profileView.onDelete((id) => {
+            this.deleteProfile(id);
+        });
+
+        // 统计按钮
+        if (this.statsBtn) {
+            this.statsBtn.addEventListener('click', () => {
+                this.statsView.toggle(this.history);
+            });
+        }
+
+        // 成就按钮
+        if (this.badgesBtn) {
+            this.badgesBtn.addEventListener('click', () => {
+                this.badgeShelf.toggle(this.achievements);
+            });
+        }
+
+        // 积分与奖励
+        if (this.rewardView.button) {
+            this.rewardView.button.addEventListener('click', () => {
+                this.rewardView.toggle(this.rewards);
+            });
+        }
+        this.rewardView.onRequest((rewardId) => {
+            this.requestReward(rewardId);
+        });
+        this.rewardView.onApprove((requestId) => {
+            this.approveReward(requestId);
+        });
+        this.rewardView.onReject((requestId) => {
+            this.rejectReward(requestId);
+        });
+        this.rewardView.onAddReward((reward) => {
+            this.addReward(reward);
+        });
+        this.rewardView.onRemoveReward((rewardId) => {
+            this.removeReward(rewardId);
+        });
+        this.rewardView.onAdjust((amount, note) => {
+            this.adjustPoints(amount, note);
+        });
+
+        // 学习课表
+        if (this.scheduleBtn) {
+            this.scheduleBtn.addEventListener('click', () => {
+                this.scheduleView.toggle(this.schedule);
+            });
+        }
+        this.scheduleView.onAdd((slot) => {
+            this.addScheduleSlot(slot);
+        });
+        this.scheduleView.onRemove((slotId) => {
+            this.removeScheduleSlot(slotId);
+        });
+        this.scheduleView.onStart(() => {
+            // 按课表开始时，学习内容用课表上的科目
+            const active = this.schedule.getActive();
+            if (active) {
+                this.setCurrentTask(active.slot.subject);
+            }
+            this.scheduleView.hidePrompt();
+            this.handleStart();
+        });
+        this.scheduleView.onSnooze(() => {
+            this.scheduleView.hidePrompt();
+            this.scheduleSnoozeUntil = Date.now() + SCHEDULE_SNOOZE_MS;
+        });
+
+        // 重新打开自动关闭的摄像头
+        this.privacyView.onResume(() => {
+            this.resumeCamera();
+        });
+
+        // 插拔摄像头：更新摄像头列表，正在等待重连时立即重试
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => {
+                this.refreshCameraList();
+                this.detector.retryReconnect();
+            });
+        }
+
+        // 学习内容和作业清单
+        if (this.taskView.button) {
+            this.taskView.button.addEventListener('click', () => {
+                this.taskView.toggle();
+            });
+        }
+        this.taskView.onChange((task) => {
+            this.setCurrentTask(task);
+        });
+        this.taskView.onToggleItem((itemId) => {
+            this.tasks.toggleItem(itemId);
+            this.taskView.render(this.tasks, this.currentTask);
+        });
+        this.taskView.onAddItem((subject, title) => {
+            this.addTaskItem(subject, title);
+        });
+        this.taskView.onRemoveItem((itemId) => {
+            this.removeTaskItem(itemId);
+        });
+        this.taskView.onAddSubject((name) => {
+            this.addSubject(name);
+        });
+        this.taskView.onRemoveSubject((name) => {
+            this.removeSubject(name);
+        });
+
+        // 数据备份
+        this.backupView.onExport((format) => {
+            this.exportData(format);
+        });
+        this.backupView.onFile((text) => {
+            this.previewImport(text);
+        });
+        this.backupView.onModeChange((mode) => {
+            if (this.pendingImport) {
+                this.backupView.showPreview(this.backup.preview(this.pendingImport, mode));
+            }
+        });
+        this.backupView.onConfirm((mode) => {
+            this.confirmImport(mode);
+        });
+        this.backupView.onCancel(() => {
+            this.pendingImport = null;
+            this.backupView.hidePreview();
+        });
+
+        // 继续 / 放弃上次会话
+        if (this.resumeBtn) {
+            this.resumeBtn.addEventListener('click', () => {
+                this.resumeSavedSession();
+            });
+        }
+        if (this.discardResumeBtn) {
+            this.discardResumeBtn.addEventListener('click', () => {
+                this.discardSavedSession();
+            });
+        }
+
+        // 关闭页面时存档当前进度，下次打开可以继续
+        window.addEventListener('pagehide', () => {
+            this.checkpoint();
+        });
+
+        // 页面切到后台时存档；重新可见时立即补上后台错过的时间和提醒
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.checkpoint();
+                this.reminder.pauseActivity();
+                return;
+            }
+
+            this.reminder.resumeActivity();
+            this.timer.sync();
+            if (this.pomodoro.isOnBreak()) {
+                this.pomodoro.tick();
+            }
+        });
+
+        // 安装到桌面
+        this.installer.onInstallAvailable((available) => {
+            this.installBtn.classList.toggle('hidden', !available);
+        });
+        this.installBtn.addEventListener('click', () => {
+            this.installer.install();
+        });
+
+        // 有新版本：先存档再更新，刷新后可以继续
+        this.installer.onUpdateAvailable(() => {
+            this.updatePrompt.classList.remove('hidden');
+        });
+        this.updateBtn.addEventListener('click', () => {
+            this.checkpoint();
+            this.updatePrompt.classList.add('hidden');
+            this.installer.applyUpdate();
+        });
+        this.updateLaterBtn.addEventListener('click', () => {
+            this.updatePrompt.classList.add('hidden');
+        });
+
+        // 家长锁
+        this.parentLock.onStateChange(() => {
+            this.updateLockState();
+        });
+        if (this.lockIndicator) {
+            this.lockIndicator.addEventListener('click', () => {
+                this.handleLockIndicator();
+            });
+        }
+        if (this.setPinBtn) {
+            this.setPinBtn.addEventListener('click', () => {
+                this.parentLock.setupPin();
+            });
+        }
+        if (this.disablePinBtn) {
+            this.disablePinBtn.addEventListener('click', () => {
+                this.parentLock.disable();
+            });
+        }
+
+        // 提示音：试听、上传、音量显示
+        document.querySelectorAll('.sound-preview').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.reminder.sounds.play(btn.dataset.event, this.readSoundOptions());
+            });
+        });
+        document.querySelectorAll('.sound-file').forEach(input => {
+            input.addEventListener('change', () => {
+                if (input.files.length > 0) {
+                    this.handleSoundUpload(input.dataset.event, input.files[0]);
+                }
+                input.value = '';
+            });
+        });
+        if (this.soundVolumeInput) {
+            this.soundVolumeInput.addEventListener('input', () => {
+                this.soundVolumeValue.textContent = this.soundVolumeInput.value;
+            });
+        }
+
+        // 语音播报：语言、语速、试听、录音
+        if (this.voiceLangSelect) {
+            this.voiceLangSelect.addEventListener('change', () => {
+                this.fillVoiceOptions('');
+            });
+        }
+        if (VoiceAnnouncer.isSpeechSupported()) {
+            // 声音列表可能在页面加载后才准备好
+            speechSynthesis.addEventListener('voiceschanged', () => {
+                this.fillVoiceOptions(this.voiceNameSelect.value || this.config.voiceName);
+            });
+        }
+        if (this.voiceRateInput) {
+            this.voiceRateInput.addEventListener('input', () => {
+                this.voiceRateValue.textContent = parseFloat(this.voiceRateInput.value).toFixed(1);
+            });
+        }
+        if (this.voicePreviewBtn) {
+            this.voicePreviewBtn.addEventListener('click', () => {
+                const options = this.readVoiceOptions();
+                if (options.mode === VoiceMode.OFF) {
+                    options.mode = VoiceMode.SPEECH;
+                }
+                this.reminder.voice.announce(SoundEvent.BREAK, '该休息了！请喝水、看看远方，保护眼睛哦~', options);
+            });
+        }
+        document.querySelectorAll('.voice-record').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.handleVoiceRecord(btn);
+            });
+        });
+        document.querySelectorAll('.voice-play').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.reminder.voice.playClip(btn.dataset.event).catch(() => {
+                    alert('还没有录音');
+                });
+            });
+        });
+
+        // 系统通知：勾选时先请求浏览器权限
+        if (this.notificationPermissionBtn) {
+            this.notificationPermissionBtn.addEventListener('click', () => {
+                this.requestNotificationPermission();
+            });
+        }
+        if (this.notificationsCheckbox) {
+            this.notificationsCheckbox.addEventListener('change', async () => {
+                if (this.notificationsCheckbox.checked && !(await this.requestNotificationPermission())) {
+                    this.notificationsCheckbox.checked = false;
+                }
+            });
+        }
+
+        // 编辑提醒内容
+        if (this.editMessagesBtn) {
+            this.editMessagesBtn.addEventListener('click', () => {
+                this.messageView.togglePanel();
+            });
+        }
+        this.messageView.onSave((form) => {
+            this.saveMessages(form);
         });
+        this.messageView.onApplyPreset((preset) => {
+            this.applyMessagePreset(preset);
+        });
+
+        // 重新校准摄像头
+        if (this.recalibrateBtn) {
+            this.recalibrateBtn.addEventListener('click', () => {
+                this.handleRecalibrate();
+            });
+        }
 
         // V2.0: 智能模式切换
         if (this.autoModeSwitch) {
@@ -135,12 +682,42 @@ class App {
         // 每秒更新显示
         this.timer.onTick((seconds) => {
             this.updateDisplay(seconds);
+
+            // 每5秒存档一次进度
+            if (seconds > 0 && seconds % 5 === 0) {
+                this.checkpoint();
+            }
+
+            // 每分钟检查一次学习目标类成就，智能模式下记录一次躁动指数
+            if (seconds > 0 && seconds % 60 === 0) {
+                this.checkAchievements();
+                if (this.config.autoMode && this.detector.personPresent) {
+                    this.history.recordRestlessness(this.detector.getRestlessness());
+                }
+            }
         });
 
         // 到达提醒间隔
         this.timer.onIntervalReached(() => {
             this.handleIntervalReached();
         });
+
+        // 休息倒计时
+        this.pomodoro.onBreakTick((remaining) => {
+            this.updateDisplay(remaining);
+            this.reminder.updateCountdown(remaining);
+        });
+
+        // 休息结束
+        this.pomodoro.onBreakEnd(() => {
+            this.handleBreakEnd();
+        });
+
+        // 休息活动做完
+        this.reminder.onActivityComplete(() => {
+            this.breakActivityDone = true;
+            this.checkpoint();
+        });
     }
 
     /**
@@ -149,36 +726,85 @@ class App {
     setupDetectorCallbacks() {
         // 检测到人坐下
         this.detector.onPersonDetected(() => {
+            this.cancelCameraIdle();
             this.updateCameraStatus('检测到你了！开始学习吧~', 'detecting');
             this.updateTimerStatus('检测到你坐下了，自动开始计时', 'active');
             // 自动开始计时
             if (this.config.autoMode && this.timer.getState() !== TimerState.RUNNING) {
-                this.timer.start();
+                this.startStudy();
                 this.updateButtonStates();
             }
         });
 
-        // 人离开
+        // 人离开（离开时走神也随之结束），一直没回来时自动关闭摄像头
         this.detector.onPersonLeft(() => {
+            this.endDistraction();
+            this.scheduleCameraIdle();
             this.updateCameraStatus('没有检测到你，暂停计时', '');
             this.updateTimerStatus('你离开了，计时已暂停', 'warning');
             // 自动暂停
             if (this.config.autoMode) {
-                this.timer.pause();
+                this.pauseStudy();
                 this.updateButtonStates();
             }
         });
 
-        // 走神
+        // 走神（休息时不提醒）：按干预阶梯逐级提醒
         this.detector.onDistracted(() => {
-            this.updateCameraStatus('请专心学习哦！', 'warning');
-            this.reminder.showFocusReminder();
+            if (this.pomodoro.isOnBreak()) return;
+
+            this.updateCameraStatus(this.detector.isRestless() ? '坐稳一点，专心学习哦！' : '请专心学习哦！', 'warning');
+            this.history.recordDistractionStart();
+            this.blockDistractions++;
+            this.distractionLadder.begin();
         });
 
         // 恢复专注
         this.detector.onFocused(() => {
             this.updateCameraStatus('很棒！继续保持专注~', 'detecting');
-            this.reminder.dismiss();
+            this.endDistraction();
+        });
+
+        // 离屏幕太近 / 坐姿不正：单独的坐姿提示，不计入走神
+        this.detector.onTooClose(() => {
+            this.handlePostureIssue(PostureIssue.TOO_CLOSE);
+        });
+        this.detector.onBadPosture(() => {
+            this.handlePostureIssue(PostureIssue.BAD_POSTURE);
+        });
+        this.detector.onPostureGood(() => {
+            this.reminder.hidePosture();
+        });
+
+        // 各区域活动量和躁动指数
+        this.detector.onMotion((regions, restlessness) => {
+            this.updateMotionDisplay(regions, restlessness);
+        });
+
+        // 检测负载
+        this.detector.onPerformance((stats) => {
+            this.updateDetectorLoad(stats);
+        });
+
+        // 摄像头开启指示（授权后才能拿到摄像头名称，顺便更新列表）
+        this.detector.onCameraChange((active) => {
+            this.privacyView.setCameraActive(active, this.detector.getBackendLabel(), this.detector.isInWorker());
+            if (active) {
+                this.refreshCameraList();
+            }
+        });
+
+        // 画面中断和自动重连
+        this.detector.onStreamStatus((status, detail) => {
+            this.handleStreamStatus(status, detail);
+        });
+
+        this.distractionLadder.onLevel((level) => {
+            this.handleInterventionLevel(level);
+        });
+
+        this.distractionLadder.onParentAttention((reason) => {
+            this.handleParentAttention(reason);
         });
 
         // 错误处理
@@ -191,23 +817,97 @@ class App {
         });
     }
 
+    /**
+     * 执行某一级走神干预
+     * @param {string} level - 干预级别（见 InterventionLevel）
+     */
+    handleInterventionLevel(level) {
+        if (this.pomodoro.isOnBreak()) return;
+
+        switch (level) {
+            case InterventionLevel.NUDGE:
+                this.reminder.showNudge(this.messages.nextFocusMessage());
+                break;
+            case InterventionLevel.SOUND:
+                this.reminder.alertNudge();
+                break;
+            case InterventionLevel.MODAL: {
+                const content = this.messages.nextFocusMessage();
+                this.reminder.hideNudge();
+                this.reminder.showFocusReminder(content);
+                this.notifier.alert(content.title, content.text, SoundEvent.DISTRACTION);
+                break;
+            }
+        }
+    }
+
+    /**
+     * 记录需要家长关注的走神
+     * @param {string} reason - 原因（见 ParentAttentionReason）
+     */
+    handleParentAttention(reason) {
+        this.history.recordParentAttention(reason);
+        this.updateCameraStatus(
+            reason === ParentAttentionReason.REPEATED ? '走神次数有点多，已记录给家长' : '走神时间有点长，已记录给家长',
+            'warning'
+        );
+        this.checkpoint();
+    }
+
+    /**
+     * 提醒坐姿问题并记录到当前会话（只在学习计时中提醒）
+     * @param {string} issue - 坐姿问题（见 PostureIssue）
+     */
+    handlePostureIssue(issue) {
+        if (this.pomodoro.isOnBreak() || this.timer.getState() !== TimerState.RUNNING) return;
+
+        this.reminder.showPosture(issue);
+        this.history.recordPostureAlert(issue);
+        this.updateCameraStatus(issue === PostureIssue.TOO_CLOSE ? '离屏幕太近了' : '坐姿不太对', 'warning');
+        this.checkpoint();
+    }
+
+    /**
+     * 结束当前走神：停止干预并关闭提示
+     */
+    endDistraction() {
+        const level = this.distractionLadder.end();
+
+        this.history.recordDistractionEnd();
+        this.reminder.hideNudge();
+        if (level === InterventionLevel.MODAL && !this.pomodoro.isOnBreak()) {
+            this.reminder.dismiss();
+            this.notifier.acknowledge();
+        }
+    }
+
     /**
      * 切换智能模式 (V2.0)
      */
     async toggleAutoMode() {
         const enabled = this.autoModeSwitch.checked;
+
+        // 需要家长验证，未通过时把开关拨回去
+        if (!(await this.parentLock.requestUnlock(enabled ? '开启智能模式需要家长密码' : '关闭智能模式需要家长密码'))) {
+            this.autoModeSwitch.checked = !enabled;
+            return;
+        }
         
         if (enabled) {
             // 启用智能模式
             this.cameraSection.classList.remove('hidden');
-            this.updateCameraStatus('正在初始化摄像头...', '');
-            
-            const success = await this.detector.init(this.cameraPreview);
-            
+
+            const success = await this.openCamera();
+
             if (success) {
                 this.config.autoMode = true;
-                this.detector.start();
-                this.updateCameraStatus('等待检测...', '');
+
+                // 当前检测方式还没有校准过时，先运行校准向导
+                if (!this.detector.isCalibratedFor(this.config.calibration)) {
+                    await this.runCalibration();
+                }
+
+                this.updateCameraStatus(this.getDetectorReadyStatus(), '');
                 // 隐藏手动控制按钮
                 this.startBtn.style.display = 'none';
                 this.pauseBtn.style.display = 'none';
@@ -219,7 +919,8 @@ class App {
         } else {
             // 关闭智能模式
             this.config.autoMode = false;
-            this.detector.close();
+            this.closeCamera();
+            this.privacyView.hideCameraOff();
             this.cameraSection.classList.add('hidden');
             // 显示手动控制按钮
             this.startBtn.style.display = '';
@@ -231,109 +932,905 @@ class App {
     }
 
     /**
-     * 更新摄像头状态显示
+     * 打开摄像头并开始检测
+     * @returns {Promise<boolean>} 是否成功
      */
-    updateCameraStatus(text, className) {
-        if (this.cameraStatus) {
-            this.cameraStatus.textContent = text;
-            this.cameraStatus.className = 'camera-status ' + className;
+    async openCamera() {
+        this.privacyView.hideCameraOff();
+        this.updateCameraStatus('正在初始化摄像头...', '');
+
+        const success = await this.detector.init(this.cameraPreview);
+        if (success) {
+            this.detector.start();
+            // 打开后一直没有人坐下也会自动关闭
+            this.scheduleCameraIdle();
         }
+        return success;
     }
 
     /**
-     * 更新计时器状态显示
+     * 关闭摄像头，停止检测
      */
-    updateTimerStatus(text, className) {
-        if (this.timerStatus) {
-            this.timerStatus.textContent = text;
-            this.timerStatus.className = 'timer-status ' + (className || '');
-        }
+    closeCamera() {
+        this.cancelCameraIdle();
+        this.endDistraction();
+        this.detector.close();
+        this.reminder.hidePosture();
+        this.cameraPausedForBreak = false;
     }
 
     /**
-     * 显示错误信息
+     * 处理摄像头连接状态变化
+     * @param {string} status - StreamStatus 之一
+     * @param {Object} detail - 重连时为 { attempt, delayMs }
      */
-    showError(message) {
-        // 创建错误提示元素
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'error-message';
-        errorDiv.textContent = message;
-        
-        // 插入到摄像头区域后面
-        this.cameraSection.after(errorDiv);
-        
-        // 5秒后自动移除
-        setTimeout(() => {
-            errorDiv.remove();
-        }, 5000);
+    handleStreamStatus(status, detail) {
+        switch (status) {
+            case StreamStatus.RECONNECTING:
+                this.updateCameraStatus(
+                    `摄像头断开了，${Math.ceil(detail.delayMs / 1000)}秒后重新连接（第${detail.attempt}次）`,
+                    'warning'
+                );
+                break;
+            case StreamStatus.RESTORED:
+                this.updateCameraStatus('摄像头已重新连接', 'detecting');
+                break;
+            case StreamStatus.FAILED:
+                this.cancelCameraIdle();
+                this.updateCameraStatus('摄像头连接失败', 'warning');
+                this.privacyView.showCameraOff(CameraOffReason.DISCONNECTED);
+                break;
+            case StreamStatus.FALLBACK:
+                this.updateCameraStatus('选择的摄像头不可用，已改用默认摄像头', 'warning');
+                break;
+        }
     }
 
     /**
-     * 处理开始按钮点击
+     * 更新设置中的摄像头列表
+     * 保存的摄像头没有连接时仍保留这一项，插上后继续使用
      */
-    handleStart() {
-        this.timer.start();
-        this.updateButtonStates();
-        this.updateTimerStatus('学习中...加油！', 'active');
+    async refreshCameraList() {
+        if (!this.cameraDeviceSelect) return;
+
+        const cameras = await DistractionDetector.listCameras();
+        const selected = this.config.cameraDeviceId;
+
+        this.cameraDeviceSelect.innerHTML = '';
+        const options = [{ deviceId: '', label: '默认（前置摄像头）' }].concat(cameras);
+        if (selected && !cameras.some(camera => camera.deviceId === selected)) {
+            options.push({ deviceId: selected, label: '已选择的摄像头（未连接）' });
+        }
+        options.forEach(camera => {
+            const option = document.createElement('option');
+            option.value = camera.deviceId;
+            option.textContent = camera.label;
+            this.cameraDeviceSelect.appendChild(option);
+        });
+        this.cameraDeviceSelect.value = selected;
     }
 
     /**
-     * 处理暂停按钮点击
+     * 智能模式下自动关闭摄像头，并提示原因
+     * @param {string} reason - CameraOffReason 之一
      */
-    handlePause() {
-        this.timer.pause();
-        this.updateButtonStates();
-        this.updateTimerStatus('已暂停', '');
+    suspendCamera(reason) {
+        if (!this.config.autoMode) return;
+        if (!this.detector.isCameraOn() && !this.detector.isReconnecting()) return;
+
+        this.closeCamera();
+        this.cameraPausedForBreak = reason === CameraOffReason.BREAK;
+        this.updateCameraStatus('摄像头已关闭', '');
+        this.privacyView.showCameraOff(reason, this.config.cameraIdleMinutes);
     }
 
     /**
-     * 处理重置按钮点击
+     * 重新打开自动关闭的摄像头
      */
-    handleReset() {
-        this.timer.reset();
-        this.updateButtonStates();
-        this.updateTimerStatus('点击开始学习', '');
+    async resumeCamera() {
+        if (!this.config.autoMode || this.detector.isCameraOn() || this.detector.isReconnecting()) return;
+
+        if (await this.openCamera()) {
+            this.updateCameraStatus(this.getDetectorReadyStatus(), '');
+        }
     }
 
     /**
-     * 处理到达提醒间隔
+     * 开始计算没有人的时间，到设定的分钟数自动关闭摄像头
      */
-    handleIntervalReached() {
-        // 暂停计时
-        this.timer.pause();
-        this.updateButtonStates();
-        this.updateTimerStatus('休息时间到！', 'warning');
-        
-        // 显示休息提醒
-        this.reminder.showBreakReminder();
+    scheduleCameraIdle() {
+        this.cancelCameraIdle();
+        if (!(this.config.cameraIdleMinutes > 0)) return;
+
+        this.cameraIdleTimeoutId = setTimeout(() => {
+            this.cameraIdleTimeoutId = null;
+            this.suspendCamera(CameraOffReason.IDLE);
+        }, this.config.cameraIdleMinutes * 60 * 1000);
     }
 
-    /**
-     * 处理提醒关闭
-     */
-    handleReminderDismiss() {
-        // 重置计时器并重新开始
-        this.timer.reset();
-        this.timer.start();
-        this.updateButtonStates();
-        this.updateTimerStatus('学习中...加油！', 'active');
+    cancelCameraIdle() {
+        if (this.cameraIdleTimeoutId) {
+            clearTimeout(this.cameraIdleTimeoutId);
+            this.cameraIdleTimeoutId = null;
+        }
     }
 
     /**
-     * 更新计时显示
-     * @param {number} seconds - 秒数
+     * 运行摄像头校准向导，成功后保存到配置
      */
-    updateDisplay(seconds) {
-        if (this.timerDisplay) {
-            this.timerDisplay.textContent = Timer.formatTime(seconds);
+    async runCalibration() {
+        this.updateCameraStatus('正在校准摄像头...', '');
+
+        const result = await this.calibrationWizard.run(this.detector);
+        if (result) {
+            this.config.calibration = result;
+            this.detector.applyCalibration(result);
+            this.saveConfig();
         }
     }
 
     /**
-     * 更新按钮状态
+     * 摄像头就绪时的状态文字：检测方式、坐姿检测是否可用，以及是否在用默认摄像头代替
+     * @returns {string}
      */
-    updateButtonStates() {
-        const state = this.timer.getState();
+    getDetectorReadyStatus() {
+        const posture = this.config.postureEnabled && !this.detector.canCheckPosture()
+            ? '，坐姿提醒需要重新校准'
+            : '';
+        const camera = this.detector.isUsingFallbackDevice() ? '，选择的摄像头不可用，正在用默认摄像头' : '';
+        return `等待检测...（${this.detector.getBackendLabel()}${posture}${camera}）`;
+    }
+
+    /**
+     * 处理设置面板中的"重新校准"
+     */
+    async handleRecalibrate() {
+        if (!this.config.autoMode) {
+            alert('请先开启智能模式');
+            return;
+        }
+        if (!(await this.parentLock.requestUnlock('重新校准需要家长密码'))) return;
+
+        this.settingsPanel.classList.add('hidden');
+        await this.runCalibration();
+        this.updateCameraStatus(this.getDetectorReadyStatus(), '');
+    }
+
+    /**
+     * 更新家长锁的状态显示
+     */
+    updateLockState() {
+        const enabled = this.parentLock.isEnabled();
+        const unlocked = this.parentLock.isUnlocked();
+
+        if (this.lockIndicator) {
+            this.lockIndicator.classList.toggle('hidden', !enabled);
+            this.lockIndicator.classList.toggle('unlocked', unlocked);
+            this.lockIndicator.textContent = unlocked ? '🔓 已解锁' : '🔒 已锁定';
+            this.lockIndicator.title = unlocked ? '点击立即锁定' : '点击输入家长密码';
+        }
+        if (this.parentLockStatus) {
+            this.parentLockStatus.textContent = enabled ? '已开启' : '未开启';
+        }
+        if (this.setPinBtn) {
+            this.setPinBtn.textContent = enabled ? '修改密码' : '设置密码';
+        }
+        if (this.disablePinBtn) {
+            this.disablePinBtn.classList.toggle('hidden', !enabled);
+        }
+    }
+
+    /**
+     * 处理锁状态按钮：已解锁时立即锁定，已锁定时请求解锁
+     */
+    handleLockIndicator() {
+        if (this.parentLock.isUnlocked()) {
+            this.parentLock.lock();
+        } else {
+            this.parentLock.requestUnlock();
+        }
+    }
+
+    /**
+     * 更新摄像头状态显示
+     */
+    updateCameraStatus(text, className) {
+        if (this.cameraStatus) {
+            this.cameraStatus.textContent = text;
+            this.cameraStatus.className = 'camera-status ' + className;
+        }
+    }
+
+    /**
+     * 更新动作显示：预览画面上各区域的活动量和躁动指数
+     * @param {Array<number>} regions - 各区域在动的比例（0~1），按行排列
+     * @param {number} restlessness - 躁动指数（0~100）
+     */
+    updateMotionDisplay(regions, restlessness) {
+        if (this.motionGrid) {
+            Array.from(this.motionGrid.children).forEach((cell, i) => {
+                // 区域有 1/4 在动时显示为最深
+                cell.style.opacity = Math.min(1, (regions[i] || 0) * 4).toFixed(2);
+            });
+        }
+        if (this.restlessnessBadge) {
+            this.restlessnessBadge.textContent = `躁动 ${restlessness}`;
+            this.restlessnessBadge.classList.toggle('high', restlessness >= RESTLESS_DISTRACTION_LEVEL);
+        }
+    }
+
+    /**
+     * 更新检测负载显示
+     * @param {Object} stats - { fps, load, inWorker }，load 为分析耗时占比（0~1）
+     */
+    updateDetectorLoad({ fps, load, inWorker }) {
+        if (!this.detectorLoad) return;
+
+        const percent = Math.round(load * 100);
+        this.detectorLoad.textContent = `负载 ${percent}% · ${fps.toFixed(1)} 帧/秒`;
+        this.detectorLoad.title = inWorker ? '画面在后台线程中分析' : '画面在页面主线程中分析';
+        this.detectorLoad.classList.toggle('high', percent >= 50);
+    }
+
+    /**
+     * 更新计时器状态显示
+     */
+    updateTimerStatus(text, className) {
+        if (this.timerStatus) {
+            this.timerStatus.textContent = text;
+            this.timerStatus.className = 'timer-status ' + (className || '');
+        }
+    }
+
+    /**
+     * 显示错误信息
+     */
+    showError(message) {
+        // 创建错误提示元素
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error-message';
+        errorDiv.textContent = message;
+        
+        // 插入到摄像头区域后面
+        this.cameraSection.after(errorDiv);
+        
+        // 5秒后自动移除
+        setTimeout(() => {
+            errorDiv.remove();
+        }, 5000);
+    }
+
+    /**
+     * 处理开始按钮点击
+     */
+    handleStart() {
+        // 直接开始新的学习时，结束上次未完成的会话
+        if (this.pendingResume) {
+            this.discardSavedSession();
+        }
+
+        this.startStudy();
+        this.updateButtonStates();
+        this.updateTimerStatus('学习中...加油！', 'active');
+    }
+
+    /**
+     * 处理暂停按钮点击
+     */
+    handlePause() {
+        this.pauseStudy();
+        this.updateButtonStates();
+        this.updateTimerStatus('已暂停', '');
+    }
+
+    /**
+     * 处理重置按钮点击
+     */
+    async handleReset() {
+        if (!(await this.parentLock.requestUnlock('重置计时需要家长密码'))) return;
+
+        // 结束并保存本次会话
+        const session = this.history.endSession(this.timer.getTime());
+        this.sessionStore.clear();
+        this.timer.reset();
+        this.pomodoro.reset();
+        this.breakActivityDone = false;
+        this.blockDistractions = 0;
+        this.distractionLadder.resetHistory();
+        this.reminder.hideNudge();
+        this.reminder.hide();
+        this.notifier.acknowledge();
+        this.updateButtonStates();
+        this.updateCycleInfo();
+        this.updateTimerStatus('点击开始学习', '');
+        this.checkAchievements(session);
+
+        // 学习结束，智能模式下关闭摄像头
+        this.suspendCamera(CameraOffReason.SESSION_END);
+
+        if (this.statsView.isVisible()) {
+            this.statsView.render(this.history);
+        }
+    }
+
+    /**
+     * 开始（或继续）计时，并记录到当前会话
+     */
+    startStudy() {
+        // 休息时间不能开始学习
+        if (this.pomodoro.isOnBreak()) return;
+        if (this.timer.getState() === TimerState.RUNNING) return;
+
+        this.history.startSession(this.currentTask);
+        this.history.recordResume();
+        this.timer.start();
+        this.checkpoint();
+        this.scheduleView.hidePrompt();
+    }
+
+    /**
+     * 暂停计时，并记录到当前会话
+     */
+    pauseStudy() {
+        if (this.timer.getState() !== TimerState.RUNNING) return;
+
+        this.timer.pause();
+        this.history.recordPause();
+        this.checkpoint();
+    }
+
+    /**
+     * 处理到达提醒间隔：一段学习完成，进入休息
+     */
+    handleIntervalReached() {
+        // 进入休息，停止走神干预
+        this.endDistraction();
+
+        // 记录本段学习时间，计时器清零
+        this.history.addFocusedTime(this.timer.getTime());
+        this.timer.reset();
+
+        // 学完一段得积分，智能模式下走神少再加专注奖励
+        this.awardPoints(POINT_RULES.studyBlock, PointReason.STUDY_BLOCK);
+        if (this.config.autoMode) {
+            this.awardPoints(getFocusBonus(this.blockDistractions), PointReason.FOCUS_BONUS, `走神 ${this.blockDistractions} 次`);
+        }
+        this.blockDistractions = 0;
+
+        // 开始休息倒计时
+        this.pomodoro.startBreak();
+        const isLongBreak = this.pomodoro.getPhase() === PomodoroPhase.LONG_BREAK;
+
+        this.updateButtonStates();
+        this.updateCycleInfo();
+        this.updateTimerStatus(isLongBreak ? '长休息时间到！' : '休息时间到！', 'warning');
+
+        // 显示休息提醒（休息结束前不能关闭），并开始对应的休息活动
+        const message = this.messages.nextBreakMessage();
+        this.reminder.showBreakReminder(isLongBreak, this.pomodoro.getBreakRemaining(), message);
+        this.breakActivityDone = false;
+        this.reminder.startActivity(getBreakActivity(message.type));
+        this.notifier.alert(isLongBreak ? '完成一轮啦，好好休息！' : message.title, message.text, SoundEvent.BREAK);
+        this.checkAchievements();
+        this.checkpoint();
+
+        if (this.config.cameraPauseOnBreak) {
+            this.suspendCamera(CameraOffReason.BREAK);
+        }
+    }
+
+    /**
+     * 记录一次休息的结果：做完休息活动加分，没做完扣分
+     * @param {boolean} completed - 休息活动是否做完
+     */
+    recordBreakResult(completed) {
+        this.history.recordBreak(completed);
+        if (completed) {
+            this.awardPoints(POINT_RULES.breakTaken, PointReason.BREAK_TAKEN);
+        } else {
+            this.awardPoints(POINT_RULES.breakSkipped, PointReason.BREAK_SKIPPED);
+        }
+    }
+
+    /**
+     * 加减积分并刷新积分显示
+     * @param {number} amount - 积分（负数为扣分）
+     * @param {string} reason - 原因（见 PointReason）
+     * @param {string} note - 备注
+     */
+    awardPoints(amount, reason, note = '') {
+        if (!amount) return;
+
+        this.rewards.add(amount, reason, note);
+        this.rewardView.render(this.rewards);
+    }
+
+    /**
+     * 孩子申请兑换奖励
+     * @param {string} rewardId - 奖励ID
+     */
+    requestReward(rewardId) {
+        const error = this.rewards.requestReward(rewardId);
+        if (error) {
+            alert(error);
+            return;
+        }
+
+        this.rewardView.render(this.rewards);
+        alert('已经告诉家长啦，家长批准后就能兑换');
+    }
+
+    /**
+     * 家长批准兑换（必须设置家长密码）
+     * @param {string} requestId - 申请ID
+     */
+    async approveReward(requestId) {
+        if (!this.parentLock.isEnabled()) {
+            alert('请先在设置中设置家长密码，批准兑换需要家长验证');
+            return;
+        }
+        if (!(await this.parentLock.requestUnlock('批准兑换需要家长密码'))) return;
+
+        const error = this.rewards.approveRequest(requestId);
+        if (error) {
+            alert(error);
+        }
+        this.rewardView.render(this.rewards);
+    }
+
+    /**
+     * 家长拒绝兑换
+     * @param {string} requestId - 申请ID
+     */
+    async rejectReward(requestId) {
+        if (!(await this.parentLock.requestUnlock('拒绝兑换需要家长密码'))) return;
+
+        this.rewards.rejectRequest(requestId);
+        this.rewardView.render(this.rewards);
+    }
+
+    /**
+     * 家长添加奖励
+     * @param {Object} reward - { icon, name, cost }
+     */
+    async addReward(reward) {
+        const error = RewardLedger.validateReward(reward);
+        if (error) {
+            alert(error);
+            return;
+        }
+        if (!(await this.parentLock.requestUnlock('添加奖励需要家长密码'))) return;
+
+        this.rewards.addReward(reward);
+        this.rewardView.clearForms();
+        this.rewardView.render(this.rewards);
+    }
+
+    /**
+     * 家长删除奖励
+     * @param {string} rewardId - 奖励ID
+     */
+    async removeReward(rewardId) {
+        const reward = this.rewards.rewards.find(r => r.id === rewardId);
+        if (!reward) return;
+        if (!(await this.parentLock.requestUnlock('删除奖励需要家长密码'))) return;
+        if (!confirm(`确定要删除奖励"${reward.name}"吗？`)) return;
+
+        this.rewards.removeReward(rewardId);
+        this.rewardView.render(this.rewards);
+    }
+
+    /**
+     * 家长手动调整积分
+     * @param {number} amount - 积分（负数为扣分）
+     * @param {string} note - 原因
+     */
+    async adjustPoints(amount, note) {
+        if (!(Number.isInteger(amount) && amount !== 0 && Math.abs(amount) <= 10000)) {
+            alert('请输入要增加或扣除的积分（-10000到10000，不能为0）');
+            return;
+        }
+        if (!note) {
+            alert('请填写调整原因，方便以后查看');
+            return;
+        }
+        if (!(await this.parentLock.requestUnlock('调整积分需要家长密码'))) return;
+
+        this.awardPoints(amount, PointReason.ADJUST, note);
+        this.rewardView.clearForms();
+    }
+
+    /**
+     * 切换学习内容，学习中切换时之前的时间算给原来的内容
+     * @param {string|null} task - 科目或作业，不选择时为 null
+     */
+    setCurrentTask(task) {
+        this.currentTask = task;
+        if (this.history.hasActiveSession()) {
+            this.history.setTask(task, this.timer.getTime());
+            this.checkpoint();
+        }
+        this.taskView.render(this.tasks, this.currentTask);
+    }
+
+    /**
+     * 添加今天的作业
+     * @param {string} subject - 科目
+     * @param {string} title - 作业内容
+     */
+    addTaskItem(subject, title) {
+        const error = TaskList.validateItem(subject, title);
+        if (error) {
+            alert(error);
+            return;
+        }
+
+        this.tasks.addItem(subject, title);
+        this.taskView.clearForms();
+        this.taskView.render(this.tasks, this.currentTask);
+    }
+
+    /**
+     * 删除作业
+     * @param {string} itemId - 作业ID
+     */
+    removeTaskItem(itemId) {
+        const item = this.tasks.items.find(i => i.id === itemId);
+        if (!item) return;
+        if (!confirm(`确定要删除作业"${TaskList.labelOf(item)}"吗？`)) return;
+
+        this.tasks.removeItem(itemId);
+        this.taskView.render(this.tasks, this.currentTask);
+    }
+
+    /**
+     * 添加科目
+     * @param {string} name - 科目名
+     */
+    addSubject(name) {
+        const error = TaskList.validateSubject(name, this.tasks.subjects);
+        if (error) {
+            alert(error);
+            return;
+        }
+
+        this.tasks.addSubject(name);
+        this.taskView.clearForms();
+        this.taskView.render(this.tasks, this.currentTask);
+    }
+
+    /**
+     * 删除科目（学习记录中的时间保留）
+     * @param {string} name - 科目名
+     */
+    removeSubject(name) {
+        if (!confirm(`确定要删除科目"${name}"吗？已经记录的学习时间不受影响。`)) return;
+
+        this.tasks.removeSubject(name);
+        this.taskView.render(this.tasks, this.currentTask);
+    }
+
+    /**
+     * 检查课表：记录错过的场次，更新下次学习提示，到点时提醒开始学习
+     */
+    checkSchedule() {
+        const now = new Date();
+        const sessions = this.history.sessions.slice();
+        if (this.history.current) {
+            sessions.push(this.history.current);
+        }
+        if (this.pendingResume && this.pendingResume.session) {
+            sessions.push(this.pendingResume.session);
+        }
+
+        const missed = this.schedule.checkMissed(now, sessions);
+        if (missed.length > 0) {
+            this.scheduleView.render(this.schedule);
+        }
+
+        const active = this.schedule.getActive(now);
+        this.scheduleView.renderNext(active, this.schedule.getNext(now), now);
+
+        // 已经在学习（或学过）就不用提醒
+        if (!active || StudySchedule.isAttended(active, sessions, now) || this.pomodoro.isOnBreak()) {
+            this.scheduleView.hidePrompt();
+            return;
+        }
+
+        const key = `${active.slot.id}@${active.dateKey}`;
+        const snoozed = Date.now() < this.scheduleSnoozeUntil;
+        if (key === this.promptedOccurrence && (snoozed || this.scheduleView.isPromptVisible())) return;
+
+        this.promptedOccurrence = key;
+        this.scheduleSnoozeUntil = 0;
+        this.scheduleView.showPrompt(active);
+        if (this.config.soundEnabled) {
+            this.reminder.playSound(SoundEvent.BREAK_OVER);
+        }
+        this.notifier.alert('📅 该学习了', `${active.slot.start}-${active.slot.end} ${active.slot.subject}`, 'schedule');
+    }
+
+    /**
+     * 家长添加课表时段
+     * @param {Object} slot - { days, start, end, subject }
+     */
+    async addScheduleSlot(slot) {
+        const error = StudySchedule.validateSlot(slot);
+        if (error) {
+            alert(error);
+            return;
+        }
+        if (!(await this.parentLock.requestUnlock('修改课表需要家长密码'))) return;
+
+        this.schedule.addSlot(slot);
+        this.scheduleView.clearForm();
+        this.scheduleView.render(this.schedule);
+        this.checkSchedule();
+    }
+
+    /**
+     * 家长删除课表时段
+     * @param {string} slotId - 时段ID
+     */
+    async removeScheduleSlot(slotId) {
+        const slot = this.schedule.slots.find(s => s.id === slotId);
+        if (!slot) return;
+        if (!(await this.parentLock.requestUnlock('修改课表需要家长密码'))) return;
+        if (!confirm(`确定要删除"${StudySchedule.formatDays(slot.days)} ${slot.start}-${slot.end} ${slot.subject}"吗？`)) return;
+
+        this.schedule.removeSlot(slotId);
+        this.scheduleView.render(this.schedule);
+        this.checkSchedule();
+    }
+
+    /**
+     * 处理休息结束：自动回到学习
+     */
+    handleBreakEnd() {
+        // 休息活动做完才算完成一次休息
+        this.recordBreakResult(this.breakActivityDone);
+        this.breakActivityDone = false;
+        this.checkAchievements();
+        this.reminder.notifyBreakOver();
+        this.notifier.alert('休息结束', '继续学习吧！', SoundEvent.BREAK_OVER);
+        this.updateDisplay(0);
+
+        // 休息时暂停的摄像头重新打开，坐下后自动开始
+        if (this.cameraPausedForBreak) {
+            this.resumeCamera();
+        }
+
+        // 智能模式下人不在座位上时，等坐下再开始
+        if (this.config.autoMode && !this.detector.personPresent) {
+            this.updateTimerStatus('休息结束，坐下后继续学习', '');
+        } else {
+            this.startStudy();
+            this.updateTimerStatus('休息结束，继续学习吧！', 'active');
+        }
+        this.updateButtonStates();
+        this.checkpoint();
+    }
+
+    /**
+     * 存档当前进度（没有进行中的会话时清除存档）
+     */
+    checkpoint() {
+        if (!this.history.hasActiveSession()) {
+            // 等待确认继续时保留旧存档
+            if (!this.pendingResume) {
+                this.sessionStore.clear();
+            }
+            return;
+        }
+
+        this.sessionStore.save({
+            timer: this.timer.getSnapshot(),
+            pomodoro: this.pomodoro.getSnapshot(),
+            session: this.history.current,
+            breakActivityDone: this.breakActivityDone,
+            blockDistractions: this.blockDistractions
+        });
+    }
+
+    /**
+     * 检查上次是否有未完成的会话
+     * 间隔较短时询问是否继续，否则直接把上次会话保存到学习记录
+     */
+    checkResume() {
+        const saved = this.sessionStore.load();
+        if (!saved) return;
+
+        if (!saved.session || !SessionStore.isRecent(saved)) {
+            this.finishSavedSession(saved);
+            return;
+        }
+
+        this.pendingResume = saved;
+
+        const minutesAgo = Math.floor((Date.now() - saved.savedAt) / 60000);
+        const elapsed = Timer.formatTime(Math.floor(saved.timer.elapsedMs / 1000));
+        if (this.resumeMessage) {
+            this.resumeMessage.textContent = `上次学习到 ${elapsed}（${minutesAgo > 0 ? minutesAgo + '分钟前' : '刚刚'}），要继续吗？`;
+        }
+        if (this.resumePrompt) {
+            this.resumePrompt.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * 继续上次的会话
+     */
+    resumeSavedSession() {
+        const saved = this.pendingResume;
+        if (!saved) return;
+
+        this.pendingResume = null;
+        this.resumePrompt.classList.add('hidden');
+
+        this.history.restoreSession(saved.session);
+        this.timer.restore(saved.timer);
+        this.blockDistractions = saved.blockDistractions || 0;
+        this.currentTask = saved.session.task || null;
+        this.taskView.render(this.tasks, this.currentTask);
+
+        const wasOnBreak = saved.pomodoro && saved.pomodoro.phase !== PomodoroPhase.WORK;
+        this.pomodoro.restore(saved.pomodoro || {});
+
+        if (this.pomodoro.isOnBreak()) {
+            // 休息还没结束，继续倒计时
+            const isLongBreak = this.pomodoro.getPhase() === PomodoroPhase.LONG_BREAK;
+            this.updateDisplay(this.pomodoro.getBreakRemaining());
+            this.updateTimerStatus('继续休息...', 'warning');
+            const message = this.messages.nextBreakMessage();
+            this.reminder.showBreakReminder(isLongBreak, this.pomodoro.getBreakRemaining(), message);
+            this.breakActivityDone = !!saved.breakActivityDone;
+            if (this.breakActivityDone) {
+                this.reminder.showActivityDone();
+            } else {
+                this.reminder.startActivity(getBreakActivity(message.type));
+            }
+        } else if (saved.timer.state === TimerState.RUNNING || wasOnBreak) {
+            // 离开的这段时间记为暂停
+            if (wasOnBreak) {
+                this.recordBreakResult(!!saved.breakActivityDone);
+            }
+            this.history.recordPause(saved.savedAt);
+            this.startStudy();
+            this.updateTimerStatus('学习中...加油！', 'active');
+        } else {
+            this.updateTimerStatus('已暂停', '');
+        }
+
+        this.updateButtonStates();
+        this.updateCycleInfo();
+        this.checkpoint();
+    }
+
+    /**
+     * 放弃继续，把上次会话保存到学习记录
+     */
+    discardSavedSession() {
+        const saved = this.pendingResume;
+        if (!saved) return;
+
+        this.pendingResume = null;
+        this.resumePrompt.classList.add('hidden');
+        this.finishSavedSession(saved);
+    }
+
+    /**
+     * 结束存档中的会话并保存到学习记录
+     * @param {Object} saved - 会话存档
+     */
+    finishSavedSession(saved) {
+        if (saved.session) {
+            this.history.restoreSession(saved.session);
+            this.history.endSession(Math.floor(saved.timer.elapsedMs / 1000), saved.savedAt);
+        }
+        this.sessionStore.clear();
+    }
+
+    /**
+     * 更新番茄数显示
+     */
+    updateCycleInfo() {
+        if (this.cycleInfo) {
+            this.cycleInfo.textContent = `🍅 已完成 ${this.pomodoro.getCompletedCycles()} 个番茄`;
+        }
+    }
+
+    /**
+     * 更新计时显示
+     * @param {number} seconds - 秒数
+     */
+    updateDisplay(seconds) {
+        if (this.timerDisplay) {
+            this.timerDisplay.textContent = Timer.formatTime(seconds);
+        }
+        this.updateTabCountdown();
+        this.updateGoalProgress();
+    }
+
+    /**
+     * 更新学习目标进度环（计时器外框按今日目标完成度描边）
+     */
+    updateGoalProgress() {
+        if (!this.goalRingProgress) return;
+
+        const progress = this.history.getProgress(this.timer.getTime());
+        const todayMinutes = Math.floor(progress.today / 60);
+        const weekMinutes = Math.floor(progress.week / 60);
+        const ratio = Math.min(1, todayMinutes / this.config.dailyGoal);
+        const done = ratio >= 1;
+
+        this.goalRingProgress.style.strokeDasharray = `${ratio * 100} 100`;
+        this.goalRingProgress.classList.toggle('done', done);
+        this.goalInfo.textContent = `🎯 今日 ${todayMinutes}/${this.config.dailyGoal} 分钟` +
+            ` · 本周 ${weekMinutes}/${this.config.weeklyGoal} 分钟` + (done ? ' 🎉' : '');
+    }
+
+    /**
+     * 检查是否解锁了新成就
+     * @param {Object|null} session - 刚结束的会话，没有时为 null
+     */
+    checkAchievements(session = null) {
+        const pending = this.timer.getTime();
+        const totals = this.history.getLifetimeTotals();
+        if (this.history.current) {
+            totals.seconds += this.history.current.focusedSeconds + pending;
+            totals.breaks += this.history.current.breaks;
+        }
+
+        const unlocked = this.achievements.evaluate({
+            cycles: this.pomodoro.getCompletedCycles(),
+            progress: this.history.getProgress(pending),
+            goals: { daily: this.config.dailyGoal * 60, weekly: this.config.weeklyGoal * 60 },
+            streak: this.history.getStreak(),
+            totals,
+            session,
+            autoMode: this.config.autoMode
+        });
+        if (unlocked.length === 0) return;
+
+        this.badgeShelf.celebrate(unlocked);
+        if (this.badgeShelf.isVisible()) {
+            this.badgeShelf.render(this.achievements);
+        }
+    }
+
+    /**
+     * 在标签页标题和图标上显示倒计时
+     * 学习时显示距离休息的时间，休息时显示休息剩余时间
+     */
+    updateTabCountdown() {
+        if (this.pomodoro.isOnBreak()) {
+            const isLongBreak = this.pomodoro.getPhase() === PomodoroPhase.LONG_BREAK;
+            const total = (isLongBreak ? this.pomodoro.longBreakMinutes : this.pomodoro.shortBreakMinutes) * 60;
+            const remaining = this.pomodoro.getBreakRemaining();
+            this.notifier.updateCountdown(remaining, CountdownPhase.BREAK, 1 - remaining / total);
+            return;
+        }
+
+        const state = this.timer.getState();
+        if (state === TimerState.IDLE) {
+            this.notifier.clearCountdown();
+            return;
+        }
+
+        const total = this.timer.getInterval() * 60;
+        const remaining = Math.max(0, total - this.timer.getTime());
+        this.notifier.updateCountdown(
+            remaining,
+            state === TimerState.RUNNING ? CountdownPhase.STUDY : CountdownPhase.PAUSED,
+            1 - remaining / total
+        );
+    }
+
+    /**
+     * 更新按钮状态
+     */
+    updateButtonStates() {
+        const state = this.timer.getState();
 
         switch (state) {
             case TimerState.IDLE:
@@ -351,6 +1848,8 @@ class App {
                 this.pauseBtn.disabled = true;
                 break;
         }
+
+        this.updateTabCountdown();
     }
 
     /**
@@ -365,15 +1864,65 @@ class App {
     /**
      * 保存设置
      */
-    saveSettings() {
+    async saveSettings() {
+        if (!(await this.parentLock.requestUnlock('保存设置需要家长密码'))) return;
+
         // 获取输入值
         const interval = parseInt(this.intervalInput.value, 10);
         const soundEnabled = this.soundEnabledCheckbox.checked;
+        const notificationsEnabled = this.notificationsCheckbox.checked;
         const distractionThreshold = parseInt(this.distractionThresholdInput.value, 10);
+        const postureEnabled = this.postureEnabledCheckbox.checked;
+        const postureTolerance = parseInt(this.postureToleranceInput.value, 10);
+        const shortBreak = parseInt(this.shortBreakInput.value, 10);
+        const longBreak = parseInt(this.longBreakInput.value, 10);
+        const longBreakEvery = parseInt(this.longBreakEveryInput.value, 10);
+        const dailyGoal = parseInt(this.dailyGoalInput.value, 10);
+        const weeklyGoal = parseInt(this.weeklyGoalInput.value, 10);
+        const detectorBackend = this.detectorBackendSelect.value;
+        const cameraDeviceId = this.cameraDeviceSelect.value;
+        const privacyMode = this.privacyModeSelect.value;
+        const cameraIdleMinutes = parseInt(this.cameraIdleMinutesInput.value, 10);
+        const cameraPauseOnBreak = this.cameraPauseOnBreakCheckbox.checked;
+        const soundOptions = this.readSoundOptions();
+        const voiceOptions = this.readVoiceOptions();
+        const interventionSteps = this.readInterventionSteps();
+        const parentRepeatCount = parseInt(this.parentRepeatCountInput.value, 10);
+        const parentRepeatWindow = parseInt(this.parentRepeatWindowInput.value, 10);
 
         // 验证
         if (interval < 1 || interval > 120) {
-            alert('提醒间隔请设置在1-120分钟之间');
+            alert('学习时长请设置在1-120分钟之间');
+            return;
+        }
+
+        if (!(shortBreak >= 1 && shortBreak <= 30)) {
+            alert('短休息请设置在1-30分钟之间');
+            return;
+        }
+
+        if (!(longBreak >= 5 && longBreak <= 60)) {
+            alert('长休息请设置在5-60分钟之间');
+            return;
+        }
+
+        if (!(longBreakEvery >= 2 && longBreakEvery <= 8)) {
+            alert('长休息间隔请设置在2-8段之间');
+            return;
+        }
+
+        if (!(dailyGoal >= 10 && dailyGoal <= 480)) {
+            alert('每日学习目标请设置在10-480分钟之间');
+            return;
+        }
+
+        if (!(weeklyGoal >= 30 && weeklyGoal <= 3000)) {
+            alert('每周学习目标请设置在30-3000分钟之间');
+            return;
+        }
+
+        if (weeklyGoal < dailyGoal) {
+            alert('每周学习目标不能少于每日学习目标');
             return;
         }
 
@@ -382,10 +1931,56 @@ class App {
             return;
         }
 
+        if (!(postureTolerance >= 10 && postureTolerance <= 60)) {
+            alert('坐姿容差请设置在10-60%之间');
+            return;
+        }
+
+        if (!(cameraIdleMinutes >= 0 && cameraIdleMinutes <= 120)) {
+            alert('自动关闭摄像头的时间请设置在0-120分钟之间（0为不自动关闭）');
+            return;
+        }
+
+        const stepsError = DistractionLadder.validateSteps(interventionSteps);
+        if (stepsError) {
+            alert(stepsError);
+            return;
+        }
+
+        if (!(parentRepeatCount >= 2 && parentRepeatCount <= 20) || !(parentRepeatWindow >= 5 && parentRepeatWindow <= 120)) {
+            alert('通知家长的走神次数请设置在2-20次、时间在5-120分钟之间');
+            return;
+        }
+
         // 更新配置
         this.config.reminderInterval = interval;
         this.config.soundEnabled = soundEnabled;
+        this.config.notificationsEnabled = notificationsEnabled;
         this.config.distractionThreshold = distractionThreshold;
+        this.config.postureEnabled = postureEnabled;
+        this.config.postureTolerance = postureTolerance;
+        this.config.shortBreak = shortBreak;
+        this.config.longBreak = longBreak;
+        this.config.longBreakEvery = longBreakEvery;
+        this.config.dailyGoal = dailyGoal;
+        this.config.weeklyGoal = weeklyGoal;
+        const cameraChanged = cameraDeviceId !== this.config.cameraDeviceId;
+        this.config.detectorBackend = detectorBackend;
+        this.config.cameraDeviceId = cameraDeviceId;
+        this.config.privacyMode = privacyMode;
+        this.config.cameraIdleMinutes = cameraIdleMinutes;
+        this.config.cameraPauseOnBreak = cameraPauseOnBreak;
+        this.config.soundThemes = soundOptions.themes;
+        this.config.soundVolume = soundOptions.volume;
+        this.config.soundRepeat = soundOptions.repeat;
+        this.config.soundEscalate = soundOptions.escalate;
+        this.config.voiceMode = voiceOptions.mode;
+        this.config.voiceLang = voiceOptions.lang;
+        this.config.voiceName = voiceOptions.voiceName;
+        this.config.voiceRate = voiceOptions.rate;
+        this.config.interventionSteps = interventionSteps;
+        this.config.parentRepeatCount = parentRepeatCount;
+        this.config.parentRepeatWindow = parentRepeatWindow;
 
         // 保存到localStorage
         this.saveConfig();
@@ -396,22 +1991,312 @@ class App {
         // 隐藏设置面板
         this.settingsPanel.classList.add('hidden');
 
+        // 换了摄像头：正在使用时立即切换
+        if (cameraChanged && (this.detector.isCameraOn() || this.detector.isReconnecting())) {
+            this.closeCamera();
+            if (await this.openCamera()) {
+                this.updateCameraStatus(this.getDetectorReadyStatus(), '');
+            }
+        }
+
         console.log('设置已保存:', this.config);
     }
 
+    /**
+     * 填充提示音主题下拉框
+     */
+    fillSoundThemeOptions() {
+        Object.values(this.soundThemeSelects).forEach(select => {
+            Object.keys(SOUND_THEMES).forEach(key => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = SOUND_THEMES[key].label;
+                select.appendChild(option);
+            });
+
+            const custom = document.createElement('option');
+            custom.value = CUSTOM_SOUND_THEME;
+            custom.textContent = '自定义音频';
+            select.appendChild(custom);
+        });
+    }
+
+    /**
+     * 读取设置面板中的提示音选项（未保存时也用于试听）
+     * @returns {{themes: Object, volume: number, repeat: number, escalate: boolean}}
+     */
+    readSoundOptions() {
+        const themes = {};
+        Object.keys(this.soundThemeSelects).forEach(event => {
+            themes[event] = this.soundThemeSelects[event].value;
+        });
+
+        return {
+            themes,
+            volume: parseInt(this.soundVolumeInput.value, 10),
+            repeat: parseInt(this.soundRepeatSelect.value, 10),
+            escalate: this.soundEscalateCheckbox.checked
+        };
+    }
+
+    /**
+     * 保存家长上传的提示音，并把对应提醒切换为自定义音频
+     * @param {string} event - 提醒类型
+     * @param {File} file - 音频文件
+     */
+    async handleSoundUpload(event, file) {
+        if (!(await this.parentLock.requestUnlock('上传提示音需要家长密码'))) return;
+
+        const error = SoundPlayer.validateFile(file);
+        if (error) {
+            alert(error);
+            return;
+        }
+
+        try {
+            await this.reminder.sounds.saveCustom(event, file);
+        } catch (e) {
+            console.warn('无法保存提示音:', e.message);
+            alert('保存音频失败，请换一个文件再试');
+            return;
+        }
+
+        // 选中自定义音频，点击"保存设置"后生效
+        this.soundThemeSelects[event].value = CUSTOM_SOUND_THEME;
+    }
+
+    /**
+     * 读取设置面板中的走神干预阶梯
+     * @returns {Object} { [level]: { enabled, after } }
+     */
+    readInterventionSteps() {
+        const steps = {};
+        Object.keys(this.interventionInputs).forEach(level => {
+            steps[level] = {
+                enabled: this.interventionInputs[level].enabled.checked,
+                after: parseInt(this.interventionInputs[level].after.value, 10)
+            };
+        });
+        return steps;
+    }
+
+    /**
+     * 填充朗读语言下拉框
+     */
+    fillVoiceLanguageOptions() {
+        if (!this.voiceLangSelect) return;
+
+        Object.keys(VOICE_LANGUAGES).forEach(lang => {
+            const option = document.createElement('option');
+            option.value = lang;
+            option.textContent = VOICE_LANGUAGES[lang];
+            this.voiceLangSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * 按当前语言填充声音下拉框
+     * @param {string} selected - 选中的声音名
+     */
+    fillVoiceOptions(selected) {
+        if (!this.voiceNameSelect) return;
+
+        this.voiceNameSelect.innerHTML = '';
+
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = '默认';
+        this.voiceNameSelect.appendChild(defaultOption);
+
+        VoiceAnnouncer.getVoices(this.voiceLangSelect.value).forEach(voice => {
+            const option = document.createElement('option');
+            option.value = voice.name;
+            option.textContent = voice.name;
+            this.voiceNameSelect.appendChild(option);
+        });
+
+        this.voiceNameSelect.value = selected;
+        if (this.voiceNameSelect.value !== selected) {
+            this.voiceNameSelect.value = '';
+        }
+    }
+
+    /**
+     * 读取设置面板中的语音选项
+     * @returns {{mode: string, lang: string, voiceName: string, rate: number}}
+     */
+    readVoiceOptions() {
+        return {
+            mode: this.voiceModeSelect.value,
+            lang: this.voiceLangSelect.value,
+            voiceName: this.voiceNameSelect.value,
+            rate: parseFloat(this.voiceRateInput.value)
+        };
+    }
+
+    /**
+     * 更新每种提醒的录音状态
+     */
+    async updateVoiceClipStatus() {
+        const labels = document.querySelectorAll('.voice-clip-status');
+        for (const label of labels) {
+            label.textContent = (await this.reminder.voice.hasClip(label.dataset.event)) ? '已录音' : '未录音';
+        }
+    }
+
+    /**
+     * 开始或停止录制某种提醒的家长语音
+     * @param {HTMLButtonElement} btn - 录音按钮
+     */
+    async handleVoiceRecord(btn) {
+        if (this.voiceRecorder.isRecording()) {
+            this.voiceRecorder.stop();
+            return;
+        }
+
+        if (!VoiceRecorder.isSupported()) {
+            alert('当前浏览器不支持录音');
+            return;
+        }
+        if (!(await this.parentLock.requestUnlock('录制语音需要家长密码'))) return;
+
+        btn.textContent = '⏹ 停止';
+        try {
+            const clip = await this.voiceRecorder.start();
+            await this.reminder.voice.saveClip(btn.dataset.event, clip);
+        } catch (e) {
+            console.warn('无法录音:', e.message);
+            alert('录音失败，请检查麦克风权限');
+        }
+        btn.textContent = '🎙️ 录音';
+        this.updateVoiceClipStatus();
+    }
+
+    /**
+     * 保存编辑后的提醒内容
+     * @param {Object} form - MessageView.readForm() 的结果
+     */
+    async saveMessages(form) {
+        if (!(await this.parentLock.requestUnlock('修改提醒内容需要家长密码'))) return;
+
+        if (form.enabledTypes.length === 0) {
+            alert('请至少选择一种休息提醒');
+            return;
+        }
+
+        const emptyType = [...form.enabledTypes, MessageType.ENCOURAGE]
+            .find(type => form.messages[type].length === 0);
+        if (emptyType) {
+            alert(`"${MESSAGE_TYPE_INFO[emptyType].label}"至少需要一条提醒内容`);
+            return;
+        }
+
+        this.messages.update(form);
+        this.messageView.render(this.messages);
+        this.messageView.hidePanel();
+    }
+
+    /**
+     * 换成某个年龄段的预设提醒内容
+     * @param {string} preset - 预设名
+     */
+    async applyMessagePreset(preset) {
+        if (!(await this.parentLock.requestUnlock('修改提醒内容需要家长密码'))) return;
+        if (!confirm(`换成"${AGE_PRESETS[preset].label}"的预设会覆盖当前的提醒内容，确定吗？`)) return;
+
+        this.messages.applyPreset(preset);
+        this.messageView.render(this.messages);
+    }
+
+    /**
+     * 请求系统通知权限
+     * @returns {Promise<boolean>} 是否已获得权限
+     */
+    async requestNotificationPermission() {
+        const permission = await BackgroundNotifier.requestPermission();
+        this.updateNotificationStatus();
+
+        if (permission === 'unsupported') {
+            alert('这个浏览器不支持系统通知');
+        } else if (permission === 'denied') {
+            alert('通知已被浏览器阻止，请在浏览器的网站设置中允许通知');
+        }
+        return permission === 'granted';
+    }
+
+    /**
+     * 更新通知权限显示
+     */
+    updateNotificationStatus() {
+        if (!this.notificationStatus) return;
+
+        const permission = BackgroundNotifier.getPermission();
+        const labels = {
+            granted: '已允许',
+            denied: '已被浏览器阻止',
+            default: '未授权',
+            unsupported: '浏览器不支持'
+        };
+        this.notificationStatus.textContent = labels[permission];
+        this.notificationStatus.className = 'notification-status ' + permission;
+        if (this.notificationPermissionBtn) {
+            this.notificationPermissionBtn.classList.toggle('hidden', permission !== 'default');
+        }
+    }
+
     /**
      * 应用配置
      */
     applyConfig() {
         // 设置定时器间隔
         this.timer.setInterval(this.config.reminderInterval);
+
+        // 设置番茄钟休息时长
+        this.pomodoro.configure({
+            shortBreakMinutes: this.config.shortBreak,
+            longBreakMinutes: this.config.longBreak,
+            longBreakEvery: this.config.longBreakEvery
+        });
         
         // 设置提醒声音
         this.reminder.setSoundEnabled(this.config.soundEnabled);
+        this.reminder.setSoundOptions({
+            themes: this.config.soundThemes,
+            volume: this.config.soundVolume,
+            repeat: this.config.soundRepeat,
+            escalate: this.config.soundEscalate
+        });
+        this.reminder.setVoiceOptions({
+            mode: this.config.voiceMode,
+            lang: this.config.voiceLang,
+            voiceName: this.config.voiceName,
+            rate: this.config.voiceRate
+        });
+
+        // 设置系统通知
+        this.notifier.setEnabled(this.config.notificationsEnabled);
 
         // 设置走神阈值
         this.detector.setDistractionThreshold(this.config.distractionThreshold);
 
+        // 设置坐姿检测
+        this.detector.setPostureOptions(this.config.postureEnabled, this.config.postureTolerance);
+
+        // 设置走神干预阶梯
+        this.distractionLadder.configure({
+            steps: this.config.interventionSteps,
+            repeatCount: this.config.parentRepeatCount,
+            repeatWindowMinutes: this.config.parentRepeatWindow
+        });
+
+        // 设置检测方式和校准结果
+        this.detector.setBackendPreference(this.config.detectorBackend);
+        this.detector.setDeviceId(this.config.cameraDeviceId);
+        this.detector.applyCalibration(this.config.calibration);
+
+        // 设置预览画面显示方式
+        this.privacyView.setMode(this.config.privacyMode);
+
         // 更新UI显示
         if (this.intervalInput) {
             this.intervalInput.value = this.config.reminderInterval;
@@ -419,21 +2304,283 @@ class App {
         if (this.soundEnabledCheckbox) {
             this.soundEnabledCheckbox.checked = this.config.soundEnabled;
         }
+        Object.keys(this.soundThemeSelects).forEach(event => {
+            this.soundThemeSelects[event].value = this.config.soundThemes[event] || DEFAULT_SOUND_OPTIONS.themes[event];
+        });
+        if (this.soundVolumeInput) {
+            this.soundVolumeInput.value = this.config.soundVolume;
+            this.soundVolumeValue.textContent = this.config.soundVolume;
+        }
+        if (this.soundRepeatSelect) {
+            this.soundRepeatSelect.value = this.config.soundRepeat;
+        }
+        if (this.soundEscalateCheckbox) {
+            this.soundEscalateCheckbox.checked = this.config.soundEscalate;
+        }
+        if (this.voiceModeSelect) {
+            this.voiceModeSelect.value = this.config.voiceMode;
+            this.voiceLangSelect.value = this.config.voiceLang;
+            this.fillVoiceOptions(this.config.voiceName);
+            this.voiceRateInput.value = this.config.voiceRate;
+            this.voiceRateValue.textContent = Number(this.config.voiceRate).toFixed(1);
+            this.updateVoiceClipStatus();
+        }
+        if (this.notificationsCheckbox) {
+            this.notificationsCheckbox.checked = this.config.notificationsEnabled;
+        }
         if (this.distractionThresholdInput) {
             this.distractionThresholdInput.value = this.config.distractionThreshold;
         }
+        if (this.postureEnabledCheckbox) {
+            this.postureEnabledCheckbox.checked = this.config.postureEnabled;
+            this.postureToleranceInput.value = this.config.postureTolerance;
+        }
+        if (this.detectorBackendSelect) {
+            this.detectorBackendSelect.value = this.config.detectorBackend;
+        }
+        if (this.cameraDeviceSelect) {
+            this.cameraDeviceSelect.value = this.config.cameraDeviceId;
+        }
+        if (this.privacyModeSelect) {
+            this.privacyModeSelect.value = this.config.privacyMode;
+            this.cameraIdleMinutesInput.value = this.config.cameraIdleMinutes;
+            this.cameraPauseOnBreakCheckbox.checked = this.config.cameraPauseOnBreak;
+        }
+        Object.keys(this.interventionInputs).forEach(level => {
+            const step = this.config.interventionSteps[level] || DEFAULT_INTERVENTION_STEPS[level];
+            this.interventionInputs[level].enabled.checked = step.enabled;
+            this.interventionInputs[level].after.value = step.after;
+        });
+        if (this.parentRepeatCountInput) {
+            this.parentRepeatCountInput.value = this.config.parentRepeatCount;
+            this.parentRepeatWindowInput.value = this.config.parentRepeatWindow;
+        }
+        if (this.shortBreakInput) {
+            this.shortBreakInput.value = this.config.shortBreak;
+        }
+        if (this.longBreakInput) {
+            this.longBreakInput.value = this.config.longBreak;
+        }
+        if (this.longBreakEveryInput) {
+            this.longBreakEveryInput.value = this.config.longBreakEvery;
+        }
+        if (this.dailyGoalInput) {
+            this.dailyGoalInput.value = this.config.dailyGoal;
+            this.weeklyGoalInput.value = this.config.weeklyGoal;
+        }
+        this.updateGoalProgress();
         if (this.autoModeSwitch) {
             this.autoModeSwitch.checked = this.config.autoMode;
         }
     }
 
+    /**
+     * 切换孩子
+     * 当前孩子的进度先存档，切回来时可以继续
+     * @param {string} id - 资料ID
+     */
+    async switchProfile(id) {
+        if (id === this.profiles.activeId) return;
+        if (!(await this.parentLock.requestUnlock('切换孩子需要家长密码'))) return;
+
+        this.checkpoint();
+        this.stopForProfileChange();
+        this.profiles.switchTo(id);
+        this.loadProfileData();
+    }
+
+    /**
+     * 添加孩子并切换过去
+     * @param {string} name - 名字
+     * @param {string} avatar - 头像
+     */
+    async addProfile(name, avatar) {
+        const error = ProfileManager.validateName(name);
+        if (error) {
+            alert(error);
+            return;
+        }
+        if (!(await this.parentLock.requestUnlock('添加孩子需要家长密码'))) return;
+
+        const profile = this.profiles.add(name, avatar);
+        this.profileView.clearAddForm();
+        await this.switchProfile(profile.id);
+        this.profileView.render(this.profiles.getAll(), this.profiles.activeId);
+    }
+
+    /**
+     * 修改孩子的名字和头像
+     */
+    async renameProfile(id, name, avatar) {
+        const error = ProfileManager.validateName(name);
+        if (error) {
+            alert(error);
+            return;
+        }
+        if (!(await this.parentLock.requestUnlock('修改孩子资料需要家长密码'))) return;
+
+        this.profiles.rename(id, name, avatar);
+        this.profileView.render(this.profiles.getAll(), this.profiles.activeId);
+    }
+
+    /**
+     * 删除孩子及其设置和学习记录
+     * @param {string} id - 资料ID
+     */
+    async deleteProfile(id) {
+        const profile = this.profiles.getProfile(id);
+        if (!profile) return;
+        if (!(await this.parentLock.requestUnlock('删除孩子需要家长密码'))) return;
+
+        if (!confirm(`确定删除"${profile.name}"的设置和全部学习记录吗？`)) return;
+
+        const wasActive = id === this.profiles.activeId;
+        if (wasActive) {
+            // 正在使用的资料不再存档，直接停止
+            this.history.discardSession();
+            this.stopForProfileChange();
+        }
+
+        this.profiles.remove(id);
+
+        if (wasActive) {
+            this.loadProfileData();
+        } else {
+            this.profileView.render(this.profiles.getAll(), this.profiles.activeId);
+        }
+    }
+
+    /**
+     * 导出数据
+     * @param {string} format - 'json'（备份）或 'csv'（学习记录表格）
+     */
+    exportData(format) {
+        // 先保存进行中的进度，导出的是最新数据
+        this.checkpoint();
+
+        if (format === 'csv') {
+            BackupView.download(BackupManager.fileName('csv'), this.backup.createCSV(), 'text/csv;charset=utf-8');
+        } else {
+            BackupView.download(BackupManager.fileName('json'), JSON.stringify(this.backup.createBackup(), null, 2),
+                'application/json');
+        }
+    }
+
+    /**
+     * 读取备份文件并显示导入预览
+     * @param {string} text - 文件内容
+     */
+    previewImport(text) {
+        const { backup, error } = this.backup.parse(text);
+        if (error) {
+            alert('无法导入：' + error);
+            return;
+        }
+
+        this.pendingImport = backup;
+        this.backupView.showPreview(this.backup.preview(backup, this.backupView.getMode()));
+    }
+
+    /**
+     * 确认导入备份，导入后重新读取当前孩子的数据
+     * @param {string} mode - 导入方式（见 ImportMode）
+     */
+    async confirmImport(mode) {
+        const backup = this.pendingImport;
+        if (!backup) return;
+        if (!(await this.parentLock.requestUnlock('导入备份需要家长密码'))) return;
+        if (mode === ImportMode.REPLACE && !confirm('替换会删除本机所有孩子的设置和学习记录，确定继续吗？')) return;
+
+        this.checkpoint();
+        this.stopForProfileChange();
+        this.backup.apply(backup, mode);
+        this.pendingImport = null;
+        this.backupView.hidePreview();
+        this.loadProfileData();
+        alert('导入完成');
+    }
+
+    /**
+     * 切换孩子前停止计时、休息和摄像头
+     */
+    stopForProfileChange() {
+        this.pendingResume = null;
+        this.resumePrompt.classList.add('hidden');
+
+        this.timer.reset();
+        this.pomodoro.reset();
+        this.breakActivityDone = false;
+        this.blockDistractions = 0;
+        this.distractionLadder.resetHistory();
+        this.reminder.hideNudge();
+        this.reminder.hidePosture();
+        this.reminder.hide();
+        this.notifier.acknowledge();
+        this.notifier.clearCountdown();
+        this.badgeShelf.clearToasts();
+        this.scheduleView.hidePrompt();
+        this.promptedOccurrence = null;
+        this.scheduleSnoozeUntil = 0;
+        this.currentTask = null;
+
+        this.privacyView.hideCameraOff();
+        if (this.config.autoMode) {
+            this.autoModeSwitch.checked = false;
+            this.closeCamera();
+            this.cameraSection.classList.add('hidden');
+            this.startBtn.style.display = '';
+            this.pauseBtn.style.display = '';
+        }
+    }
+
+    /**
+     * 读取当前孩子的设置、学习记录和会话存档
+     */
+    loadProfileData() {
+        this.config = this.loadConfig();
+        this.history = new StudyHistory(this.profiles.storageKey(HISTORY_KEY));
+        this.history.load();
+        this.sessionStore = new SessionStore(this.profiles.storageKey(SESSION_KEY));
+        this.messages = new MessageLibrary(this.profiles.storageKey(MESSAGES_KEY));
+        this.messages.load();
+        this.messageView.render(this.messages);
+        this.achievements = new AchievementTracker(this.profiles.storageKey(ACHIEVEMENTS_KEY));
+        this.achievements.load();
+        this.rewards = new RewardLedger(this.profiles.storageKey(REWARDS_KEY));
+        this.rewards.load();
+        this.rewardView.render(this.rewards);
+        this.schedule = new StudySchedule(this.profiles.storageKey(SCHEDULE_KEY));
+        this.schedule.load();
+        this.scheduleView.render(this.schedule);
+        this.tasks = new TaskList(this.profiles.storageKey(TASKS_KEY));
+        this.tasks.load();
+        this.taskView.render(this.tasks, this.currentTask);
+
+        this.applyConfig();
+        this.updateDisplay(0);
+        this.updateButtonStates();
+        this.updateCycleInfo();
+        this.updateTimerStatus('点击开始学习', '');
+        this.profileView.render(this.profiles.getAll(), this.profiles.activeId);
+
+        if (this.statsView.isVisible()) {
+            this.statsView.render(this.history);
+        }
+        if (this.badgeShelf.isVisible()) {
+            this.badgeShelf.render(this.achievements);
+        }
+
+        this.checkResume();
+        this.checkSchedule();
+    }
+
     /**
      * 加载配置
      * @returns {Object} 配置对象
      */
     loadConfig() {
         try {
-            const saved = localStorage.getItem(CONFIG_KEY);
+            const saved = localStorage.getItem(this.profiles.storageKey(CONFIG_KEY));
             if (saved) {
                 return { ...DEFAULT_CONFIG, ...JSON.parse(saved) };
             }
@@ -448,7 +2595,7 @@ class App {
      */
     saveConfig() {
         try {
-            localStorage.setItem(CONFIG_KEY, JSON.stringify(this.config));
+            localStorage.setItem(this.profiles.storageKey(CONFIG_KEY), JSON.stringify(this.config));
         } catch (e) {
             console.warn('无法保存配置:', e.message);
         }
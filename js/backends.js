@@ -0,0 +1,552 @@
+/**
+ * Backends 检测后端模块
+ * 为 DistractionDetector 提供可替换的画面分析实现
+ *
+ * 每个后端都提供：
+ * - async load()            加载模型，成功返回 true
+ * - async analyze(canvas)   分析一帧，返回统一格式的结果
+ *
+ * 分析结果格式：
+ * {
+ *   present: boolean,       // 画面中是否有人
+ *   lookingAway: boolean,   // 是否没有看屏幕
+ *   face: {                 // 人脸信息，检测不到时为 null
+ *     x, y, width, height,  // 人脸框（画面像素）
+ *     yaw, pitch            // 头部左右/上下转角（度），无法估计时为 null
+ *   } | null
+ * }
+ *
+ * 本文件也会被检测 Worker（detector-worker.js）加载，
+ * 因此全局对象统一用 self，画布和脚本加载都要兼容没有 document 的环境。
+ */
+
+// 本地人脸模型脚本和权重路径（随应用一起部署，不访问网络）
+const FACE_MODEL_SCRIPT = 'vendor/face-api/face-api.js';
+const FACE_MODEL_PATH = 'models';
+
+// 检测后端类型
+const DetectionBackendType = {
+    AUTO: 'auto',           // 自动选择可用的最佳后端
+    FACE_MODEL: 'faceModel',// 本地人脸关键点模型
+    NATIVE: 'native',       // 浏览器自带 FaceDetector
+    SKIN: 'skin'            // 肤色比例（简单算法，兜底）
+};
+
+/**
+ * 根据眼睛、鼻子、嘴的位置估计头部转角
+ * 正脸时鼻尖在两眼中点正下方，转头时鼻尖会偏向一侧
+ * @param {Object} points - { leftEye, rightEye, nose, mouth }，每项为 {x, y}
+ * @returns {{yaw: number, pitch: number|null}} 转角（度）
+ */
+function estimateHeadPose({ leftEye, rightEye, nose, mouth }) {
+    const eyeMidX = (leftEye.x + rightEye.x) / 2;
+    const eyeMidY = (leftEye.y + rightEye.y) / 2;
+    const eyeDistance = Math.hypot(rightEye.x - leftEye.x, rightEye.y - leftEye.y) || 1;
+
+    // 左右转角：鼻尖偏离两眼中点的距离与眼距之比
+    const yawRatio = Math.max(-1, Math.min(1, 2 * (nose.x - eyeMidX) / eyeDistance));
+    const yaw = Math.asin(yawRatio) * 180 / Math.PI;
+
+    // 上下转角：鼻尖在眼睛和嘴之间的相对位置，正脸约为 0.55
+    let pitch = null;
+    if (mouth) {
+        const span = (mouth.y - eyeMidY) || 1;
+        const pitchRatio = (nose.y - eyeMidY) / span;
+        pitch = Math.max(-90, Math.min(90, (pitchRatio - 0.55) * 180));
+    }
+
+    return { yaw, pitch };
+}
+
+/**
+ * 求百分位数
+ * @param {Array<number>} values - 数值列表
+ * @param {number} p - 0~1 之间的百分位
+ * @returns {number} 列表为空时返回 NaN
+ */
+function percentile(values, p) {
+    if (values.length === 0) return NaN;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))));
+    return sorted[index];
+}
+
+/**
+ * 求一组点的中心
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {{x: number, y: number}}
+ */
+function centerOf(points) {
+    const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+    return { x: sum.x / points.length, y: sum.y / points.length };
+}
+
+/**
+ * 当前是否运行在 Worker 中（没有 document）
+ * @returns {boolean}
+ */
+function isWorkerScope() {
+    return typeof document === 'undefined';
+}
+
+/**
+ * 把相对站点根目录的路径换算为当前环境可用的路径
+ * Worker 脚本在 js/ 目录下，相对路径要多退一级
+ * @param {string} path - 相对站点根目录的路径
+ * @returns {string}
+ */
+function resolveAppPath(path) {
+    return isWorkerScope() ? '../' + path : path;
+}
+
+/**
+ * 创建画布（Worker 中使用 OffscreenCanvas）
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+function createCanvas(width, height) {
+    if (isWorkerScope()) {
+        return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Worker 中 face-api 使用的环境
+ * face-api 只在有 window 和 document 时自动设置环境，Worker 中要自己提供：
+ * 画布用 OffscreenCanvas，没有图片和视频元素
+ * @returns {Object} face-api 的环境对象（见 faceapi.env.setEnv）
+ */
+function createWorkerFaceApiEnv() {
+    // 只用于 instanceof 判断，Worker 中不会出现这两种输入
+    class UnavailableElement {}
+    const unavailable = (name) => () => {
+        throw new Error('Worker 中不能创建' + name);
+    };
+
+    return {
+        Canvas: OffscreenCanvas,
+        CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+        Image: UnavailableElement,
+        ImageData,
+        Video: UnavailableElement,
+        createCanvasElement: () => new OffscreenCanvas(1, 1),
+        createImageElement: unavailable('图片元素'),
+        createVideoElement: unavailable('视频元素'),
+        fetch: (...args) => self.fetch(...args),
+        readFile: unavailable('文件读取')
+    };
+}
+
+/**
+ * 动态加载本地脚本
+ * @param {string} src - 脚本路径（相对站点根目录）
+ * @returns {Promise<void>}
+ */
+function loadScript(src) {
+    if (isWorkerScope()) {
+        return new Promise((resolve) => {
+            // importScripts 是同步的，失败时直接抛出
+            importScripts(resolveAppPath(src));
+            resolve();
+        });
+    }
+
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error('无法加载 ' + src));
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * SkinHeuristicBackend 类 - 肤色比例检测（V2.0 的原始算法）
+ * 只看画面中心 100x100 区域的肤色像素比例，不依赖任何模型
+ */
+class SkinHeuristicBackend {
+    constructor() {
+        this.type = DetectionBackendType.SKIN;
+        this.label = '简单检测';
+        // 肤色比例阈值
+        this.presenceRatio = 0.1;   // 高于此值认为有人
+        this.lookAwayRatio = 0.05;  // 低于此值认为头转开了
+    }
+
+    async load() {
+        return true;
+    }
+
+    /**
+     * 分析一帧
+     * @param {HTMLCanvasElement} canvas - 已绘制当前帧的画布
+     * @returns {Promise<Object>} 分析结果
+     */
+    async analyze(canvas) {
+        const ctx = canvas.getContext('2d');
+
+        // 获取图像中心区域的数据（假设人脸在中心）
+        const centerX = canvas.width / 2 - 50;
+        const centerY = canvas.height / 2 - 50;
+        const imageData = ctx.getImageData(centerX, centerY, 100, 100);
+
+        const analysis = this.analyzeImage(imageData);
+
+        return {
+            present: analysis.skinRatio > this.presenceRatio,
+            lookingAway: analysis.skinRatio < this.lookAwayRatio,
+            face: null,
+            ...analysis
+        };
+    }
+
+    /**
+     * 根据校准样本计算阈值
+     * 有人阈值取"空座位"和"看屏幕"之间，转头阈值取"转头"和"看屏幕"之间
+     * @param {Object} samples - { empty, screen, away } 三组分析结果
+     * @returns {Object|null} 阈值，有人和没人区分不开时返回 null
+     */
+    calibrate({ empty, screen, away }) {
+        const ratios = list => list.map(a => a.skinRatio);
+        const emptyHigh = percentile(ratios(empty), 0.9);
+        const screenLow = percentile(ratios(screen), 0.1);
+        const awayHigh = percentile(ratios(away), 0.9);
+
+        if (!(screenLow > emptyHigh)) return null;
+
+        const presenceRatio = (emptyHigh + screenLow) / 2;
+        const lookAwayRatio = awayHigh < screenLow
+            ? (awayHigh + screenLow) / 2
+            : presenceRatio / 2;
+
+        return {
+            presenceRatio,
+            lookAwayRatio: Math.min(lookAwayRatio, presenceRatio)
+        };
+    }
+
+    /**
+     * 应用校准阈值
+     * @param {Object} thresholds - calibrate() 的结果
+     */
+    applyCalibration(thresholds) {
+        this.presenceRatio = thresholds.presenceRatio;
+        this.lookAwayRatio = thresholds.lookAwayRatio;
+    }
+
+    /**
+     * 分析图像数据
+     * @returns {Object} 分析结果
+     */
+    analyzeImage(imageData) {
+        const data = imageData.data;
+        let totalBrightness = 0;
+        let skinPixels = 0;
+
+        // 遍历像素
+        for (let i = 0; i < data.length; i += 4) {
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
+
+            // 计算亮度
+            const brightness = (r + g + b) / 3;
+            totalBrightness += brightness;
+
+            // 简单的肤色检测（RGB范围）
+            if (r > 95 && g > 40 && b > 20 &&
+                r > g && r > b &&
+                Math.abs(r - g) > 15 &&
+                r - b > 15) {
+                skinPixels++;
+            }
+        }
+
+        const pixelCount = data.length / 4;
+        const avgBrightness = totalBrightness / pixelCount;
+        const skinRatio = skinPixels / pixelCount;
+
+        // 动作由 MotionAnalyzer 按整帧帧差计算，这里只给出亮度和肤色比例
+        return {
+            brightness: avgBrightness,
+            skinRatio: skinRatio
+        };
+    }
+}
+
+/**
+ * FaceAngleBackend 类 - 基于人脸框和头部转角的后端基类
+ * 子类实现 detectFace()，这里负责把人脸结果换算成统一格式
+ */
+class FaceAngleBackend {
+    constructor() {
+        // 头部转角阈值（度），超过认为没有看屏幕
+        this.maxYaw = 30;
+        this.maxPitch = 25;
+        // 看屏幕时的基准转角（摄像头不在正前方时不为 0）
+        this.yawOffset = 0;
+        this.pitchOffset = 0;
+    }
+
+    /**
+     * 分析一帧
+     * @param {HTMLCanvasElement} canvas - 已绘制当前帧的画布
+     * @returns {Promise<Object>} 分析结果
+     */
+    async analyze(canvas) {
+        const face = await this.detectFace(canvas);
+
+        if (!face) {
+            // 画面里找不到正脸：可能离开了，也可能头完全转开了
+            return { present: false, lookingAway: true, face: null };
+        }
+
+        const turnedAway = (face.yaw !== null && Math.abs(face.yaw - this.yawOffset) > this.maxYaw) ||
+            (face.pitch !== null && Math.abs(face.pitch - this.pitchOffset) > this.maxPitch);
+
+        return { present: true, lookingAway: turnedAway, face };
+    }
+
+    /**
+     * 根据校准样本计算阈值
+     * 以"看屏幕"时的转角为基准，阈值取看屏幕和转头时偏离程度的中间
+     * @param {Object} samples - { empty, screen, away } 三组分析结果
+     * @returns {Object|null} 阈值，看屏幕时大多检测不到人脸时返回 null
+     */
+    calibrate({ screen, away }) {
+        const screenFaces = screen.filter(a => a.face && a.face.yaw !== null).map(a => a.face);
+        if (screenFaces.length < screen.length / 2) return null;
+
+        const awayFaces = away.filter(a => a.face && a.face.yaw !== null).map(a => a.face);
+        const pitches = list => list.filter(f => f.pitch !== null).map(f => f.pitch);
+
+        const yawOffset = percentile(screenFaces.map(f => f.yaw), 0.5);
+        const screenPitches = pitches(screenFaces);
+        const pitchOffset = screenPitches.length > 0 ? percentile(screenPitches, 0.5) : 0;
+
+        // 阈值：转头样本足够时取中间值，否则在看屏幕的晃动范围上留出余量
+        const threshold = (screenDeviations, awayDeviations, min, max) => {
+            const screenHigh = percentile(screenDeviations, 0.9);
+            const value = awayDeviations.length > 0
+                ? (screenHigh + percentile(awayDeviations, 0.5)) / 2
+                : screenHigh + 15;
+            return Math.max(min, Math.min(max, value));
+        };
+
+        return {
+            yawOffset,
+            pitchOffset,
+            maxYaw: threshold(
+                screenFaces.map(f => Math.abs(f.yaw - yawOffset)),
+                awayFaces.map(f => Math.abs(f.yaw - yawOffset)),
+                10, 60
+            ),
+            maxPitch: screenPitches.length > 0
+                ? threshold(
+                    screenPitches.map(p => Math.abs(p - pitchOffset)),
+                    pitches(awayFaces).map(p => Math.abs(p - pitchOffset)),
+                    10, 60
+                )
+                : this.maxPitch
+        };
+    }
+
+    /**
+     * 应用校准阈值
+     * @param {Object} thresholds - calibrate() 的结果
+     */
+    applyCalibration(thresholds) {
+        this.yawOffset = thresholds.yawOffset;
+        this.pitchOffset = thresholds.pitchOffset;
+        this.maxYaw = thresholds.maxYaw;
+        this.maxPitch = thresholds.maxPitch;
+    }
+}
+
+/**
+ * FaceModelBackend 类 - 本地人脸关键点模型
+ * 使用随应用部署的 face-api 脚本和权重（见 models/README.md），完全离线运行
+ */
+class FaceModelBackend extends FaceAngleBackend {
+    constructor() {
+        super();
+        this.type = DetectionBackendType.FACE_MODEL;
+        this.label = '人脸模型';
+        this.options = null;
+    }
+
+    async load() {
+        try {
+            if (!self.faceapi) {
+                await loadScript(FACE_MODEL_SCRIPT);
+            }
+            if (isWorkerScope()) {
+                self.faceapi.env.setEnv(createWorkerFaceApiEnv());
+            }
+            // 等 TensorFlow.js 选好可用的计算后端（没有 WebGL 时改用 CPU）
+            await self.faceapi.tf.ready();
+            await self.faceapi.nets.tinyFaceDetector.loadFromUri(resolveAppPath(FACE_MODEL_PATH));
+            await self.faceapi.nets.faceLandmark68TinyNet.loadFromUri(resolveAppPath(FACE_MODEL_PATH));
+
+            this.options = new self.faceapi.TinyFaceDetectorOptions({
+                inputSize: 224,
+                scoreThreshold: 0.5
+            });
+            return true;
+        } catch (error) {
+            console.log('本地人脸模型不可用:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * 检测人脸和 68 个关键点
+     * @returns {Promise<Object|null>} 人脸信息
+     */
+    async detectFace(canvas) {
+        const result = await self.faceapi
+            .detectSingleFace(canvas, this.options)
+            .withFaceLandmarks(true);
+
+        if (!result) return null;
+
+        const box = result.detection.box;
+        const points = result.landmarks.positions;
+        // 68 点模型：36-41 左眼，42-47 右眼，30 鼻尖，48-67 嘴
+        const pose = estimateHeadPose({
+            leftEye: centerOf(points.slice(36, 42)),
+            rightEye: centerOf(points.slice(42, 48)),
+            nose: points[30],
+            mouth: centerOf(points.slice(48, 68))
+        });
+
+        return {
+            x: box.x,
+            y: box.y,
+            width: box.width,
+            height: box.height,
+            yaw: pose.yaw,
+            pitch: pose.pitch
+        };
+    }
+}
+
+/**
+ * NativeFaceBackend 类 - 浏览器自带的 FaceDetector（Shape Detection API）
+ * 由浏览器在本地完成检测，部分浏览器不支持或不提供关键点
+ */
+class NativeFaceBackend extends FaceAngleBackend {
+    constructor() {
+        super();
+        this.type = DetectionBackendType.NATIVE;
+        this.label = '浏览器人脸检测';
+        this.faceDetector = null;
+    }
+
+    async load() {
+        if (!('FaceDetector' in self)) return false;
+
+        try {
+            this.faceDetector = new self.FaceDetector({ fastMode: true, maxDetectedFaces: 1 });
+            // 有的浏览器能创建对象但不能真正检测，先试一次
+            await this.faceDetector.detect(createCanvas(16, 16));
+            return true;
+        } catch (error) {
+            console.log('浏览器人脸检测不可用:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * 检测人脸和五官位置
+     * @returns {Promise<Object|null>} 人脸信息
+     */
+    async detectFace(canvas) {
+        const faces = await this.faceDetector.detect(canvas);
+        if (faces.length === 0) return null;
+
+        const face = faces[0];
+        const box = face.boundingBox;
+        const result = {
+            x: box.x,
+            y: box.y,
+            width: box.width,
+            height: box.height,
+            yaw: null,
+            pitch: null
+        };
+
+        // 五官位置（不同浏览器支持程度不同）
+        const landmarks = face.landmarks || [];
+        const eyes = landmarks.filter(l => l.type === 'eye').map(l => centerOf(l.locations));
+        const nose = landmarks.find(l => l.type === 'nose');
+        const mouth = landmarks.find(l => l.type === 'mouth');
+
+        if (eyes.length === 2 && nose) {
+            eyes.sort((a, b) => a.x - b.x);
+            const pose = estimateHeadPose({
+                leftEye: eyes[0],
+                rightEye: eyes[1],
+                nose: centerOf(nose.locations),
+                mouth: mouth ? centerOf(mouth.locations) : null
+            });
+            result.yaw = pose.yaw;
+            result.pitch = pose.pitch;
+        }
+
+        return result;
+    }
+}
+
+// 自动选择时的尝试顺序
+const BACKEND_CLASSES = {
+    [DetectionBackendType.FACE_MODEL]: FaceModelBackend,
+    [DetectionBackendType.NATIVE]: NativeFaceBackend,
+    [DetectionBackendType.SKIN]: SkinHeuristicBackend
+};
+
+/**
+ * 加载检测后端
+ * 指定的后端不可用时按 人脸模型 -> 浏览器人脸检测 -> 简单检测 的顺序回退
+ * @param {string} preference - DetectionBackendType 之一
+ * @returns {Promise<Object>} 已加载的后端
+ */
+async function loadDetectionBackend(preference = DetectionBackendType.AUTO) {
+    const order = Object.keys(BACKEND_CLASSES);
+    if (BACKEND_CLASSES[preference]) {
+        order.splice(order.indexOf(preference), 1);
+        order.unshift(preference);
+    }
+
+    for (const type of order) {
+        const backend = new BACKEND_CLASSES[type]();
+        if (await backend.load()) {
+            return backend;
+        }
+    }
+
+    // 简单检测总是可用，正常不会走到这里
+    return new SkinHeuristicBackend();
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DetectionBackendType,
+        SkinHeuristicBackend,
+        FaceModelBackend,
+        NativeFaceBackend,
+        loadDetectionBackend,
+        createCanvas,
+        createWorkerFaceApiEnv,
+        estimateHeadPose,
+        percentile
+    };
+}
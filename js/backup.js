@@ -0,0 +1,744 @@
+/**
+ * Backup 数据备份模块
+ * 把孩子资料、设置和学习记录导出为 JSON（备份恢复）或 CSV（表格查看），并从备份导入
+ */
+
+// 备份文件格式标识
+const BACKUP_FORMAT = 'childStudyReminderBackup';
+
+// 备份格式版本，格式有不兼容的改动时加1
+const BACKUP_VERSION = 1;
+
+// 导入方式
+const ImportMode = {
+    MERGE: 'merge',      // 合并：添加新的孩子和学习记录，本机已有的设置保留
+    REPLACE: 'replace'   // 替换：删除本机全部孩子的数据，换成备份中的
+};
+
+/**
+ * BackupManager 类 - 导出和导入
+ *
+ * 备份文件结构：
+ * {
+ *   format: BACKUP_FORMAT,
+ *   version: BACKUP_VERSION,
+ *   exportedAt: 导出时间戳,
+ *   activeId: 当前孩子ID,
+ *   profiles: [{ id, name, avatar, createdAt, data: { 数据键名: 数据 } }]
+ * }
+ * 进行中的会话存档、家长密码和上传的提示音不在备份中。
+ */
+class BackupManager {
+    /**
+     * @param {ProfileManager} profiles - 孩子资料
+     * @param {Array<string>} dataKeys - 要备份的按孩子隔离的数据键名
+     * @param {Object} dataDefaults - 数据键名 -> 默认值（如默认设置），导入时按它校验各项的类型
+     */
+    constructor(profiles, dataKeys, dataDefaults = {}) {
+        this.profiles = profiles;
+        this.dataKeys = dataKeys;
+        this.dataDefaults = dataDefaults;
+    }
+
+    /**
+     * 读取某个孩子的一项数据
+     * @param {string} key - 数据键名
+     * @param {string} id - 资料ID
+     * @returns {Object|null} 没有数据时返回 null
+     */
+    readData(key, id) {
+        try {
+            const saved = localStorage.getItem(ProfileManager.keyFor(key, id));
+            return saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            console.warn('无法读取备份数据:', e.message);
+            return null;
+        }
+    }
+
+    /**
+     * 写入某个孩子的一项数据
+     * @param {string} key - 数据键名
+     * @param {string} id - 资料ID
+     * @param {Object} value - 数据
+     */
+    writeData(key, id, value) {
+        try {
+            localStorage.setItem(ProfileManager.keyFor(key, id), JSON.stringify(value));
+        } catch (e) {
+            console.warn('无法写入导入的数据:', e.message);
+        }
+    }
+
+    /**
+     * 生成备份
+     * @returns {Object} 备份对象
+     */
+    createBackup() {
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            exportedAt: Date.now(),
+            activeId: this.profiles.activeId,
+            profiles: this.profiles.getAll().map(profile => {
+                const data = {};
+                this.dataKeys.forEach(key => {
+                    const value = this.readData(key, profile.id);
+                    if (value !== null) {
+                        data[key] = value;
+                    }
+                });
+                return { ...profile, data };
+            })
+        };
+    }
+
+    /**
+     * 生成全部学习记录的 CSV（每次学习一行，带 BOM 方便 Excel 打开）
+     * @returns {string}
+     */
+    createCSV() {
+        const rows = [[
+            '孩子', '日期', '开始', '结束', '专注分钟', '暂停次数', '完成休息', '未完成休息', '走神次数', '需家长关注', '平均躁动指数', '学习内容'
+        ]];
+
+        this.profiles.getAll().forEach(profile => {
+            const history = this.readData(HISTORY_KEY, profile.id);
+            const sessions = history && Array.isArray(history.sessions) ? history.sessions : [];
+
+            sessions.forEach(s => {
+                const start = new Date(s.startTime);
+                const restlessness = StudyHistory.averageRestlessness(s);
+                rows.push([
+                    profile.name,
+                    StudyHistory.dateKey(start),
+                    StatsView.formatClock(start),
+                    StatsView.formatClock(new Date(s.endTime)),
+                    Math.round(s.focusedSeconds / 60),
+                    s.pauses.length,
+                    s.breaks,
+                    s.skippedBreaks || 0,
+                    s.distractions.length,
+                    s.parentAlerts ? s.parentAlerts.length : 0,
+                    restlessness === null ? '' : restlessness,
+                    Object.entries(s.taskSeconds || {})
+                        .map(([task, seconds]) => `${task} ${Math.round(seconds / 60)}分`)
+                        .join('; ')
+                ]);
+            });
+        });
+
+        return '\uFEFF' + rows.map(row => row.map(BackupManager.escapeCSV).join(',')).join('\r\n');
+    }
+
+    /**
+     * 解析并校验备份文件
+     * @param {string} text - 文件内容
+     * @returns {{backup: Object|null, error: string|null}}
+     */
+    parse(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (e) {
+            return { backup: null, error: '文件不是有效的 JSON 备份' };
+        }
+
+        const error = this.validate(backup);
+        return error ? { backup: null, error } : { backup, error: null };
+    }
+
+    /**
+     * 校验备份结构
+     * 不认识的数据项会被去掉，不会写入本机
+     * @param {Object} backup - 备份对象
+     * @returns {string|null} 错误信息，合法时返回 null
+     */
+    validate(backup) {
+        if (!BackupManager.isObject(backup) || backup.format !== BACKUP_FORMAT) {
+            return '这不是学习提醒助手导出的备份文件';
+        }
+        if (!Number.isInteger(backup.version) || backup.version < 1) {
+            return '备份文件版本无效';
+        }
+        if (backup.version > BACKUP_VERSION) {
+            return '备份来自更新版本的应用，请先更新后再导入';
+        }
+        if (!Array.isArray(backup.profiles) || backup.profiles.length === 0) {
+            return '备份中没有孩子资料';
+        }
+
+        const ids = new Set();
+        for (const profile of backup.profiles) {
+            if (!BackupManager.isObject(profile) || typeof profile.id !== 'string' || !profile.id ||
+                typeof profile.name !== 'string' || typeof profile.avatar !== 'string' ||
+                !BackupManager.isObject(profile.data)) {
+                return '备份中的孩子资料格式不正确';
+            }
+            if (ids.has(profile.id)) {
+                return `备份中"${profile.name}"重复出现`;
+            }
+            ids.add(profile.id);
+
+            const error = this.validateData(profile.data);
+            if (error) {
+                return `"${profile.name}"的${error}`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 校验一个孩子的数据，去掉不在 dataKeys 中的数据项
+     * @param {Object} data - 数据键名 -> 数据
+     * @returns {string|null} 错误信息，合法时返回 null
+     */
+    validateData(data) {
+        Object.keys(data)
+            .filter(key => !this.dataKeys.includes(key))
+            .forEach(key => delete data[key]);
+
+        const checks = {
+            [HISTORY_KEY]: ['学习记录', BackupManager.isValidHistory],
+            [MESSAGES_KEY]: ['提醒内容', BackupManager.isValidMessages],
+            [ACHIEVEMENTS_KEY]: ['成就记录', BackupManager.isValidAchievements],
+            [REWARDS_KEY]: ['积分记录', BackupManager.isValidRewards],
+            [SCHEDULE_KEY]: ['课表', BackupManager.isValidSchedule],
+            [TASKS_KEY]: ['作业清单', BackupManager.isValidTasks]
+        };
+
+        for (const key of Object.keys(data)) {
+            const [label, isValid] = checks[key] || ['设置', value => BackupManager.matchesShape(value, this.dataDefaults[key] || {})];
+            if (!BackupManager.isObject(data[key]) || !isValid(data[key])) {
+                return `${label}格式不正确`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 学习记录：每次学习都要有ID、起止时间、专注秒数、暂停和走神列表
+     * @param {Object} history - 学习记录
+     * @returns {boolean}
+     */
+    static isValidHistory(history) {
+        return BackupManager.isArrayOf(history.sessions, s =>
+            BackupManager.isObject(s) && typeof s.id === 'string' &&
+            Number.isFinite(s.startTime) && Number.isFinite(s.endTime) &&
+            Number.isFinite(s.focusedSeconds) && s.focusedSeconds >= 0 &&
+            Array.isArray(s.pauses) && Array.isArray(s.distractions) && Number.isFinite(s.breaks)
+        );
+    }
+
+    /**
+     * 提醒内容：每个类型是 { title, text } 列表
+     * @param {Object} messages - 提醒内容
+     * @returns {boolean}
+     */
+    static isValidMessages(messages) {
+        return BackupManager.isOptional(messages.preset, v => typeof v === 'string') &&
+            BackupManager.isOptional(messages.rotation, v => typeof v === 'string') &&
+            BackupManager.isOptional(messages.enabledTypes, v => BackupManager.isArrayOf(v, t => typeof t === 'string')) &&
+            BackupManager.isOptional(messages.messages, v => BackupManager.isObject(v) &&
+                Object.values(v).every(list => BackupManager.isArrayOf(list, m =>
+                    BackupManager.isObject(m) && typeof m.title === 'string' && typeof m.text === 'string'
+                ))) &&
+            BackupManager.isOptional(messages.state, BackupManager.isObject);
+    }
+
+    /**
+     * 成就：成就ID -> 解锁时间戳
+     * @param {Object} achievements - 成就记录
+     * @returns {boolean}
+     */
+    static isValidAchievements(achievements) {
+        return BackupManager.isObject(achievements.unlocked) &&
+            Object.values(achievements.unlocked).every(Number.isFinite);
+    }
+
+    /**
+     * 积分：余额、流水、奖励和兑换申请
+     * @param {Object} rewards - 积分记录
+     * @returns {boolean}
+     */
+    static isValidRewards(rewards) {
+        return BackupManager.isOptional(rewards.balance, v => Number.isFinite(v) && v >= 0) &&
+            BackupManager.isOptional(rewards.entries, v => BackupManager.isArrayOf(v, e =>
+                BackupManager.isObject(e) && Number.isFinite(e.time) && Number.isFinite(e.amount)
+            )) &&
+            BackupManager.isOptional(rewards.rewards, v => BackupManager.isArrayOf(v, r =>
+                BackupManager.isObject(r) && typeof r.id === 'string' && typeof r.name === 'string' &&
+                Number.isFinite(r.cost) && r.cost > 0
+            )) &&
+            BackupManager.isOptional(rewards.requests, v => BackupManager.isArrayOf(v, r =>
+                BackupManager.isObject(r) && typeof r.id === 'string' && typeof r.status === 'string' &&
+                Number.isFinite(r.cost) && Number.isFinite(r.time)
+            ));
+    }
+
+    /**
+     * 课表：时段要能通过添加时段时的同样校验
+     * @param {Object} schedule - 课表
+     * @returns {boolean}
+     */
+    static isValidSchedule(schedule) {
+        return BackupManager.isOptional(schedule.slots, v => BackupManager.isArrayOf(v, slot =>
+            BackupManager.isObject(slot) && typeof slot.id === 'string' &&
+            BackupManager.isArrayOf(slot.days, d => Number.isInteger(d) && d >= 0 && d <= 6) &&
+            typeof slot.start === 'string' && typeof slot.end === 'string' && typeof slot.subject === 'string' &&
+            Number.isFinite(slot.createdAt) && StudySchedule.validateSlot(slot) === null
+        )) &&
+            BackupManager.isOptional(schedule.missed, v => BackupManager.isArrayOf(v, BackupManager.isObject)) &&
+            BackupManager.isOptional(schedule.lastCheck, v => v === null || Number.isFinite(v));
+    }
+
+    /**
+     * 作业清单：科目名列表和作业列表
+     * @param {Object} tasks - 作业清单
+     * @returns {boolean}
+     */
+    static isValidTasks(tasks) {
+        return BackupManager.isOptional(tasks.subjects, v => BackupManager.isArrayOf(v, s => typeof s === 'string')) &&
+            BackupManager.isOptional(tasks.items, v => BackupManager.isArrayOf(v, item =>
+                BackupManager.isObject(item) && typeof item.id === 'string' && typeof item.subject === 'string' &&
+                typeof item.title === 'string' && typeof item.dateKey === 'string' && typeof item.done === 'boolean'
+            ));
+    }
+
+    /**
+     * 预览导入会带来的变化
+     * @param {Object} backup - 已校验的备份
+     * @param {string} mode - 导入方式（见 ImportMode）
+     * @returns {Array<string>} 每行一条说明
+     */
+    preview(backup, mode) {
+        const lines = [];
+
+        if (mode === ImportMode.REPLACE) {
+            const current = this.profiles.getAll();
+            const sessions = current.reduce((sum, p) => sum + this.getSessions(p.id).length, 0);
+            lines.push(`⚠️ 删除本机 ${current.length} 个孩子的全部数据（${sessions} 条学习记录）`);
+            backup.profiles.forEach(p => {
+                lines.push(`${p.avatar} ${p.name}：${BackupManager.sessionsOf(p.data).length} 条学习记录，` +
+                    `${Object.keys(BackupManager.unlockedOf(p.data)).length} 个成就`);
+            });
+            return lines;
+        }
+
+        backup.profiles.forEach(p => {
+            const incoming = BackupManager.sessionsOf(p.data);
+
+            if (!this.profiles.getProfile(p.id)) {
+                lines.push(`${p.avatar} ${p.name}：新增孩子，${incoming.length} 条学习记录`);
+                return;
+            }
+
+            const existing = new Set(this.getSessions(p.id).map(s => s.id));
+            const newSessions = incoming.filter(s => !existing.has(s.id)).length;
+            const unlocked = (this.readData(ACHIEVEMENTS_KEY, p.id) || {}).unlocked || {};
+            const newBadges = Object.keys(BackupManager.unlockedOf(p.data)).filter(id => !unlocked[id]).length;
+            const local = this.profiles.getProfile(p.id);
+
+            if (newSessions === 0 && newBadges === 0) {
+                lines.push(`${local.avatar} ${local.name}：没有新的记录`);
+            } else {
+                lines.push(`${local.avatar} ${local.name}：新增 ${newSessions} 条学习记录、${newBadges} 个成就`);
+            }
+        });
+        lines.push('本机已有孩子的设置、积分、课表和作业保留不变');
+
+        return lines;
+    }
+
+    /**
+     * 导入备份
+     * @param {Object} backup - 已校验的备份
+     * @param {string} mode - 导入方式（见 ImportMode）
+     */
+    apply(backup, mode) {
+        if (mode === ImportMode.REPLACE) {
+            this.profiles.getAll().forEach(p => {
+                this.profiles.dataKeys.forEach(key => {
+                    try {
+                        localStorage.removeItem(ProfileManager.keyFor(key, p.id));
+                    } catch (e) {
+                        console.warn('无法删除孩子数据:', e.message);
+                    }
+                });
+            });
+
+            this.profiles.profiles = backup.profiles.map(BackupManager.profileOf);
+            this.profiles.activeId = this.profiles.getProfile(backup.activeId) ? backup.activeId : this.profiles.profiles[0].id;
+            backup.profiles.forEach(p => this.writeProfileData(p));
+            this.profiles.save();
+            return;
+        }
+
+        backup.profiles.forEach(p => {
+            if (!this.profiles.getProfile(p.id)) {
+                this.profiles.profiles.push(BackupManager.profileOf(p));
+                this.writeProfileData(p);
+                return;
+            }
+
+            this.dataKeys.forEach(key => {
+                const incoming = p.data[key];
+                if (!incoming) return;
+
+                const local = this.readData(key, p.id);
+                if (!local) {
+                    this.writeData(key, p.id, incoming);
+                } else if (key === HISTORY_KEY) {
+                    this.writeData(key, p.id, BackupManager.mergeHistory(local, incoming));
+                } else if (key === ACHIEVEMENTS_KEY) {
+                    this.writeData(key, p.id, BackupManager.mergeAchievements(local, incoming));
+                }
+            });
+        });
+        this.profiles.save();
+    }
+
+    /**
+     * 写入备份中一个孩子的全部数据
+     * @param {Object} profile - 备份中的孩子
+     */
+    writeProfileData(profile) {
+        this.dataKeys.forEach(key => {
+            if (profile.data[key]) {
+                this.writeData(key, profile.id, profile.data[key]);
+            }
+        });
+    }
+
+    /**
+     * 读取某个孩子已结束的会话
+     * @param {string} id - 资料ID
+     * @returns {Array<Object>}
+     */
+    getSessions(id) {
+        return BackupManager.sessionsOf({ [HISTORY_KEY]: this.readData(HISTORY_KEY, id) });
+    }
+
+    /**
+     * 合并学习记录：按会话ID去重，按开始时间排序
+     * @param {Object} local - 本机的学习记录
+     * @param {Object} incoming - 备份中的学习记录
+     * @returns {Object}
+     */
+    static mergeHistory(local, incoming) {
+        const localSessions = Array.isArray(local.sessions) ? local.sessions : [];
+        const ids = new Set(localSessions.map(s => s.id));
+        const sessions = localSessions
+            .concat(incoming.sessions.filter(s => !ids.has(s.id)))
+            .sort((a, b) => a.startTime - b.startTime);
+
+        return { ...local, sessions: sessions.slice(-MAX_SESSIONS) };
+    }
+
+    /**
+     * 合并成就：同一成就取较早的解锁时间
+     * @param {Object} local - 本机的成就
+     * @param {Object} incoming - 备份中的成就
+     * @returns {Object}
+     */
+    static mergeAchievements(local, incoming) {
+        const unlocked = { ...(local.unlocked || {}) };
+        Object.entries(incoming.unlocked).forEach(([id, time]) => {
+            unlocked[id] = unlocked[id] ? Math.min(unlocked[id], time) : time;
+        });
+
+        return { ...local, unlocked };
+    }
+
+    /**
+     * 备份中一个孩子的会话列表
+     * @param {Object} data - 数据键名 -> 数据
+     * @returns {Array<Object>}
+     */
+    static sessionsOf(data) {
+        const history = data[HISTORY_KEY];
+        return history && Array.isArray(history.sessions) ? history.sessions : [];
+    }
+
+    /**
+     * 备份中一个孩子已解锁的成就
+     * @param {Object} data - 数据键名 -> 数据
+     * @returns {Object<string, number>}
+     */
+    static unlockedOf(data) {
+        const achievements = data[ACHIEVEMENTS_KEY];
+        return achievements && achievements.unlocked ? achievements.unlocked : {};
+    }
+
+    /**
+     * 备份中的孩子转成资料对象（去掉数据）
+     * @param {Object} profile - 备份中的孩子
+     * @returns {Object}
+     */
+    static profileOf(profile) {
+        return {
+            id: profile.id,
+            name: profile.name.slice(0, PROFILE_NAME_MAX),
+            avatar: profile.avatar,
+            createdAt: profile.createdAt || Date.now()
+        };
+    }
+
+    /**
+     * 是否为普通对象
+     * @param {*} value - 值
+     * @returns {boolean}
+     */
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * 是否为每一项都符合要求的数组
+     * @param {*} value - 值
+     * @param {Function} isValid - 检查每一项的函数
+     * @returns {boolean}
+     */
+    static isArrayOf(value, isValid) {
+        return Array.isArray(value) && value.every(item => isValid(item));
+    }
+
+    /**
+     * 没有这一项，或有且符合要求（读取时缺少的项会用默认值）
+     * @param {*} value - 值
+     * @param {Function} isValid - 检查函数
+     * @returns {boolean}
+     */
+    static isOptional(value, isValid) {
+        return value === undefined || isValid(value);
+    }
+
+    /**
+     * 值的类型是否和示例一致
+     * 对象只检查示例中有的项，缺少的项读取时会用默认值；示例为 null 时允许 null 或对象
+     * @param {*} value - 值
+     * @param {*} example - 示例（如默认设置）
+     * @returns {boolean}
+     */
+    static matchesShape(value, example) {
+        if (example === null) {
+            return value === null || BackupManager.isObject(value);
+        }
+        if (Array.isArray(example)) {
+            return Array.isArray(value);
+        }
+        if (BackupManager.isObject(example)) {
+            return BackupManager.isObject(value) && Object.keys(example).every(key =>
+                value[key] === undefined || BackupManager.matchesShape(value[key], example[key])
+            );
+        }
+        if (typeof example === 'number') {
+            return Number.isFinite(value);
+        }
+        return typeof value === typeof example;
+    }
+
+    /**
+     * CSV 单元格转义
+     * @param {*} value - 单元格内容
+     * @returns {string}
+     */
+    static escapeCSV(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }
+
+    /**
+     * 生成带日期的文件名
+     * @param {string} extension - 扩展名
+     * @returns {string} 如 "学习提醒备份-2024-05-01.json"
+     */
+    static fileName(extension) {
+        return `学习提醒备份-${StudyHistory.dateKey(new Date())}.${extension}`;
+    }
+}
+
+/**
+ * BackupView 类 - 设置面板中的导出和导入
+ */
+class BackupView {
+    constructor() {
+        // DOM元素引用
+        this.exportJsonBtn = null;
+        this.exportCsvBtn = null;
+        this.importFileInput = null;
+        this.preview = null;
+        this.previewList = null;
+        this.modeInputs = [];
+        this.confirmBtn = null;
+        this.cancelBtn = null;
+        // 回调函数
+        this.exportCallback = null;
+        this.fileCallback = null;
+        this.modeChangeCallback = null;
+        this.confirmCallback = null;
+        this.cancelCallback = null;
+    }
+
+    /**
+     * 初始化
+     * 绑定DOM元素和事件
+     */
+    init() {
+        this.exportJsonBtn = document.getElementById('exportJsonBtn');
+        this.exportCsvBtn = document.getElementById('exportCsvBtn');
+        this.importFileInput = document.getElementById('importFile');
+        this.preview = document.getElementById('importPreview');
+        this.previewList = document.getElementById('importPreviewList');
+        this.modeInputs = Array.from(document.querySelectorAll('input[name="importMode"]'));
+        this.confirmBtn = document.getElementById('confirmImportBtn');
+        this.cancelBtn = document.getElementById('cancelImportBtn');
+
+        if (this.exportJsonBtn) {
+            this.exportJsonBtn.addEventListener('click', () => {
+                if (this.exportCallback) {
+                    this.exportCallback('json');
+                }
+            });
+        }
+        if (this.exportCsvBtn) {
+            this.exportCsvBtn.addEventListener('click', () => {
+                if (this.exportCallback) {
+                    this.exportCallback('csv');
+                }
+            });
+        }
+        if (this.importFileInput) {
+            this.importFileInput.addEventListener('change', () => {
+                const file = this.importFileInput.files[0];
+                // 清空以便再次选择同一个文件
+                this.importFileInput.value = '';
+                if (file && this.fileCallback) {
+                    file.text().then(text => this.fileCallback(text));
+                }
+            });
+        }
+        this.modeInputs.forEach(input => {
+            input.addEventListener('change', () => {
+                if (this.modeChangeCallback) {
+                    this.modeChangeCallback(this.getMode());
+                }
+            });
+        });
+        if (this.confirmBtn) {
+            this.confirmBtn.addEventListener('click', () => {
+                if (this.confirmCallback) {
+                    this.confirmCallback(this.getMode());
+                }
+            });
+        }
+        if (this.cancelBtn) {
+            this.cancelBtn.addEventListener('click', () => {
+                if (this.cancelCallback) {
+                    this.cancelCallback();
+                }
+            });
+        }
+    }
+
+    /**
+     * 当前选择的导入方式
+     * @returns {string} 见 ImportMode
+     */
+    getMode() {
+        const checked = this.modeInputs.find(input => input.checked);
+        return checked ? checked.value : ImportMode.MERGE;
+    }
+
+    /**
+     * 显示导入预览
+     * @param {Array<string>} lines - 变化说明
+     */
+    showPreview(lines) {
+        if (!this.preview) return;
+
+        this.previewList.innerHTML = '';
+        lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            this.previewList.appendChild(item);
+        });
+        this.preview.classList.remove('hidden');
+    }
+
+    /**
+     * 隐藏导入预览并恢复默认的合并方式
+     */
+    hidePreview() {
+        if (!this.preview) return;
+
+        this.preview.classList.add('hidden');
+        this.modeInputs.forEach(input => {
+            input.checked = input.value === ImportMode.MERGE;
+        });
+    }
+
+    /**
+     * 下载文件
+     * @param {string} fileName - 文件名
+     * @param {string} content - 文件内容
+     * @param {string} type - MIME 类型
+     */
+    static download(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * 注册导出回调
+     * @param {Function} callback - 回调函数，参数为格式（'json' 或 'csv'）
+     */
+    onExport(callback) {
+        this.exportCallback = callback;
+    }
+
+    /**
+     * 注册选择导入文件回调
+     * @param {Function} callback - 回调函数，参数为文件内容
+     */
+    onFile(callback) {
+        this.fileCallback = callback;
+    }
+
+    /**
+     * 注册切换导入方式回调
+     * @param {Function} callback - 回调函数，参数为导入方式
+     */
+    onModeChange(callback) {
+        this.modeChangeCallback = callback;
+    }
+
+    /**
+     * 注册确认导入回调
+     * @param {Function} callback - 回调函数，参数为导入方式
+     */
+    onConfirm(callback) {
+        this.confirmCallback = callback;
+    }
+
+    /**
+     * 注册取消导入回调
+     * @param {Function} callback - 回调函数
+     */
+    onCancel(callback) {
+        this.cancelCallback = callback;
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BackupManager, BackupView, ImportMode, BACKUP_FORMAT, BACKUP_VERSION };
+}
@@ -0,0 +1,272 @@
+/**
+ * Calibration 摄像头校准模块
+ * 引导用户采集"空座位 / 看屏幕 / 转头"三组画面，为检测器计算适合当前房间的阈值
+ */
+
+// 校准步骤
+const CALIBRATION_STEPS = [
+    {
+        key: 'empty',
+        icon: '🪑',
+        title: '第1步：空座位',
+        message: '请先离开座位，让摄像头只拍到空椅子',
+        prepareSeconds: 5
+    },
+    {
+        key: 'screen',
+        icon: '🙂',
+        title: '第2步：看屏幕',
+        message: '请坐好，眼睛看着屏幕',
+        prepareSeconds: 3
+    },
+    {
+        key: 'away',
+        icon: '🙃',
+        title: '第3步：转头',
+        message: '请把头转向一边，或者低头看别处',
+        prepareSeconds: 3
+    }
+];
+
+// 每一步采集时长（毫秒）
+const CALIBRATION_SAMPLE_MS = 3000;
+
+/**
+ * CalibrationWizard 类 - 校准向导
+ */
+class CalibrationWizard {
+    constructor() {
+        // DOM元素引用
+        this.modal = null;
+        this.iconElement = null;
+        this.titleElement = null;
+        this.messageElement = null;
+        this.progressFill = null;
+        this.actionBtn = null;
+        this.cancelBtn = null;
+        // 运行状态
+        this.detector = null;
+        this.stepIndex = 0;
+        this.samples = {};
+        this.busy = false;
+        this.result = null;
+        this.resolveRun = null;
+        this.progressTimerId = null;
+    }
+
+    /**
+     * 初始化校准向导
+     * 绑定DOM元素和事件
+     */
+    init() {
+        this.modal = document.getElementById('calibrationModal');
+        this.iconElement = document.getElementById('calibrationIcon');
+        this.titleElement = document.getElementById('calibrationTitle');
+        this.messageElement = document.getElementById('calibrationMessage');
+        this.progressFill = document.getElementById('calibrationProgress');
+        this.actionBtn = document.getElementById('calibrationActionBtn');
+        this.cancelBtn = document.getElementById('calibrationCancelBtn');
+
+        if (this.actionBtn) {
+            this.actionBtn.addEventListener('click', () => {
+                this.handleAction();
+            });
+        }
+
+        if (this.cancelBtn) {
+            this.cancelBtn.addEventListener('click', () => {
+                this.finish(null);
+            });
+        }
+    }
+
+    /**
+     * 运行校准向导（检测器需已在运行）
+     * @param {DistractionDetector} detector - 检测器
+     * @returns {Promise<Object|null>} 校准结果，取消时为 null
+     */
+    run(detector) {
+        if (!this.modal) return Promise.resolve(null);
+
+        this.detector = detector;
+        this.modal.classList.remove('hidden');
+        this.restart();
+
+        return new Promise((resolve) => {
+            this.resolveRun = resolve;
+        });
+    }
+
+    /**
+     * 是否正在校准
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.resolveRun !== null;
+    }
+
+    /**
+     * 从第一步重新开始
+     */
+    restart() {
+        this.stepIndex = 0;
+        this.samples = {};
+        this.result = null;
+        this.showStep();
+    }
+
+    /**
+     * 显示当前步骤说明
+     */
+    showStep() {
+        const step = CALIBRATION_STEPS[this.stepIndex];
+
+        this.setContent(step.icon, step.title, step.message);
+        this.setProgress(0);
+        this.actionBtn.textContent = '开始采集';
+        this.actionBtn.disabled = false;
+    }
+
+    /**
+     * 处理主按钮点击：采集 / 重试 / 完成
+     */
+    handleAction() {
+        if (this.busy) return;
+
+        if (this.result) {
+            this.finish(this.result);
+        } else if (this.stepIndex >= CALIBRATION_STEPS.length) {
+            this.restart();
+        } else {
+            this.captureStep();
+        }
+    }
+
+    /**
+     * 采集当前步骤的样本
+     */
+    async captureStep() {
+        const step = CALIBRATION_STEPS[this.stepIndex];
+        const detector = this.detector;
+
+        this.busy = true;
+        this.actionBtn.disabled = true;
+
+        // 准备倒计时，留时间摆好姿势
+        for (let i = step.prepareSeconds; i > 0; i--) {
+            this.messageElement.textContent = `${step.message}（${i} 秒后开始）`;
+            await CalibrationWizard.wait(1000);
+            if (!this.isRunning()) return;
+        }
+
+        this.messageElement.textContent = '采集中，请保持不动...';
+        this.animateProgress(CALIBRATION_SAMPLE_MS);
+        const samples = await detector.captureSamples(CALIBRATION_SAMPLE_MS);
+        this.stopProgress();
+        if (!this.isRunning()) return;
+
+        this.samples[step.key] = samples;
+        this.stepIndex++;
+        this.busy = false;
+
+        if (this.stepIndex < CALIBRATION_STEPS.length) {
+            this.showStep();
+        } else {
+            this.complete();
+        }
+    }
+
+    /**
+     * 三步都采集完成，计算校准结果
+     */
+    complete() {
+        this.result = this.detector.calibrate(this.samples);
+        this.actionBtn.disabled = false;
+
+        if (this.result) {
+            this.setContent('✅', '校准完成', '已根据你的房间和坐姿调整检测灵敏度');
+            this.actionBtn.textContent = '完成';
+        } else {
+            this.setContent('😕', '校准没有成功', '有人和没人时的画面区别不明显，请调整摄像头位置或灯光后再试一次');
+            this.actionBtn.textContent = '重新校准';
+        }
+    }
+
+    /**
+     * 结束校准并关闭弹窗
+     * @param {Object|null} result - 校准结果
+     */
+    finish(result) {
+        this.stopProgress();
+        this.busy = false;
+        if (this.detector) {
+            this.detector.cancelCapture();
+        }
+
+        if (this.modal) {
+            this.modal.classList.add('hidden');
+        }
+
+        const resolve = this.resolveRun;
+        this.resolveRun = null;
+        if (resolve) {
+            resolve(result);
+        }
+    }
+
+    /**
+     * 设置弹窗内容
+     */
+    setContent(icon, title, message) {
+        this.iconElement.textContent = icon;
+        this.titleElement.textContent = title;
+        this.messageElement.textContent = message;
+    }
+
+    /**
+     * 设置进度条
+     * @param {number} ratio - 0~1
+     */
+    setProgress(ratio) {
+        if (this.progressFill) {
+            this.progressFill.style.width = Math.round(ratio * 100) + '%';
+        }
+    }
+
+    /**
+     * 按时间推进进度条
+     * @param {number} durationMs - 总时长（毫秒）
+     */
+    animateProgress(durationMs) {
+        const start = Date.now();
+
+        this.stopProgress();
+        this.progressTimerId = setInterval(() => {
+            this.setProgress(Math.min(1, (Date.now() - start) / durationMs));
+        }, 100);
+    }
+
+    /**
+     * 停止进度条动画
+     */
+    stopProgress() {
+        if (this.progressTimerId) {
+            clearInterval(this.progressTimerId);
+            this.progressTimerId = null;
+        }
+    }
+
+    /**
+     * 等待一段时间
+     * @param {number} ms - 毫秒
+     * @returns {Promise<void>}
+     */
+    static wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CalibrationWizard, CALIBRATION_STEPS };
+}
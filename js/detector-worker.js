@@ -0,0 +1,52 @@
+/**
+ * 检测 Worker
+ * 在后台线程中分析摄像头画面，不占用页面主线程（由 frames.js 的 WorkerFrameAnalyzer 启动）
+ *
+ * 消息：
+ * - { type: 'load', preference }        加载检测后端，
+ *                                       回复 { type: 'loaded', backend } 或 { type: 'loaded', error }
+ * - { type: 'frame', id, frame }        分析一帧（ImageBitmap），
+ *                                       回复 { type: 'result', id, analysis, busyMs } 或 { type: 'result', id, error }
+ * - { type: 'calibrate', thresholds }   应用检测后端的校准阈值
+ * - { type: 'reset' }                   清除上一帧
+ *
+ * 画面只在内存中分析，不保存、不发送到任何地方。
+ */
+
+importScripts('backends.js', 'motion.js', 'frames.js');
+
+const pipeline = new FramePipeline();
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'load':
+            try {
+                await pipeline.load(message.preference);
+                self.postMessage({ type: 'loaded', backend: pipeline.backend.type });
+            } catch (error) {
+                self.postMessage({ type: 'loaded', error: error.message });
+            }
+            break;
+
+        case 'frame':
+            try {
+                const { analysis, busyMs } = await pipeline.analyze(message.frame);
+                self.postMessage({ type: 'result', id: message.id, analysis, busyMs });
+            } catch (error) {
+                self.postMessage({ type: 'result', id: message.id, error: error.message });
+            } finally {
+                message.frame.close();
+            }
+            break;
+
+        case 'calibrate':
+            pipeline.applyCalibration(message.thresholds);
+            break;
+
+        case 'reset':
+            pipeline.reset();
+            break;
+    }
+};
@@ -4,10 +4,56 @@
  * 
  * 技术说明：
  * - 使用浏览器原生 MediaDevices API 获取摄像头
- * - 使用简单的图像亮度变化检测是否有人
- * - 适合初学者理解，无需复杂的机器学习库
+ * - 画面分析由可替换的检测后端完成（见 backends.js）：
+ *   优先使用本地人脸模型，不可用时回退到简单的肤色检测
+ * - 分析尽量放在检测 Worker 中进行（见 frames.js），主线程只负责取帧和判断状态
+ * - 自适应帧率：状态稳定时逐渐降到每秒 1 帧，有变化时立即恢复每秒 10 帧，省电
+ * - 画面中断（摄像头拔出、被其他程序占用、设备休眠）时按人离开处理，并逐渐拉长间隔自动重连
+ * - 坐姿检测：把人脸大小和位置与校准时"看屏幕"的基准比较，
+ *   判断是否离屏幕太近、是否趴下或歪向一边（需要能找到人脸的检测方式）
+ * - 动作检测：整帧帧差得到各区域的活动量和躁动指数（见 motion.js），
+ *   长时间坐不住也算走神
  */
 
+// 坐姿问题类型
+const PostureIssue = {
+    TOO_CLOSE: 'tooClose',     // 离屏幕太近
+    BAD_POSTURE: 'badPosture'  // 趴下、歪向一边
+};
+
+// 坐姿问题持续多久才提醒（毫秒），避免偶尔动一下就提醒
+const POSTURE_HOLD_MS = 3000;
+
+// 默认允许偏离基准的比例
+const DEFAULT_POSTURE_TOLERANCE = 0.25;
+
+// 检测间隔（毫秒）：有变化时用最快的间隔，稳定时每帧放慢一些，直到最慢的间隔
+const DETECT_FAST_MS = 100;
+const DETECT_SLOW_MS = 1000;
+const DETECT_SLOWDOWN = 1.2;
+
+// 运动比例超过此值认为画面有变化
+const MOTION_ACTIVE_SCORE = 0.02;
+
+// 检测负载的统计周期（毫秒）
+const PERFORMANCE_REPORT_MS = 1000;
+
+// 画面静音（mute）超过此时间认为中断（毫秒），短暂静音会自己恢复
+const STREAM_MUTE_GRACE_MS = 3000;
+
+// 自动重连：第一次等 1 秒，之后每次加倍，最长 30 秒，最多尝试 8 次
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30 * 1000;
+const RECONNECT_MAX_ATTEMPTS = 8;
+
+// 摄像头连接状态（onStreamStatus 回调）
+const StreamStatus = {
+    RECONNECTING: 'reconnecting',  // 画面中断，等待重连
+    RESTORED: 'restored',          // 重连成功
+    FAILED: 'failed',              // 多次重连失败，摄像头已关闭
+    FALLBACK: 'fallback'           // 选择的摄像头不可用，改用默认摄像头
+};
+
 /**
  * DistractionDetector 类 - 走神检测器
  */
@@ -15,34 +61,67 @@ class DistractionDetector {
     constructor() {
         // 摄像头视频流
         this.stream = null;
+        // 选择的摄像头设备ID，空字符串为默认（前置摄像头）
+        this.deviceId = '';
+        this.usingFallbackDevice = false;       // 选择的摄像头不可用，正在用默认摄像头
+        // 画面静音计时器ID
+        this.muteTimerId = null;
+        // 自动重连
+        this.reconnecting = false;
+        this.reconnectAttempt = 0;
+        this.reconnectTimerId = null;
+        this.resumeAfterReconnect = false;      // 重连后是否继续检测
         // 视频元素
         this.video = null;
-        // Canvas 用于图像分析
-        this.canvas = null;
-        this.ctx = null;
+        // 画面分析器（Worker 或主线程，见 frames.js）
+        this.analyzer = null;
         // 检测状态
         this.isRunning = false;
-        // 检测间隔ID
-        this.detectIntervalId = null;
+        // 下一次检测的定时器ID
+        this.detectTimerId = null;
+        // 当前检测间隔（毫秒）
+        this.frameInterval = DETECT_FAST_MS;
+        // 检测负载统计 { start, frames, busyMs }
+        this.performanceWindow = null;
         // 回调函数
         this.onPersonDetectedCallback = null;  // 检测到人
         this.onPersonLeftCallback = null;       // 人离开
         this.onDistractedCallback = null;       // 走神
         this.onFocusedCallback = null;          // 恢复专注
         this.onErrorCallback = null;            // 错误回调
+        this.onTooCloseCallback = null;         // 离屏幕太近
+        this.onBadPostureCallback = null;       // 坐姿不正
+        this.onPostureGoodCallback = null;      // 坐姿恢复正常
+        this.onMotionCallback = null;           // 每帧的动作分析结果
+        this.onPerformanceCallback = null;      // 检测负载（每秒一次）
+        this.onCameraChangeCallback = null;     // 摄像头开启/关闭
+        this.onStreamStatusCallback = null;     // 画面中断和重连
         // 状态
         this.personPresent = false;             // 是否有人
         this.isDistracted = false;              // 是否走神
         this.distractionStartTime = null;       // 走神开始时间
         this.distractionThreshold = 5000;       // 走神阈值（毫秒）
-        // 图像分析参数
-        this.lastBrightness = 0;
-        this.brightnessHistory = [];
-        this.historySize = 10;
+        // 检测后端
+        this.backend = null;
+        this.backendPreference = DetectionBackendType.AUTO;
+        this.analyzing = false;                 // 上一帧是否还在分析
+        // 校准
+        this.calibration = null;                // 当前校准结果
+        this.sampleBuffer = null;               // 采集校准样本时的缓冲区
         // 人脸检测相关
         this.lastFacePosition = null;
         this.noFaceCount = 0;
         this.noFaceThreshold = 30;  // 连续30帧没检测到脸判定为离开
+        // 坐姿检测
+        this.postureEnabled = true;
+        this.postureBaseline = null;            // 看屏幕时的人脸宽度和中心（分析画面像素），来自校准
+        this.postureTolerance = DEFAULT_POSTURE_TOLERANCE;
+        this.postureState = { [PostureIssue.TOO_CLOSE]: false, [PostureIssue.BAD_POSTURE]: false };
+        this.postureSince = { [PostureIssue.TOO_CLOSE]: null, [PostureIssue.BAD_POSTURE]: null };
+        // 动作检测（运动图在画面分析器中计算）
+        this.restlessness = new RestlessnessMeter();
+        this.restlessLevel = RESTLESS_DISTRACTION_LEVEL;
+        this.lastMotion = null;                 // 最近一帧的动作分析结果
     }
 
     /**
@@ -52,32 +131,29 @@ class DistractionDetector {
      */
     async init(videoElement) {
         this.video = videoElement;
-        
-        // 创建隐藏的 canvas 用于图像分析
-        this.canvas = document.createElement('canvas');
-        this.canvas.width = 320;
-        this.canvas.height = 240;
-        this.ctx = this.canvas.getContext('2d');
 
         try {
-            // 请求摄像头权限
-            this.stream = await navigator.mediaDevices.getUserMedia({
-                video: {
-                    width: { ideal: 320 },
-                    height: { ideal: 240 },
-                    facingMode: 'user'  // 前置摄像头
-                },
-                audio: false
-            });
-
-            // 将视频流绑定到视频元素
-            this.video.srcObject = this.stream;
-            await this.video.play();
+            // 请求摄像头权限，并将视频流绑定到视频元素
+            await this.attachStream(await this.openStream());
 
-            console.log('摄像头初始化成功');
+            // 加载画面分析器和检测后端
+            if (this.analyzer) {
+                this.analyzer.close();
+            }
+            this.analyzer = await createFrameAnalyzer(this.backendPreference);
+            this.backend = this.analyzer.backend;
+            this.applyCalibration(this.calibration);
+
+            console.log('摄像头初始化成功，检测方式:', this.backend.label,
+                this.analyzer.inWorker ? '（Worker）' : '（主线程）');
+            if (this.onCameraChangeCallback) {
+                this.onCameraChangeCallback(true);
+            }
             return true;
         } catch (error) {
             console.error('摄像头初始化失败:', error);
+            // 已经拿到画面时也要关掉，不留下开着的摄像头
+            this.close();
             if (this.onErrorCallback) {
                 this.onErrorCallback(this.getErrorMessage(error));
             }
@@ -85,6 +161,247 @@ class DistractionDetector {
         }
     }
 
+    /**
+     * 打开摄像头
+     * 选择的摄像头不可用（已拔出）时改用默认的前置摄像头
+     * @returns {Promise<MediaStream>}
+     */
+    async openStream() {
+        const size = { width: { ideal: 320 }, height: { ideal: 240 } };
+        const request = video => navigator.mediaDevices.getUserMedia({ video, audio: false });
+
+        this.usingFallbackDevice = false;
+        if (!this.deviceId) {
+            return request({ ...size, facingMode: 'user' });  // 前置摄像头
+        }
+
+        try {
+            return await request({ ...size, deviceId: { exact: this.deviceId } });
+        } catch (error) {
+            if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError') throw error;
+
+            console.warn('选择的摄像头不可用，改用默认摄像头:', error.message);
+            const stream = await request({ ...size, facingMode: 'user' });
+            this.usingFallbackDevice = true;
+            this.notifyStreamStatus(StreamStatus.FALLBACK);
+            return stream;
+        }
+    }
+
+    /**
+     * 使用新的视频流，并监听画面中断
+     * @param {MediaStream} stream - 视频流
+     */
+    async attachStream(stream) {
+        this.stream = stream;
+        this.video.srcObject = stream;
+        await this.video.play();
+
+        const track = stream.getVideoTracks()[0];
+        if (!track) return;
+
+        track.addEventListener('ended', () => {
+            if (this.stream === stream) {
+                this.handleStreamLost('摄像头已断开');
+            }
+        });
+        // 静音（没有新画面）一段时间没恢复也算中断
+        track.addEventListener('mute', () => {
+            clearTimeout(this.muteTimerId);
+            this.muteTimerId = setTimeout(() => {
+                if (this.stream === stream) {
+                    this.handleStreamLost('摄像头没有画面');
+                }
+            }, STREAM_MUTE_GRACE_MS);
+        });
+        track.addEventListener('unmute', () => {
+            clearTimeout(this.muteTimerId);
+            this.muteTimerId = null;
+        });
+    }
+
+    /**
+     * 停止并释放视频流
+     */
+    releaseStream() {
+        clearTimeout(this.muteTimerId);
+        this.muteTimerId = null;
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+
+        if (this.video) {
+            this.video.srcObject = null;
+        }
+    }
+
+    /**
+     * 视频轨道是否已经结束（有的浏览器不触发 ended 事件）
+     * @returns {boolean}
+     */
+    isStreamEnded() {
+        const track = this.stream && this.stream.getVideoTracks()[0];
+        return !!track && track.readyState === 'ended';
+    }
+
+    /**
+     * 画面中断：按人离开处理，然后开始自动重连
+     * @param {string} reason - 中断原因（用于日志）
+     */
+    handleStreamLost(reason) {
+        if (this.reconnecting || !this.stream) return;
+
+        console.warn('摄像头画面中断:', reason);
+        this.reconnecting = true;
+        this.resumeAfterReconnect = this.isRunning;
+        this.stop();
+        this.releaseStream();
+
+        // 没有画面就不能再认为人还在座位上
+        if (this.personPresent) {
+            this.personPresent = false;
+            this.isDistracted = false;
+            this.distractionStartTime = null;
+            this.noFaceCount = 0;
+            if (this.onPersonLeftCallback) {
+                this.onPersonLeftCallback();
+            }
+        }
+
+        if (this.onCameraChangeCallback) {
+            this.onCameraChangeCallback(false);
+        }
+
+        this.reconnectAttempt = 0;
+        this.scheduleReconnect();
+    }
+
+    /**
+     * 安排下一次重连，超过最多次数时关闭摄像头
+     */
+    scheduleReconnect() {
+        this.reconnectAttempt++;
+
+        if (this.reconnectAttempt > RECONNECT_MAX_ATTEMPTS) {
+            this.close();
+            this.notifyStreamStatus(StreamStatus.FAILED);
+            return;
+        }
+
+        const delayMs = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (this.reconnectAttempt - 1));
+        this.notifyStreamStatus(StreamStatus.RECONNECTING, { attempt: this.reconnectAttempt, delayMs });
+        this.reconnectTimerId = setTimeout(() => {
+            this.reconnectTimerId = null;
+            this.reconnect();
+        }, delayMs);
+    }
+
+    /**
+     * 尝试重新打开摄像头
+     */
+    async reconnect() {
+        let stream;
+        try {
+            stream = await this.openStream();
+        } catch (error) {
+            console.warn('摄像头重新连接失败:', error.message);
+            if (this.reconnecting) {
+                this.scheduleReconnect();
+            }
+            return;
+        }
+
+        // 等待期间摄像头被关闭了
+        if (!this.reconnecting) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+
+        try {
+            await this.attachStream(stream);
+        } catch (error) {
+            console.warn('摄像头重新连接失败:', error.message);
+            this.releaseStream();
+            this.scheduleReconnect();
+            return;
+        }
+
+        this.reconnecting = false;
+        this.reconnectAttempt = 0;
+        console.log('摄像头已重新连接');
+        this.notifyStreamStatus(StreamStatus.RESTORED);
+        if (this.onCameraChangeCallback) {
+            this.onCameraChangeCallback(true);
+        }
+        if (this.resumeAfterReconnect) {
+            this.start();
+        }
+    }
+
+    /**
+     * 正在等待重连时立即重试（如插上了摄像头）
+     */
+    retryReconnect() {
+        if (!this.reconnectTimerId) return;
+
+        clearTimeout(this.reconnectTimerId);
+        this.reconnectTimerId = null;
+        this.reconnect();
+    }
+
+    /**
+     * 是否因选择的摄像头不可用而在用默认摄像头
+     * @returns {boolean}
+     */
+    isUsingFallbackDevice() {
+        return this.usingFallbackDevice;
+    }
+
+    /**
+     * 是否正在等待重连
+     * @returns {boolean}
+     */
+    isReconnecting() {
+        return this.reconnecting;
+    }
+
+    /**
+     * 通知摄像头连接状态
+     * @param {string} status - StreamStatus 之一
+     * @param {Object} detail - 附加信息（重连时为 { attempt, delayMs }）
+     */
+    notifyStreamStatus(status, detail = {}) {
+        if (this.onStreamStatusCallback) {
+            this.onStreamStatusCallback(status, detail);
+        }
+    }
+
+    /**
+     * 选择摄像头（下次打开摄像头时生效）
+     * @param {string} deviceId - 设备ID，空字符串为默认
+     */
+    setDeviceId(deviceId) {
+        this.deviceId = deviceId || '';
+    }
+
+    /**
+     * 列出可用的摄像头
+     * 还没有授权摄像头时浏览器不提供名称，用序号代替
+     * @returns {Promise<Array<Object>>} [{ deviceId, label }]
+     */
+    static async listCameras() {
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            return devices
+                .filter(device => device.kind === 'videoinput')
+                .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `摄像头 ${i + 1}` }));
+        } catch {
+            return [];
+        }
+    }
+
     /**
      * 获取友好的错误信息
      */
@@ -106,11 +423,9 @@ class DistractionDetector {
         if (this.isRunning || !this.video) return;
         
         this.isRunning = true;
-        
-        // 每100ms检测一次（10fps）
-        this.detectIntervalId = setInterval(() => {
-            this.detect();
-        }, 100);
+        this.frameInterval = DETECT_FAST_MS;
+        this.performanceWindow = { start: performance.now(), frames: 0, busyMs: 0 };
+        this.scheduleDetect(0);
 
         console.log('开始检测');
     }
@@ -120,28 +435,62 @@ class DistractionDetector {
      */
     stop() {
         this.isRunning = false;
+        this.resetPosture(false);
+        this.resetMotion();
         
-        if (this.detectIntervalId) {
-            clearInterval(this.detectIntervalId);
-            this.detectIntervalId = null;
+        if (this.detectTimerId) {
+            clearTimeout(this.detectTimerId);
+            this.detectTimerId = null;
         }
 
         console.log('停止检测');
     }
 
+    /**
+     * 安排下一次检测
+     * 间隔从本帧开始算起，分析耗时计入间隔
+     * @param {number} delay - 延迟（毫秒）
+     */
+    scheduleDetect(delay) {
+        this.detectTimerId = setTimeout(async () => {
+            const startedAt = performance.now();
+            await this.detect();
+            if (this.isRunning) {
+                this.scheduleDetect(Math.max(0, this.frameInterval - (performance.now() - startedAt)));
+            }
+        }, delay);
+    }
+
     /**
      * 关闭摄像头
      */
     close() {
         this.stop();
-        
-        if (this.stream) {
-            this.stream.getTracks().forEach(track => track.stop());
-            this.stream = null;
+
+        // 停止自动重连
+        this.reconnecting = false;
+        this.reconnectAttempt = 0;
+        if (this.reconnectTimerId) {
+            clearTimeout(this.reconnectTimerId);
+            this.reconnectTimerId = null;
         }
 
-        if (this.video) {
-            this.video.srcObject = null;
+        // 重新打开后从头判断有没有人
+        this.personPresent = false;
+        this.isDistracted = false;
+        this.distractionStartTime = null;
+        this.noFaceCount = 0;
+
+        const wasOpen = this.stream !== null;
+        this.releaseStream();
+
+        if (this.analyzer) {
+            this.analyzer.close();
+            this.analyzer = null;
+        }
+
+        if (wasOpen && this.onCameraChangeCallback) {
+            this.onCameraChangeCallback(false);
         }
 
         console.log('摄像头已关闭');
@@ -149,75 +498,57 @@ class DistractionDetector {
 
     /**
      * 执行一次检测
-     * 简单算法：通过图像中心区域的变化来判断是否有人
+     * 把整帧交给画面分析器（动作分析和检测后端）；分析较慢时跳过分析中的帧
      */
-    detect() {
-        if (!this.video || !this.ctx) return;
+    async detect() {
+        if (!this.video || !this.analyzer || this.analyzing) return;
 
-        // 将视频帧绘制到 canvas
-        this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
+        if (this.isStreamEnded()) {
+            this.handleStreamLost('摄像头已断开');
+            return;
+        }
 
-        // 获取图像中心区域的数据（假设人脸在中心）
-        const centerX = this.canvas.width / 2 - 50;
-        const centerY = this.canvas.height / 2 - 50;
-        const imageData = this.ctx.getImageData(centerX, centerY, 100, 100);
-        
-        // 分析图像
-        const analysis = this.analyzeImage(imageData);
-        
-        // 判断是否有人
-        this.checkPersonPresence(analysis);
-        
-        // 判断是否走神（基于运动检测）
-        this.checkDistraction(analysis);
-    }
+        this.analyzing = true;
+        try {
+            const { analysis, busyMs } = await this.analyzer.analyze(this.video);
+            if (!this.isRunning) return;
 
-    /**
-     * 分析图像数据
-     * @returns {Object} 分析结果
-     */
-    analyzeImage(imageData) {
-        const data = imageData.data;
-        let totalBrightness = 0;
-        let skinPixels = 0;
-        
-        // 遍历像素
-        for (let i = 0; i < data.length; i += 4) {
-            const r = data[i];
-            const g = data[i + 1];
-            const b = data[i + 2];
-            
-            // 计算亮度
-            const brightness = (r + g + b) / 3;
-            totalBrightness += brightness;
-            
-            // 简单的肤色检测（RGB范围）
-            if (r > 95 && g > 40 && b > 20 &&
-                r > g && r > b &&
-                Math.abs(r - g) > 15 &&
-                r - b > 15) {
-                skinPixels++;
+            this.lastFacePosition = analysis.face;
+            this.recordPerformance(busyMs);
+
+            // 有变化时立即加快检测，稳定时逐渐放慢
+            this.adaptFrameRate(analysis);
+
+            // 校准采集中：只收集样本，不触发回调
+            if (this.sampleBuffer) {
+                this.sampleBuffer.push(analysis);
+                return;
             }
-        }
 
-        const pixelCount = data.length / 4;
-        const avgBrightness = totalBrightness / pixelCount;
-        const skinRatio = skinPixels / pixelCount;
+            // 判断是否有人
+            this.checkPersonPresence(analysis);
 
-        return {
-            brightness: avgBrightness,
-            skinRatio: skinRatio,
-            hasMotion: Math.abs(avgBrightness - this.lastBrightness) > 5
-        };
+            // 更新躁动指数
+            this.updateMotion(analysis.motion);
+
+            // 判断是否走神（头部转开或坐不住）
+            this.checkDistraction(analysis);
+
+            // 判断坐姿
+            this.checkPosture(analysis);
+        } catch (error) {
+            console.warn('画面分析失败:', error.message);
+        } finally {
+            this.analyzing = false;
+        }
     }
 
     /**
      * 检查是否有人在座位上
      */
     checkPersonPresence(analysis) {
-        // 通过肤色比例判断是否有人
-        // 如果中心区域有足够的肤色像素，认为有人
-        const hasPersonNow = analysis.skinRatio > 0.1;
+        // 由检测后端判断画面中是否有人
+        const hasPersonNow = analysis.present;
 
         if (hasPersonNow && !this.personPresent) {
             // 人来了
@@ -232,6 +563,8 @@ class DistractionDetector {
             if (this.noFaceCount > this.noFaceThreshold) {
                 this.personPresent = false;
                 this.isDistracted = false;
+                this.resetPosture(true);
+                this.restlessness.reset();
                 if (this.onPersonLeftCallback) {
                     this.onPersonLeftCallback();
                 }
@@ -239,24 +572,107 @@ class DistractionDetector {
         } else if (hasPersonNow) {
             this.noFaceCount = 0;
         }
+    }
+
+    /**
+     * 更新躁动指数
+     * 只统计有人时的帧；光线突变的帧不计入
+     * @param {Object} motion - MotionAnalyzer.analyze() 的结果
+     */
+    updateMotion(motion) {
+        this.lastMotion = motion;
+        if (this.personPresent && !motion.lightingChange) {
+            this.restlessness.add(motion.score);
+        }
+
+        if (this.onMotionCallback) {
+            this.onMotionCallback(motion.regions, this.getRestlessness());
+        }
+    }
+
+    /**
+     * 根据画面是否稳定调整检测间隔
+     * 有人/没人、转头、走神计时、坐姿问题、明显的动作、校准采集，任何一项都按最快间隔检测，
+     * 保证离开、走神等判定和原来一样及时；其余情况每帧放慢一些
+     * @param {Object} analysis - 本帧的分析结果
+     */
+    adaptFrameRate(analysis) {
+        const changing = this.sampleBuffer !== null ||
+            analysis.present !== this.personPresent ||
+            this.noFaceCount > 0 ||
+            analysis.lookingAway ||
+            this.distractionStartTime !== null ||
+            this.isDistracted ||
+            this.isRestless() ||
+            Object.values(this.postureSince).some(since => since !== null) ||
+            this.hasPostureIssue() ||
+            (analysis.motion && analysis.motion.score > MOTION_ACTIVE_SCORE);
+
+        this.frameInterval = changing
+            ? DETECT_FAST_MS
+            : Math.min(DETECT_SLOW_MS, this.frameInterval * DETECT_SLOWDOWN);
+    }
+
+    /**
+     * 累计分析耗时，每个统计周期报告一次检测负载
+     * @param {number} busyMs - 本帧的分析耗时（毫秒）
+     */
+    recordPerformance(busyMs) {
+        const stats = this.performanceWindow;
+        if (!stats) return;
+
+        stats.frames++;
+        stats.busyMs += busyMs;
+
+        const elapsed = performance.now() - stats.start;
+        if (elapsed < PERFORMANCE_REPORT_MS) return;
+
+        if (this.onPerformanceCallback) {
+            this.onPerformanceCallback({
+                fps: stats.frames * 1000 / elapsed,
+                load: Math.min(1, stats.busyMs / elapsed),
+                inWorker: this.analyzer.inWorker
+            });
+        }
+        this.performanceWindow = { start: performance.now(), frames: 0, busyMs: 0 };
+    }
 
-        // 更新亮度历史
-        this.brightnessHistory.push(analysis.brightness);
-        if (this.brightnessHistory.length > this.historySize) {
-            this.brightnessHistory.shift();
+    /**
+     * 清空动作检测状态
+     */
+    resetMotion() {
+        if (this.analyzer) {
+            this.analyzer.reset();
         }
-        this.lastBrightness = analysis.brightness;
+        this.restlessness.reset();
+        this.lastMotion = null;
+    }
+
+    /**
+     * 当前躁动指数（0~100）
+     * @returns {number}
+     */
+    getRestlessness() {
+        return this.restlessness.getValue();
+    }
+
+    /**
+     * 是否坐不住（躁动指数达到阈值）
+     * @returns {boolean}
+     */
+    isRestless() {
+        return this.getRestlessness() >= this.restlessLevel;
     }
 
     /**
      * 检查是否走神
-     * 简单逻辑：如果肤色比例突然降低（头转向别处），判定为走神
+     * 后端判断头部转开（转角过大或肤色比例突然降低），或躁动指数过高，
+     * 持续超过阈值判定为走神
      */
     checkDistraction(analysis) {
         if (!this.personPresent) return;
 
-        // 肤色比例低于阈值，可能头转向了
-        const isLookingAway = analysis.skinRatio < 0.05;
+        const isLookingAway = analysis.lookingAway || this.isRestless();
 
         if (isLookingAway && !this.isDistracted) {
             // 开始走神
@@ -281,6 +697,229 @@ class DistractionDetector {
         }
     }
 
+    /**
+     * 检查坐姿
+     * 人脸比基准大得多为离屏幕太近，明显低于或偏离基准位置为坐姿不正；
+     * 超过容差并持续一段时间才提醒，回到容差一半以内才算恢复，避免在边界来回跳
+     * @param {Object} analysis - 检测后端的分析结果
+     */
+    checkPosture(analysis) {
+        if (!this.postureEnabled || !this.postureBaseline || !this.personPresent || !analysis.face) return;
+
+        const { sizeRatio, drop, shift } = this.measurePosture(analysis.face);
+        const t = this.postureTolerance;
+
+        this.updatePostureIssue(PostureIssue.TOO_CLOSE, sizeRatio > 1 + t, sizeRatio < 1 + t / 2);
+        this.updatePostureIssue(
+            PostureIssue.BAD_POSTURE,
+            drop > 2 * t || Math.abs(shift) > 3 * t,
+            drop < t && Math.abs(shift) < 1.5 * t
+        );
+    }
+
+    /**
+     * 比较人脸与坐姿基准
+     * @param {Object} face - 人脸框 { x, y, width, height }
+     * @returns {{sizeRatio: number, drop: number, shift: number}}
+     *   sizeRatio 为人脸宽度与基准之比；drop（向下为正）、shift 为中心偏移了几个基准脸宽
+     */
+    measurePosture(face) {
+        const base = this.postureBaseline;
+
+        return {
+            sizeRatio: face.width / base.faceWidth,
+            drop: (face.y + face.height / 2 - base.centerY) / base.faceWidth,
+            shift: (face.x + face.width / 2 - base.centerX) / base.faceWidth
+        };
+    }
+
+    /**
+     * 更新一种坐姿问题的状态
+     * @param {string} issue - 坐姿问题（见 PostureIssue）
+     * @param {boolean} exceeded - 是否超过容差
+     * @param {boolean} recovered - 是否已回到正常范围
+     */
+    updatePostureIssue(issue, exceeded, recovered) {
+        if (!this.postureState[issue]) {
+            if (!exceeded) {
+                this.postureSince[issue] = null;
+            } else if (!this.postureSince[issue]) {
+                this.postureSince[issue] = Date.now();
+            } else if (Date.now() - this.postureSince[issue] >= POSTURE_HOLD_MS) {
+                this.postureState[issue] = true;
+                const callback = issue === PostureIssue.TOO_CLOSE ? this.onTooCloseCallback : this.onBadPostureCallback;
+                if (callback) {
+                    callback();
+                }
+            }
+        } else if (recovered) {
+            this.postureState[issue] = false;
+            this.postureSince[issue] = null;
+            if (!this.hasPostureIssue() && this.onPostureGoodCallback) {
+                this.onPostureGoodCallback();
+            }
+        }
+    }
+
+    /**
+     * 是否有未恢复的坐姿问题
+     * @returns {boolean}
+     */
+    hasPostureIssue() {
+        return Object.values(this.postureState).some(Boolean);
+    }
+
+    /**
+     * 清除坐姿状态（人离开或停止检测时）
+     * @param {boolean} notify - 有未恢复的问题时是否触发恢复回调
+     */
+    resetPosture(notify) {
+        const hadIssue = this.hasPostureIssue();
+
+        Object.keys(this.postureState).forEach(issue => {
+            this.postureState[issue] = false;
+            this.postureSince[issue] = null;
+        });
+
+        if (notify && hadIssue && this.onPostureGoodCallback) {
+            this.onPostureGoodCallback();
+        }
+    }
+
+    /**
+     * 设置坐姿检测
+     * @param {boolean} enabled - 是否检测坐姿
+     * @param {number} tolerancePercent - 允许偏离基准的百分比
+     */
+    setPostureOptions(enabled, tolerancePercent) {
+        this.postureEnabled = enabled;
+        this.postureTolerance = tolerancePercent / 100;
+        if (!enabled) {
+            this.resetPosture(true);
+        }
+    }
+
+    /**
+     * 当前是否能检测坐姿（需要校准出的坐姿基准）
+     * @returns {boolean}
+     */
+    canCheckPosture() {
+        return this.postureBaseline !== null;
+    }
+
+    /**
+     * 设置检测后端偏好（下次初始化摄像头时生效）
+     * @param {string} type - DetectionBackendType 之一
+     */
+    setBackendPreference(type) {
+        this.backendPreference = type || DetectionBackendType.AUTO;
+    }
+
+    /**
+     * 获取当前检测后端名称
+     * @returns {string}
+     */
+    getBackendLabel() {
+        return this.backend ? this.backend.label : '';
+    }
+
+    /**
+     * 采集一段时间的分析结果（用于校准）
+     * 采集期间不会触发有人/离开/走神回调
+     * @param {number} durationMs - 采集时长（毫秒）
+     * @returns {Promise<Array<Object>>} 分析结果列表
+     */
+    captureSamples(durationMs) {
+        this.sampleBuffer = [];
+
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                const samples = this.sampleBuffer || [];
+                this.sampleBuffer = null;
+                resolve(samples);
+            }, durationMs);
+        });
+    }
+
+    /**
+     * 取消正在进行的样本采集，恢复正常检测
+     */
+    cancelCapture() {
+        this.sampleBuffer = null;
+    }
+
+    /**
+     * 根据校准样本计算当前检测后端的阈值
+     * @param {Object} samples - { empty, screen, away } 三组分析结果
+     * @returns {Object|null} 校准结果，样本无法区分时返回 null
+     */
+    calibrate(samples) {
+        if (!this.backend) return null;
+
+        const thresholds = this.backend.calibrate(samples);
+        if (!thresholds) return null;
+
+        // 坐着时偶尔会有几帧检测不到，离开判定要比最长的连续漏检更久
+        let longestMiss = 0;
+        let miss = 0;
+        samples.screen.forEach(a => {
+            miss = a.present ? 0 : miss + 1;
+            longestMiss = Math.max(longestMiss, miss);
+        });
+
+        return {
+            backend: this.backend.type,
+            thresholds,
+            noFaceThreshold: Math.max(10, Math.min(100, longestMiss * 2)),
+            posture: DistractionDetector.postureBaselineOf(samples.screen),
+            calibratedAt: Date.now()
+        };
+    }
+
+    /**
+     * 由"看屏幕"样本计算坐姿基准（人脸宽度和中心取中位数）
+     * @param {Array<Object>} screen - 看屏幕时的分析结果
+     * @returns {Object|null} { faceWidth, centerX, centerY }，大多数样本找不到人脸时返回 null
+     */
+    static postureBaselineOf(screen) {
+        const faces = screen.filter(a => a.face).map(a => a.face);
+        if (faces.length === 0 || faces.length < screen.length / 2) return null;
+
+        return {
+            faceWidth: percentile(faces.map(f => f.width), 0.5),
+            centerX: percentile(faces.map(f => f.x + f.width / 2), 0.5),
+            centerY: percentile(faces.map(f => f.y + f.height / 2), 0.5)
+        };
+    }
+
+    /**
+     * 应用校准结果
+     * 只有校准时使用的检测后端与当前后端一致时才生效
+     * @param {Object|null} calibration - calibrate() 的结果
+     */
+    applyCalibration(calibration) {
+        this.calibration = calibration;
+
+        this.postureBaseline = null;
+
+        // 摄像头关闭时没有分析器，下次初始化时会重新应用
+        if (calibration && this.analyzer && this.isCalibratedFor(calibration)) {
+            this.analyzer.applyCalibration(calibration.thresholds);
+            this.noFaceThreshold = calibration.noFaceThreshold;
+            // 旧版本的校准结果没有坐姿基准，重新校准后才能检测坐姿
+            this.postureBaseline = calibration.posture || null;
+        }
+    }
+
+    /**
+     * 校准结果是否适用于当前检测后端
+     * @param {Object|null} calibration - 校准结果
+     * @returns {boolean}
+     */
+    isCalibratedFor(calibration) {
+        return !!(calibration && this.backend && calibration.backend === this.backend.type);
+    }
+
     /**
      * 设置走神阈值（秒）
      */
@@ -311,6 +950,50 @@ class DistractionDetector {
         this.onErrorCallback = callback;
     }
 
+    onTooClose(callback) {
+        this.onTooCloseCallback = callback;
+    }
+
+    onBadPosture(callback) {
+        this.onBadPostureCallback = callback;
+    }
+
+    onPostureGood(callback) {
+        this.onPostureGoodCallback = callback;
+    }
+
+    onMotion(callback) {
+        this.onMotionCallback = callback;
+    }
+
+    onPerformance(callback) {
+        this.onPerformanceCallback = callback;
+    }
+
+    onCameraChange(callback) {
+        this.onCameraChangeCallback = callback;
+    }
+
+    onStreamStatus(callback) {
+        this.onStreamStatusCallback = callback;
+    }
+
+    /**
+     * 摄像头是否开启
+     * @returns {boolean}
+     */
+    isCameraOn() {
+        return this.stream !== null;
+    }
+
+    /**
+     * 画面是否在后台线程中分析
+     * @returns {boolean}
+     */
+    isInWorker() {
+        return !!(this.analyzer && this.analyzer.inWorker);
+    }
+
     /**
      * 检查摄像头是否可用
      */
@@ -326,5 +1009,5 @@ class DistractionDetector {
 
 // 导出
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { DistractionDetector };
+    module.exports = { DistractionDetector, PostureIssue, POSTURE_HOLD_MS, StreamStatus };
 }
@@ -0,0 +1,255 @@
+/**
+ * Frames 画面分析管线
+ * 把视频帧交给动作分析和检测后端，供 DistractionDetector 使用
+ *
+ * - WorkerFrameAnalyzer：在检测 Worker（detector-worker.js）中分析，
+ *   主线程只用 createImageBitmap 取帧并转交给 Worker，不做 drawImage / getImageData
+ * - FramePipeline：实际的分析过程；Worker 中使用它，浏览器不支持 Worker 分析时也直接在主线程使用
+ *
+ * 两者接口相同：
+ * - async load(preference)        加载检测后端，返回是否成功
+ * - async analyze(source)         分析一帧（视频元素或 ImageBitmap），返回 { analysis, busyMs }
+ * - applyCalibration(thresholds)  应用检测后端的校准阈值
+ * - reset()                       清除上一帧（动作检测重新开始）
+ * - close()                       释放资源
+ * - backend                       检测后端（用于计算校准阈值、显示名称）
+ * - inWorker                      是否在 Worker 中分析
+ */
+
+// 检测 Worker 脚本（相对站点根目录）
+const DETECTOR_WORKER_SCRIPT = 'js/detector-worker.js';
+
+// 分析画面尺寸
+const ANALYSIS_WIDTH = 320;
+const ANALYSIS_HEIGHT = 240;
+
+/**
+ * FramePipeline 类 - 在当前线程分析画面
+ */
+class FramePipeline {
+    constructor() {
+        this.inWorker = false;
+        this.backend = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.motion = new MotionAnalyzer();
+    }
+
+    /**
+     * 创建分析画布并加载检测后端
+     * @param {string} preference - DetectionBackendType 之一
+     * @returns {Promise<boolean>}
+     */
+    async load(preference) {
+        this.canvas = createCanvas(ANALYSIS_WIDTH, ANALYSIS_HEIGHT);
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        this.backend = await loadDetectionBackend(preference);
+        return true;
+    }
+
+    /**
+     * 分析一帧
+     * @param {HTMLVideoElement|ImageBitmap} source - 画面来源
+     * @returns {Promise<Object>} { analysis, busyMs }
+     */
+    async analyze(source) {
+        const startedAt = performance.now();
+
+        this.ctx.drawImage(source, 0, 0, ANALYSIS_WIDTH, ANALYSIS_HEIGHT);
+
+        // 整帧帧差（在后端分析之前取图，后端可能会在画布上处理）
+        const motion = this.motion.analyze(this.ctx.getImageData(0, 0, ANALYSIS_WIDTH, ANALYSIS_HEIGHT));
+
+        const analysis = await this.backend.analyze(this.canvas);
+        analysis.motion = motion;
+
+        return { analysis, busyMs: performance.now() - startedAt };
+    }
+
+    applyCalibration(thresholds) {
+        this.backend.applyCalibration(thresholds);
+    }
+
+    reset() {
+        this.motion.reset();
+    }
+
+    close() {
+        this.canvas = null;
+        this.ctx = null;
+    }
+}
+
+/**
+ * WorkerFrameAnalyzer 类 - 把画面交给检测 Worker 分析
+ * 帧以 ImageBitmap 转移（transfer）给 Worker，不复制像素
+ */
+class WorkerFrameAnalyzer {
+    constructor() {
+        this.inWorker = true;
+        // 主线程上同类型的检测后端（不加载模型），只用于计算校准阈值和显示名称
+        this.backend = null;
+        this.worker = null;
+        this.nextId = 1;
+        // 等待结果的帧 id -> { resolve, reject }
+        this.pending = new Map();
+        this.loadCallback = null;
+    }
+
+    /**
+     * 浏览器是否支持在 Worker 中分析
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function';
+    }
+
+    /**
+     * 启动 Worker 并加载检测后端
+     * @param {string} preference - DetectionBackendType 之一
+     * @returns {Promise<boolean>} Worker 无法启动时返回 false
+     */
+    load(preference) {
+        return new Promise((resolve) => {
+            try {
+                this.worker = new Worker(DETECTOR_WORKER_SCRIPT);
+            } catch (error) {
+                console.log('无法启动检测 Worker:', error.message);
+                resolve(false);
+                return;
+            }
+
+            this.loadCallback = resolve;
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                this.fail(event.message || '检测 Worker 出错');
+            };
+            this.worker.postMessage({ type: 'load', preference });
+        });
+    }
+
+    /**
+     * 处理 Worker 的回复
+     * @param {Object} message - { type: 'loaded' | 'result', ... }
+     */
+    handleMessage(message) {
+        if (message.type === 'loaded') {
+            if (message.error) {
+                this.fail(message.error);
+                return;
+            }
+            this.backend = new BACKEND_CLASSES[message.backend]();
+            if (this.loadCallback) {
+                this.loadCallback(true);
+                this.loadCallback = null;
+            }
+        } else if (message.type === 'result') {
+            const request = this.pending.get(message.id);
+            if (!request) return;
+
+            this.pending.delete(message.id);
+            if (message.error) {
+                request.reject(new Error(message.error));
+            } else {
+                request.resolve({ analysis: message.analysis, busyMs: message.busyMs });
+            }
+        }
+    }
+
+    /**
+     * Worker 出错：加载中返回失败，等待中的帧全部失败
+     * @param {string} reason - 错误信息
+     */
+    fail(reason) {
+        console.warn('检测 Worker 出错:', reason);
+
+        if (this.loadCallback) {
+            this.loadCallback(false);
+            this.loadCallback = null;
+        }
+
+        this.pending.forEach(request => request.reject(new Error(reason)));
+        this.pending.clear();
+    }
+
+    /**
+     * 取一帧交给 Worker 分析
+     * @param {HTMLVideoElement} video - 视频元素
+     * @returns {Promise<Object>} { analysis, busyMs }，busyMs 为 Worker 中的分析耗时
+     */
+    async analyze(video) {
+        const frame = await createImageBitmap(video, {
+            resizeWidth: ANALYSIS_WIDTH,
+            resizeHeight: ANALYSIS_HEIGHT
+        });
+
+        // 取帧期间摄像头可能已经关闭
+        if (!this.worker) {
+            frame.close();
+            throw new Error('检测 Worker 已关闭');
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ type: 'frame', id, frame }, [frame]);
+        });
+    }
+
+    applyCalibration(thresholds) {
+        this.backend.applyCalibration(thresholds);
+        this.worker.postMessage({ type: 'calibrate', thresholds });
+    }
+
+    reset() {
+        this.worker.postMessage({ type: 'reset' });
+    }
+
+    close() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.pending.forEach(request => request.reject(new Error('检测 Worker 已关闭')));
+        this.pending.clear();
+    }
+}
+
+/**
+ * 创建画面分析器
+ * 优先在 Worker 中分析；Worker 中只能用简单检测而主线程能用人脸检测时，
+ * 以检测准确为先，改在主线程分析
+ * @param {string} preference - DetectionBackendType 之一
+ * @returns {Promise<Object>} 已加载的 WorkerFrameAnalyzer 或 FramePipeline
+ */
+async function createFrameAnalyzer(preference = DetectionBackendType.AUTO) {
+    if (WorkerFrameAnalyzer.isSupported()) {
+        const worker = new WorkerFrameAnalyzer();
+        if (await worker.load(preference)) {
+            if (worker.backend.type !== DetectionBackendType.SKIN || preference === DetectionBackendType.SKIN) {
+                return worker;
+            }
+
+            const local = new FramePipeline();
+            await local.load(preference);
+            if (local.backend.type === DetectionBackendType.SKIN) {
+                return worker;
+            }
+            worker.close();
+            return local;
+        }
+        worker.close();
+    }
+
+    const local = new FramePipeline();
+    await local.load(preference);
+    return local;
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FramePipeline, WorkerFrameAnalyzer, createFrameAnalyzer };
+}
@@ -0,0 +1,479 @@
+/**
+ * History 学习记录模块
+ * 负责记录每次学习会话，并提供按天/按周的统计数据
+ */
+
+// 学习记录存储键名
+const HISTORY_KEY = 'childStudyReminderHistory';
+
+// 最多保留的会话条数（避免 localStorage 无限增长）
+const MAX_SESSIONS = 1000;
+
+/**
+ * StudyHistory 类 - 学习会话记录
+ *
+ * 一次会话从计时器首次开始算起，到点击重置（或关闭页面）为止，
+ * 中间的暂停、休息、走神都记录在同一个会话里。
+ */
+class StudyHistory {
+    /**
+     * @param {string} storageKey - localStorage 键名
+     */
+    constructor(storageKey = HISTORY_KEY) {
+        this.storageKey = storageKey;
+        // 已结束的会话列表（按开始时间升序）
+        this.sessions = [];
+        // 进行中的会话
+        this.current = null;
+        // 进行中的走神事件
+        this.currentDistraction = null;
+    }
+
+    /**
+     * 从 localStorage 读取历史记录
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const data = JSON.parse(saved);
+                this.sessions = Array.isArray(data.sessions) ? data.sessions : [];
+            }
+        } catch (e) {
+            console.warn('无法读取学习记录:', e.message);
+            this.sessions = [];
+        }
+    }
+
+    /**
+     * 保存历史记录到 localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                sessions: this.sessions
+            }));
+        } catch (e) {
+            console.warn('无法保存学习记录:', e.message);
+        }
+    }
+
+    /**
+     * 开始新会话（已有进行中的会话时不重复创建）
+     * @param {string|null} task - 当前学习内容，没有选择时为 null
+     */
+    startSession(task = null) {
+        if (this.current) return;
+
+        const now = Date.now();
+        this.current = {
+            id: now.toString(36),
+            startTime: now,
+            endTime: null,
+            focusedSeconds: 0,  // 实际专注学习秒数
+            pauses: [],         // 暂停记录 { start, end }
+            breaks: 0,          // 已完成的休息次数（休息活动做完）
+            skippedBreaks: 0,   // 休息活动没做完的休息次数
+            distractions: [],   // 走神记录 { start, end }
+            parentAlerts: [],   // 需要家长关注的记录 { time, reason }
+            postureAlerts: [],  // 坐姿提醒记录 { time, issue }
+            restlessness: [],   // 躁动指数采样 { time, value }
+            task,               // 当前学习内容
+            taskSeconds: {},    // 各学习内容的专注秒数
+            taskOffset: 0       // 本段计时中已经算给学习内容的秒数
+        };
+    }
+
+    /**
+     * 恢复进行中的会话（页面刷新后从存档恢复）
+     * @param {Object} session - 存档中的会话
+     */
+    restoreSession(session) {
+        this.current = session;
+        this.currentDistraction = null;
+
+        // 页面关闭时未结束的走神记录不再延续
+        const last = session.distractions[session.distractions.length - 1];
+        if (last && last.end === null) {
+            last.end = last.start;
+        }
+    }
+
+    /**
+     * 丢弃进行中的会话（不保存）
+     */
+    discardSession() {
+        this.current = null;
+        this.currentDistraction = null;
+    }
+
+    /**
+     * 是否有进行中的会话
+     * @returns {boolean}
+     */
+    hasActiveSession() {
+        return this.current !== null;
+    }
+
+    /**
+     * 累加专注时间（一段计时结束、计时器清零前调用）
+     * @param {number} seconds - 本段计时秒数
+     */
+    addFocusedTime(seconds) {
+        if (!this.current || seconds <= 0) return;
+        this.current.focusedSeconds += seconds;
+        this.attributeTaskTime(seconds);
+        this.current.taskOffset = 0;
+    }
+
+    /**
+     * 切换学习内容，本段计时中切换前的时间算给原来的内容
+     * @param {string|null} task - 新的学习内容，不选择时为 null
+     * @param {number} blockSeconds - 本段计时到现在的秒数
+     */
+    setTask(task, blockSeconds = 0) {
+        if (!this.current) return;
+
+        this.attributeTaskTime(blockSeconds);
+        this.current.task = task;
+    }
+
+    /**
+     * 把本段计时中还没有算过的时间算给当前学习内容
+     * @param {number} blockSeconds - 本段计时到现在的秒数
+     */
+    attributeTaskTime(blockSeconds) {
+        const session = this.current;
+        const seconds = blockSeconds - (session.taskOffset || 0);
+
+        if (session.task && seconds > 0) {
+            if (!session.taskSeconds) {
+                session.taskSeconds = {};
+            }
+            session.taskSeconds[session.task] = (session.taskSeconds[session.task] || 0) + seconds;
+        }
+        session.taskOffset = blockSeconds;
+    }
+
+    /**
+     * 记录暂停开始
+     * @param {number} time - 暂停开始时间戳，默认为现在
+     */
+    recordPause(time = Date.now()) {
+        if (!this.current) return;
+
+        const last = this.current.pauses[this.current.pauses.length - 1];
+        if (last && last.end === null) return; // 已在暂停中
+
+        this.current.pauses.push({ start: time, end: null });
+    }
+
+    /**
+     * 记录暂停结束
+     * @param {number} time - 暂停结束时间戳，默认为现在
+     */
+    recordResume(time = Date.now()) {
+        if (!this.current) return;
+
+        const last = this.current.pauses[this.current.pauses.length - 1];
+        if (last && last.end === null) {
+            last.end = time;
+        }
+    }
+
+    /**
+     * 记录一次休息
+     * @param {boolean} completed - 休息活动是否做完，没做完的不算完成
+     */
+    recordBreak(completed = true) {
+        if (!this.current) return;
+
+        if (completed) {
+            this.current.breaks++;
+        } else {
+            this.current.skippedBreaks = (this.current.skippedBreaks || 0) + 1;
+        }
+    }
+
+    /**
+     * 记录一次需要家长关注的情况
+     * @param {string} reason - 原因（见 ParentAttentionReason）
+     */
+    recordParentAttention(reason) {
+        if (!this.current) return;
+
+        if (!this.current.parentAlerts) {
+            this.current.parentAlerts = [];
+        }
+        this.current.parentAlerts.push({ time: Date.now(), reason });
+    }
+
+    /**
+     * 记录一次坐姿提醒
+     * @param {string} issue - 坐姿问题（见 PostureIssue）
+     */
+    recordPostureAlert(issue) {
+        if (!this.current) return;
+
+        if (!this.current.postureAlerts) {
+            this.current.postureAlerts = [];
+        }
+        this.current.postureAlerts.push({ time: Date.now(), issue });
+    }
+
+    /**
+     * 记录一次躁动指数采样
+     * @param {number} value - 躁动指数（0~100）
+     */
+    recordRestlessness(value) {
+        if (!this.current) return;
+
+        if (!this.current.restlessness) {
+            this.current.restlessness = [];
+        }
+        this.current.restlessness.push({ time: Date.now(), value });
+    }
+
+    /**
+     * 记录走神开始
+     */
+    recordDistractionStart() {
+        if (!this.current || this.currentDistraction) return;
+
+        this.currentDistraction = { start: Date.now(), end: null };
+        this.current.distractions.push(this.currentDistraction);
+    }
+
+    /**
+     * 记录走神结束
+     * @param {number} time - 走神结束时间戳，默认为现在
+     */
+    recordDistractionEnd(time = Date.now()) {
+        if (!this.currentDistraction) return;
+
+        this.currentDistraction.end = time;
+        this.currentDistraction = null;
+    }
+
+    /**
+     * 结束当前会话并保存
+     * @param {number} remainingSeconds - 计时器上尚未累加的秒数
+     * @param {number} endTime - 结束时间戳，默认为现在
+     * @returns {Object|null} 已保存的会话，没有学习时间时返回 null
+     */
+    endSession(remainingSeconds = 0, endTime = Date.now()) {
+        if (!this.current) return null;
+
+        const session = this.current;
+
+        this.addFocusedTime(remainingSeconds);
+        this.recordResume(endTime);
+        this.recordDistractionEnd(endTime);
+        session.endTime = endTime;
+
+        this.current = null;
+
+        // 没有学习时间的会话不记录
+        if (session.focusedSeconds <= 0) return null;
+
+        this.sessions.push(session);
+        if (this.sessions.length > MAX_SESSIONS) {
+            this.sessions.splice(0, this.sessions.length - MAX_SESSIONS);
+        }
+        this.save();
+
+        return session;
+    }
+
+    /**
+     * 获取某一天的学习总秒数
+     * @param {Date} date - 日期
+     * @returns {number} 学习秒数
+     */
+    getDayTotal(date) {
+        const key = StudyHistory.dateKey(date);
+
+        return this.sessions
+            .filter(s => StudyHistory.dateKey(new Date(s.startTime)) === key)
+            .reduce((sum, s) => sum + s.focusedSeconds, 0);
+    }
+
+    /**
+     * 获取最近若干天的每日学习时长
+     * @param {number} days - 天数（含今天）
+     * @returns {Array<{date: string, seconds: number}>} 按日期升序
+     */
+    getDailyTotals(days = 7) {
+        const totals = this.groupByDay();
+        const result = [];
+        const today = new Date();
+
+        for (let i = days - 1; i >= 0; i--) {
+            const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+            const key = StudyHistory.dateKey(day);
+            result.push({ date: key, seconds: totals[key] || 0 });
+        }
+
+        return result;
+    }
+
+    /**
+     * 获取最近若干周的每周学习时长（周一为一周开始）
+     * @param {number} weeks - 周数（含本周）
+     * @returns {Array<{weekStart: string, seconds: number}>} 按时间升序
+     */
+    getWeeklyTotals(weeks = 4) {
+        const totals = this.groupByDay();
+        const result = [];
+        const monday = StudyHistory.weekStart(new Date());
+
+        for (let w = weeks - 1; w >= 0; w--) {
+            const start = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() - w * 7);
+            let seconds = 0;
+            for (let d = 0; d < 7; d++) {
+                const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + d);
+                seconds += totals[StudyHistory.dateKey(day)] || 0;
+            }
+            result.push({ weekStart: StudyHistory.dateKey(start), seconds });
+        }
+
+        return result;
+    }
+
+    /**
+     * 计算连续学习天数
+     * 今天还没学习时，从昨天开始往前数，避免早上打开就显示断签
+     * @returns {number} 连续天数
+     */
+    getStreak() {
+        const totals = this.groupByDay();
+        const today = new Date();
+        let offset = totals[StudyHistory.dateKey(today)] ? 0 : 1;
+        let streak = 0;
+
+        for (;;) {
+            const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset);
+            if (!totals[StudyHistory.dateKey(day)]) break;
+            streak++;
+            offset++;
+        }
+
+        return streak;
+    }
+
+    /**
+     * 获取今天和本周的学习秒数，包含进行中的会话
+     * @param {number} pendingSeconds - 计时器上尚未累加的秒数
+     * @returns {{today: number, week: number}}
+     */
+    getProgress(pendingSeconds = 0) {
+        const live = this.current ? this.current.focusedSeconds + pendingSeconds : 0;
+
+        return {
+            today: this.getDayTotal(new Date()) + live,
+            week: this.getWeeklyTotals(1)[0].seconds + live
+        };
+    }
+
+    /**
+     * 汇总全部已结束会话
+     * @returns {{seconds: number, breaks: number}} 学习总秒数、完成的休息总次数
+     */
+    getLifetimeTotals() {
+        return this.sessions.reduce((totals, s) => ({
+            seconds: totals.seconds + s.focusedSeconds,
+            breaks: totals.breaks + s.breaks
+        }), { seconds: 0, breaks: 0 });
+    }
+
+    /**
+     * 按学习内容汇总最近若干天的学习时长
+     * 没有选择学习内容的时间汇总为 task 为 null 的一项
+     * @param {number} days - 天数（含今天）
+     * @returns {Array<{task: string|null, seconds: number}>} 按时长降序
+     */
+    getTaskTotals(days = 7) {
+        const today = new Date();
+        const since = new Date(today.getFullYear(), today.getMonth(), today.getDate() - days + 1).getTime();
+        const totals = {};
+        let untagged = 0;
+
+        this.sessions.filter(s => s.startTime >= since).forEach(s => {
+            let tagged = 0;
+            Object.entries(s.taskSeconds || {}).forEach(([task, seconds]) => {
+                totals[task] = (totals[task] || 0) + seconds;
+                tagged += seconds;
+            });
+            untagged += Math.max(0, s.focusedSeconds - tagged);
+        });
+
+        const result = Object.entries(totals).map(([task, seconds]) => ({ task, seconds }));
+        if (untagged > 0) {
+            result.push({ task: null, seconds: untagged });
+        }
+
+        return result.sort((a, b) => b.seconds - a.seconds);
+    }
+
+    /**
+     * 获取最近的会话（最新的在前）
+     * @param {number} count - 条数
+     * @returns {Array<Object>}
+     */
+    getRecentSessions(count = 5) {
+        return this.sessions.slice(-count).reverse();
+    }
+
+    /**
+     * 按日期汇总学习秒数
+     * @returns {Object<string, number>} 日期键 -> 秒数
+     */
+    groupByDay() {
+        const totals = {};
+        this.sessions.forEach(s => {
+            const key = StudyHistory.dateKey(new Date(s.startTime));
+            totals[key] = (totals[key] || 0) + s.focusedSeconds;
+        });
+        return totals;
+    }
+
+    /**
+     * 会话的平均躁动指数
+     * @param {Object} session - 会话
+     * @returns {number|null} 没有采样时为 null
+     */
+    static averageRestlessness(session) {
+        const samples = session.restlessness || [];
+        if (samples.length === 0) return null;
+
+        return Math.round(samples.reduce((sum, s) => sum + s.value, 0) / samples.length);
+    }
+
+    /**
+     * 生成本地日期键 YYYY-MM-DD
+     * @param {Date} date - 日期
+     * @returns {string}
+     */
+    static dateKey(date) {
+        return [
+            date.getFullYear(),
+            (date.getMonth() + 1).toString().padStart(2, '0'),
+            date.getDate().toString().padStart(2, '0')
+        ].join('-');
+    }
+
+    /**
+     * 获取日期所在周的周一
+     * @param {Date} date - 日期
+     * @returns {Date}
+     */
+    static weekStart(date) {
+        const day = (date.getDay() + 6) % 7; // 周一为0
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() - day);
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StudyHistory, HISTORY_KEY };
+}
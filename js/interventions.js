@@ -0,0 +1,234 @@
+/**
+ * Interventions 走神干预模块
+ * 走神时先轻轻提示，持续走神再逐级加强，多次走神时通知家长
+ */
+
+// 干预级别，按从轻到重排列
+const InterventionLevel = {
+    NUDGE: 'nudge',    // 屏幕上的轻提示
+    SOUND: 'sound',    // 提示音
+    MODAL: 'modal',    // 弹窗提醒
+    PARENT: 'parent'   // 记录"需要家长关注"
+};
+
+// 各级别名称
+const INTERVENTION_LABELS = {
+    nudge: '轻提示',
+    sound: '提示音',
+    modal: '弹窗',
+    parent: '家长关注'
+};
+
+// 默认干预阶梯：after 为走神开始后多少秒进入该级别
+const DEFAULT_INTERVENTION_STEPS = {
+    nudge: { enabled: true, after: 0 },
+    sound: { enabled: true, after: 10 },
+    modal: { enabled: true, after: 20 },
+    parent: { enabled: true, after: 60 }
+};
+
+// 家长关注的原因
+const ParentAttentionReason = {
+    PERSISTENT: 'persistent',  // 一次走神持续太久
+    REPEATED: 'repeated'       // 短时间内走神次数太多
+};
+
+/**
+ * DistractionLadder 类 - 走神干预阶梯
+ *
+ * begin() 开始一次走神，按 steps 的时间依次进入各级别；
+ * end() 结束走神并清除未触发的级别。
+ * 在 repeatWindowMinutes 分钟内走神达到 repeatCount 次时，也会触发家长关注。
+ */
+class DistractionLadder {
+    constructor() {
+        this.steps = DistractionLadder.copySteps(DEFAULT_INTERVENTION_STEPS);
+        this.repeatCount = 5;
+        this.repeatWindowMinutes = 30;
+        // 最近的走神开始时间
+        this.episodeTimes = [];
+        // 当前走神已到达的级别和待触发的定时器
+        this.active = false;
+        this.currentLevel = null;
+        this.timerIds = [];
+        // 本次走神是否已通知家长
+        this.parentNotified = false;
+        // 回调函数
+        this.levelCallback = null;
+        this.parentAttentionCallback = null;
+    }
+
+    /**
+     * 设置干预阶梯
+     * @param {Object} options
+     * @param {Object} options.steps - { [level]: { enabled, after } }
+     * @param {number} options.repeatCount - 多少次走神通知家长
+     * @param {number} options.repeatWindowMinutes - 统计走神次数的时间窗口（分钟）
+     */
+    configure({ steps, repeatCount, repeatWindowMinutes }) {
+        if (steps) this.steps = DistractionLadder.copySteps(steps);
+        if (repeatCount > 0) this.repeatCount = repeatCount;
+        if (repeatWindowMinutes > 0) this.repeatWindowMinutes = repeatWindowMinutes;
+    }
+
+    /**
+     * 开始一次走神
+     */
+    begin() {
+        if (this.active) return;
+
+        const now = Date.now();
+        this.active = true;
+        this.currentLevel = null;
+        this.parentNotified = false;
+
+        // 记录本次走神，只保留时间窗口内的
+        const windowStart = now - this.repeatWindowMinutes * 60 * 1000;
+        this.episodeTimes = this.episodeTimes.filter(t => t >= windowStart);
+        this.episodeTimes.push(now);
+
+        Object.values(InterventionLevel).forEach(level => {
+            const step = this.steps[level];
+            if (!step || !step.enabled) return;
+
+            if (step.after <= 0) {
+                this.enterLevel(level);
+            } else {
+                this.timerIds.push(setTimeout(() => {
+                    this.enterLevel(level);
+                }, step.after * 1000));
+            }
+        });
+
+        if (this.episodeTimes.length >= this.repeatCount) {
+            this.episodeTimes = [];
+            this.notifyParent(ParentAttentionReason.REPEATED);
+        }
+    }
+
+    /**
+     * 进入某个级别
+     * @param {string} level - 干预级别
+     */
+    enterLevel(level) {
+        if (!this.active) return;
+
+        if (level === InterventionLevel.PARENT) {
+            this.notifyParent(ParentAttentionReason.PERSISTENT);
+            return;
+        }
+
+        this.currentLevel = level;
+        if (this.levelCallback) {
+            this.levelCallback(level);
+        }
+    }
+
+    /**
+     * 通知家长（每次走神最多一次）
+     * @param {string} reason - 原因（见 ParentAttentionReason）
+     */
+    notifyParent(reason) {
+        if (this.parentNotified) return;
+
+        this.parentNotified = true;
+        if (this.parentAttentionCallback) {
+            this.parentAttentionCallback(reason);
+        }
+    }
+
+    /**
+     * 结束走神
+     * @returns {string|null} 本次走神到达的最高级别
+     */
+    end() {
+        const level = this.currentLevel;
+
+        this.timerIds.forEach(id => clearTimeout(id));
+        this.timerIds = [];
+        this.active = false;
+        this.currentLevel = null;
+
+        return level;
+    }
+
+    /**
+     * 清空走神次数统计（开始新会话时）
+     */
+    resetHistory() {
+        this.end();
+        this.episodeTimes = [];
+    }
+
+    /**
+     * 是否正在走神
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.active;
+    }
+
+    /**
+     * 注册级别变化回调
+     * @param {Function} callback - 回调函数，参数为干预级别
+     */
+    onLevel(callback) {
+        this.levelCallback = callback;
+    }
+
+    /**
+     * 注册家长关注回调
+     * @param {Function} callback - 回调函数，参数为原因（见 ParentAttentionReason）
+     */
+    onParentAttention(callback) {
+        this.parentAttentionCallback = callback;
+    }
+
+    /**
+     * 复制阶梯配置
+     * @param {Object} steps
+     * @returns {Object}
+     */
+    static copySteps(steps) {
+        const copy = {};
+        Object.keys(steps).forEach(level => {
+            copy[level] = { ...steps[level] };
+        });
+        return copy;
+    }
+
+    /**
+     * 校验阶梯配置
+     * @param {Object} steps - { [level]: { enabled, after } }
+     * @returns {string|null} 错误信息，合法时返回 null
+     */
+    static validateSteps(steps) {
+        let previous = -1;
+
+        for (const level of Object.values(InterventionLevel)) {
+            const step = steps[level];
+            if (!step.enabled) continue;
+
+            if (!(step.after >= 0 && step.after <= 600)) {
+                return `"${INTERVENTION_LABELS[level]}"的时间请设置在0-600秒之间`;
+            }
+            if (step.after < previous) {
+                return `"${INTERVENTION_LABELS[level]}"的时间不能早于前一级`;
+            }
+            previous = step.after;
+        }
+
+        return null;
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DistractionLadder,
+        InterventionLevel,
+        ParentAttentionReason,
+        INTERVENTION_LABELS,
+        DEFAULT_INTERVENTION_STEPS
+    };
+}
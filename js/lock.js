@@ -0,0 +1,476 @@
+/**
+ * Lock 家长锁模块
+ * 用家长密码保护设置、模式切换和重置，防止孩子自己修改
+ */
+
+// 家长锁存储键名（所有孩子共用）
+const PARENT_LOCK_KEY = 'childStudyReminderParentLock';
+
+// 输错次数和锁定到期时间的存储键名（刷新页面后仍然有效）
+const PARENT_LOCK_ATTEMPTS_KEY = 'childStudyReminderParentLockAttempts';
+
+// 解锁后保持解锁的时长（毫秒）
+const UNLOCK_DURATION_MS = 5 * 60 * 1000;
+
+// 连续输错次数上限和锁定时长（毫秒）
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 60 * 1000;
+
+// 对话框中点击"忘记密码"的返回值
+const FORGOT_PIN = 'forgot';
+
+/**
+ * ParentLock 类 - 家长锁
+ *
+ * 密码和恢复码只保存加盐后的哈希值。
+ * 忘记密码时可以输入设置时显示的恢复码关闭家长锁。
+ */
+class ParentLock {
+    constructor() {
+        // 已保存的锁信息 { salt, pinHash, recoveryHash }，未开启时为 null
+        this.data = null;
+        // 解锁到期时间戳和到期后自动锁定的定时器
+        this.unlockedUntil = 0;
+        this.relockTimerId = null;
+        // 连续输错次数和锁定到期时间
+        this.failedAttempts = 0;
+        this.lockoutUntil = 0;
+        // DOM元素引用
+        this.modal = null;
+        this.titleElement = null;
+        this.messageElement = null;
+        this.inputs = [];
+        this.errorElement = null;
+        this.confirmBtn = null;
+        this.cancelBtn = null;
+        this.forgotBtn = null;
+        // 当前对话框
+        this.dialog = null;
+        // 回调函数
+        this.stateChangeCallback = null;
+    }
+
+    /**
+     * 初始化家长锁
+     * 读取保存的锁信息，绑定DOM元素和事件
+     */
+    init() {
+        this.load();
+
+        this.modal = document.getElementById('lockModal');
+        this.titleElement = document.getElementById('lockTitle');
+        this.messageElement = document.getElementById('lockMessage');
+        this.inputs = [
+            document.getElementById('lockInput1'),
+            document.getElementById('lockInput2')
+        ];
+        this.errorElement = document.getElementById('lockError');
+        this.confirmBtn = document.getElementById('lockConfirmBtn');
+        this.cancelBtn = document.getElementById('lockCancelBtn');
+        this.forgotBtn = document.getElementById('lockForgotBtn');
+
+        if (this.confirmBtn) {
+            this.confirmBtn.addEventListener('click', () => {
+                this.submitDialog();
+            });
+        }
+        if (this.cancelBtn) {
+            this.cancelBtn.addEventListener('click', () => {
+                this.closeDialog(null);
+            });
+        }
+        if (this.forgotBtn) {
+            this.forgotBtn.addEventListener('click', () => {
+                this.closeDialog(FORGOT_PIN);
+            });
+        }
+
+        // 回车提交
+        this.inputs.forEach(input => {
+            if (input) {
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        this.submitDialog();
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * 读取锁信息和输错记录
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(PARENT_LOCK_KEY);
+            this.data = saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            console.warn('无法读取家长锁:', e.message);
+            this.data = null;
+        }
+
+        try {
+            const attempts = JSON.parse(localStorage.getItem(PARENT_LOCK_ATTEMPTS_KEY)) || {};
+            this.failedAttempts = attempts.failedAttempts || 0;
+            this.lockoutUntil = attempts.lockoutUntil || 0;
+        } catch (e) {
+            console.warn('无法读取家长锁输错记录:', e.message);
+        }
+    }
+
+    /**
+     * 保存锁信息（null 表示关闭家长锁）
+     */
+    save() {
+        try {
+            if (this.data) {
+                localStorage.setItem(PARENT_LOCK_KEY, JSON.stringify(this.data));
+            } else {
+                localStorage.removeItem(PARENT_LOCK_KEY);
+            }
+        } catch (e) {
+            console.warn('无法保存家长锁:', e.message);
+        }
+    }
+
+    /**
+     * 保存输错次数和锁定到期时间
+     */
+    saveAttempts() {
+        try {
+            if (this.failedAttempts > 0 || this.lockoutUntil > Date.now()) {
+                localStorage.setItem(PARENT_LOCK_ATTEMPTS_KEY, JSON.stringify({
+                    failedAttempts: this.failedAttempts,
+                    lockoutUntil: this.lockoutUntil
+                }));
+            } else {
+                localStorage.removeItem(PARENT_LOCK_ATTEMPTS_KEY);
+            }
+        } catch (e) {
+            console.warn('无法保存家长锁输错记录:', e.message);
+        }
+    }
+
+    /**
+     * 是否已设置家长密码
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.data !== null;
+    }
+
+    /**
+     * 当前是否可以修改受保护的设置
+     * @returns {boolean}
+     */
+    isUnlocked() {
+        return !this.isEnabled() || Date.now() < this.unlockedUntil;
+    }
+
+    /**
+     * 立即锁定
+     */
+    lock() {
+        this.unlockedUntil = 0;
+        this.clearRelockTimer();
+        this.notifyStateChange();
+    }
+
+    /**
+     * 开始一段解锁时间，到期后自动锁定
+     */
+    startUnlockWindow() {
+        this.unlockedUntil = Date.now() + UNLOCK_DURATION_MS;
+        this.clearRelockTimer();
+        this.relockTimerId = setTimeout(() => {
+            this.lock();
+        }, UNLOCK_DURATION_MS);
+        this.notifyStateChange();
+    }
+
+    /**
+     * 清除自动锁定定时器
+     */
+    clearRelockTimer() {
+        if (this.relockTimerId) {
+            clearTimeout(this.relockTimerId);
+            this.relockTimerId = null;
+        }
+    }
+
+    /**
+     * 请求家长验证
+     * 未开启家长锁或已解锁时直接通过，否则弹出密码框
+     * @param {string} reason - 显示给家长的说明
+     * @returns {Promise<boolean>} 是否验证通过
+     */
+    async requestUnlock(reason = '请输入家长密码') {
+        if (this.isUnlocked()) return true;
+
+        const result = await this.openDialog({
+            title: '🔒 家长验证',
+            message: reason,
+            fields: ['家长密码'],
+            confirmText: '解锁',
+            showForgot: true
+        }, async ([pin]) => {
+            const waitSeconds = Math.ceil((this.lockoutUntil - Date.now()) / 1000);
+            if (waitSeconds > 0) {
+                return `输错次数太多，请 ${waitSeconds} 秒后再试`;
+            }
+
+            if (await this.matches(pin, this.data.pinHash)) {
+                this.failedAttempts = 0;
+                this.saveAttempts();
+                return null;
+            }
+
+            this.failedAttempts++;
+            if (this.failedAttempts >= MAX_PIN_ATTEMPTS) {
+                this.failedAttempts = 0;
+                this.lockoutUntil = Date.now() + PIN_LOCKOUT_MS;
+            }
+            this.saveAttempts();
+            return '密码不正确';
+        });
+
+        if (result === FORGOT_PIN) {
+            return this.recover();
+        }
+        if (!result) return false;
+
+        this.startUnlockWindow();
+        return true;
+    }
+
+    /**
+     * 设置或修改家长密码，成功后显示恢复码
+     * @returns {Promise<boolean>} 是否设置成功
+     */
+    async setupPin() {
+        if (!(await this.requestUnlock('修改家长密码前请先输入原密码'))) return false;
+
+        const result = await this.openDialog({
+            title: '设置家长密码',
+            message: '请输入4-6位数字密码',
+            fields: ['新密码', '再输入一次'],
+            confirmText: '保存'
+        }, async ([pin, repeat]) => {
+            if (!/^\d{4,6}$/.test(pin)) {
+                return '密码需要是4-6位数字';
+            }
+            if (pin !== repeat) {
+                return '两次输入的密码不一样';
+            }
+            return null;
+        });
+
+        if (!result) return false;
+
+        const salt = ParentLock.randomString(16);
+        const recoveryCode = ParentLock.randomString(8).toUpperCase();
+        this.data = {
+            salt,
+            pinHash: await ParentLock.hash(salt + result[0]),
+            recoveryHash: await ParentLock.hash(salt + recoveryCode)
+        };
+        this.save();
+        this.startUnlockWindow();
+
+        await this.openDialog({
+            title: '请记下恢复码',
+            message: `恢复码：${recoveryCode}\n忘记家长密码时，可以用它关闭家长锁。恢复码只显示这一次。`,
+            fields: [],
+            confirmText: '我已记下',
+            hideCancel: true
+        });
+
+        return true;
+    }
+
+    /**
+     * 关闭家长锁（需要先验证）
+     * @returns {Promise<boolean>} 是否已关闭
+     */
+    async disable() {
+        if (!(await this.requestUnlock('关闭家长锁需要家长密码'))) return false;
+
+        this.data = null;
+        this.save();
+        this.notifyStateChange();
+        return true;
+    }
+
+    /**
+     * 用恢复码关闭家长锁
+     * @returns {Promise<boolean>} 是否恢复成功
+     */
+    async recover() {
+        const result = await this.openDialog({
+            title: '找回家长密码',
+            message: '请输入设置密码时记下的恢复码，验证后家长锁会被关闭，可以重新设置密码',
+            fields: ['恢复码'],
+            confirmText: '验证'
+        }, async ([code]) => {
+            if (await this.matches(code.trim().toUpperCase(), this.data.recoveryHash)) {
+                return null;
+            }
+            return '恢复码不正确';
+        });
+
+        if (!result) return false;
+
+        this.data = null;
+        this.save();
+        this.notifyStateChange();
+        return true;
+    }
+
+    /**
+     * 检查输入是否与保存的哈希一致
+     * @param {string} value - 输入值
+     * @param {string} expectedHash - 保存的哈希
+     * @returns {Promise<boolean>}
+     */
+    async matches(value, expectedHash) {
+        return (await ParentLock.hash(this.data.salt + value)) === expectedHash;
+    }
+
+    /**
+     * 打开对话框
+     * @param {Object} options - { title, message, fields, confirmText, showForgot, hideCancel }
+     * @param {Function} validate - 校验函数，参数为输入值数组，返回错误信息或 null
+     * @returns {Promise<Array<string>|string|null>} 输入值；取消为 null；忘记密码为 FORGOT_PIN
+     */
+    openDialog(options, validate = async () => null) {
+        if (!this.modal) return Promise.resolve(null);
+
+        // 已有对话框时先取消
+        this.closeDialog(null);
+
+        this.titleElement.textContent = options.title;
+        this.messageElement.textContent = options.message;
+        this.errorElement.textContent = '';
+        this.confirmBtn.textContent = options.confirmText || '确定';
+        this.cancelBtn.classList.toggle('hidden', !!options.hideCancel);
+        this.forgotBtn.classList.toggle('hidden', !options.showForgot);
+
+        this.inputs.forEach((input, i) => {
+            input.value = '';
+            input.placeholder = options.fields[i] || '';
+            input.classList.toggle('hidden', i >= options.fields.length);
+        });
+
+        this.modal.classList.remove('hidden');
+        if (options.fields.length > 0) {
+            this.inputs[0].focus();
+        }
+
+        return new Promise((resolve) => {
+            this.dialog = { fieldCount: options.fields.length, validate, resolve };
+        });
+    }
+
+    /**
+     * 提交对话框：校验通过才关闭
+     */
+    async submitDialog() {
+        const dialog = this.dialog;
+        if (!dialog) return;
+
+        const values = this.inputs.slice(0, dialog.fieldCount).map(input => input.value);
+        const error = await dialog.validate(values);
+        if (this.dialog !== dialog) return;
+
+        if (error) {
+            this.errorElement.textContent = error;
+            this.inputs[0].value = '';
+            this.inputs[0].focus();
+            return;
+        }
+
+        this.closeDialog(values);
+    }
+
+    /**
+     * 关闭对话框
+     * @param {*} result - 返回给调用方的结果
+     */
+    closeDialog(result) {
+        const dialog = this.dialog;
+        this.dialog = null;
+
+        if (this.modal) {
+            this.modal.classList.add('hidden');
+        }
+        if (dialog) {
+            dialog.resolve(result);
+        }
+    }
+
+    /**
+     * 通知锁状态变化
+     */
+    notifyStateChange() {
+        if (this.stateChangeCallback) {
+            this.stateChangeCallback(this.isEnabled(), this.isUnlocked());
+        }
+    }
+
+    /**
+     * 注册锁状态变化回调
+     * @param {Function} callback - 回调函数，参数为 是否开启、是否已解锁
+     */
+    onStateChange(callback) {
+        this.stateChangeCallback = callback;
+    }
+
+    /**
+     * 计算哈希
+     * 优先使用 SHA-256；不支持 Web Crypto 的环境（如部分 file:// 页面）退回简单哈希
+     * @param {string} text - 原文
+     * @returns {Promise<string>} 十六进制哈希
+     */
+    static async hash(text) {
+        if (window.crypto && window.crypto.subtle) {
+            const bytes = new TextEncoder().encode(text);
+            const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+            return Array.from(new Uint8Array(digest))
+                .map(b => b.toString(16).padStart(2, '0'))
+                .join('');
+        }
+
+        // FNV-1a
+        let h = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 0x01000193) >>> 0;
+        }
+        return 'fnv' + h.toString(16);
+    }
+
+    /**
+     * 生成随机字符串（去掉容易看错的字符）
+     * @param {number} length - 长度
+     * @returns {string}
+     */
+    static randomString(length) {
+        const chars = 'abcdefghjkmnpqrstuvwxyz23456789';
+        const values = new Uint32Array(length);
+
+        if (window.crypto && window.crypto.getRandomValues) {
+            window.crypto.getRandomValues(values);
+        } else {
+            for (let i = 0; i < length; i++) {
+                values[i] = Math.floor(Math.random() * chars.length);
+            }
+        }
+
+        return Array.from(values, v => chars[v % chars.length]).join('');
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ParentLock, PARENT_LOCK_KEY, PARENT_LOCK_ATTEMPTS_KEY };
+}
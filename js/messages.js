@@ -0,0 +1,545 @@
+/**
+ * Messages 提醒内容模块
+ * 按类型管理提醒文案，支持家长编辑、按年龄预设和轮换规则
+ */
+
+// 提醒内容存储键名
+const MESSAGES_KEY = 'childStudyReminderMessages';
+
+// 提醒类型
+const MessageType = {
+    EYE_REST: 'eyeRest',     // 护眼
+    WATER: 'water',          // 喝水
+    STRETCH: 'stretch',      // 活动身体
+    POSTURE: 'posture',      // 坐姿
+    ENCOURAGE: 'encourage'   // 鼓励
+};
+
+// 各类型的名称、图标和默认标题
+const MESSAGE_TYPE_INFO = {
+    eyeRest: { label: '护眼', icon: '👀', title: '让眼睛休息一下' },
+    water: { label: '喝水', icon: '💧', title: '该喝水啦' },
+    stretch: { label: '活动身体', icon: '🤸', title: '起来动一动' },
+    posture: { label: '坐姿', icon: '🪑', title: '坐端正哦' },
+    encourage: { label: '鼓励', icon: '💪', title: '加油！' }
+};
+
+// 休息时轮流使用的类型；走神时使用鼓励类
+const BREAK_MESSAGE_TYPES = [MessageType.EYE_REST, MessageType.WATER, MessageType.STRETCH, MessageType.POSTURE];
+const FOCUS_MESSAGE_TYPE = MessageType.ENCOURAGE;
+
+// 轮换方式
+const RotationMode = {
+    SEQUENTIAL: 'sequential',  // 按顺序
+    RANDOM: 'random',          // 随机（不连续重复）
+    SHUFFLE: 'shuffle'         // 洗牌（全部出现一遍后再重复）
+};
+
+// 按年龄的预设文案，每条为 { title, text }
+const AGE_PRESETS = {
+    young: {
+        label: '3-6岁',
+        messages: {
+            eyeRest: [
+                { title: '小眼睛累啦', text: '看看窗外的大树和天空，数到10再回来~' },
+                { title: '眨眨眼睛', text: '用力眨10下眼睛，像小星星一闪一闪' },
+                { title: '找找绿色', text: '找一找房间里有什么绿色的东西？' }
+            ],
+            water: [
+                { title: '小水杯在等你', text: '去喝几口水吧，身体会说谢谢你~' },
+                { title: '咕噜咕噜', text: '喝水时间到！小口小口慢慢喝' }
+            ],
+            stretch: [
+                { title: '变成长颈鹿', text: '站起来，把手举得高高的，伸个大懒腰！' },
+                { title: '小兔子跳一跳', text: '原地跳5下，像小兔子一样' },
+                { title: '摇摇小脑袋', text: '轻轻左右摇摇头，再转转小手腕' }
+            ],
+            posture: [
+                { title: '小树要站直', text: '背挺直，小脚平平放在地上' },
+                { title: '离屏幕远一点', text: '往后坐一点点，小眼睛会更舒服' }
+            ],
+            encourage: [
+                { title: '你真棒', text: '再专心一会儿，马上就完成啦！' },
+                { title: '看这里哦', text: '小眼睛回到书本上，你可以的！' },
+                { title: '小小学习家', text: '认真的样子最可爱了，继续加油~' }
+            ]
+        }
+    },
+    primary: {
+        label: '7-9岁',
+        messages: {
+            eyeRest: [
+                { title: '让眼睛休息一下', text: '看看6米外的地方20秒，保护视力' },
+                { title: '做眼保健操', text: '闭上眼睛，轻轻按一按眼睛周围' },
+                { title: '远眺时间', text: '走到窗边看看远处，找找最远的建筑' }
+            ],
+            water: [
+                { title: '该喝水啦', text: '喝半杯水，让大脑保持清醒' },
+                { title: '补充能量', text: '喝点水，休息好了学得更快' }
+            ],
+            stretch: [
+                { title: '起来动一动', text: '站起来伸伸懒腰，转转脖子和肩膀' },
+                { title: '做5个深蹲', text: '活动一下腿，血液流动起来' },
+                { title: '走一走', text: '在房间里走一圈，再回来继续' }
+            ],
+            posture: [
+                { title: '坐端正哦', text: '背挺直，眼睛离书本一尺远' },
+                { title: '检查坐姿', text: '肩膀放松，双脚踩地，不要趴着' }
+            ],
+            encourage: [
+                { title: '请专心学习哦', text: '集中注意力，你可以的！' },
+                { title: '回到任务上', text: '再坚持一下，完成这一段就能休息了' },
+                { title: '专注力大挑战', text: '看看你能专心多久，打破自己的纪录！' }
+            ]
+        }
+    },
+    older: {
+        label: '10-12岁',
+        messages: {
+            eyeRest: [
+                { title: '20-20-20 护眼法', text: '每20分钟，看20英尺（约6米）外的地方20秒' },
+                { title: '放松眼睛', text: '闭眼休息一分钟，再看看远处' },
+                { title: '眼睛也需要休息', text: '离开屏幕和书本，让睫状肌放松一下' }
+            ],
+            water: [
+                { title: '补水提醒', text: '轻微缺水也会让注意力下降，去喝杯水吧' },
+                { title: '喝水时间', text: '起身倒杯水，顺便活动一下' }
+            ],
+            stretch: [
+                { title: '活动身体', text: '做几个扩胸运动，转转腰，放松肩颈' },
+                { title: '伸展一下', text: '双手交叉向上伸直，保持10秒' },
+                { title: '站起来', text: '久坐对身体不好，站起来走动一下' }
+            ],
+            posture: [
+                { title: '注意坐姿', text: '背部贴住椅背，屏幕与眼睛平齐' },
+                { title: '别驼背', text: '挺直后背，肩膀向后打开' }
+            ],
+            encourage: [
+                { title: '保持专注', text: '把注意力拉回来，高效学完就能自由安排时间' },
+                { title: '一次只做一件事', text: '先把手上的任务完成，其他的等会儿再想' },
+                { title: '你能做到', text: '专注是可以练出来的，继续保持！' }
+            ]
+        }
+    }
+};
+
+// 默认预设
+const DEFAULT_MESSAGE_PRESET = 'primary';
+
+/**
+ * MessageLibrary 类 - 提醒内容库
+ *
+ * 按类型保存文案，并记录轮换进度，刷新页面后也不会马上重复同一条。
+ */
+class MessageLibrary {
+    /**
+     * @param {string} storageKey - 存储键名（按孩子区分）
+     */
+    constructor(storageKey = MESSAGES_KEY) {
+        this.storageKey = storageKey;
+        this.preset = DEFAULT_MESSAGE_PRESET;
+        this.rotation = RotationMode.SHUFFLE;
+        // 休息时启用的类型
+        this.enabledTypes = [...BREAK_MESSAGE_TYPES];
+        // 各类型的文案
+        this.messages = MessageLibrary.presetMessages(DEFAULT_MESSAGE_PRESET);
+        // 轮换进度 { lastType, types: { [type]: { last, queue } } }
+        this.state = { lastType: null, types: {} };
+    }
+
+    /**
+     * 读取提醒内容
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const data = JSON.parse(saved);
+                this.preset = data.preset || DEFAULT_MESSAGE_PRESET;
+                this.rotation = data.rotation || RotationMode.SHUFFLE;
+                this.enabledTypes = Array.isArray(data.enabledTypes) ? data.enabledTypes : [...BREAK_MESSAGE_TYPES];
+                this.messages = { ...MessageLibrary.presetMessages(this.preset), ...data.messages };
+                this.state = data.state || { lastType: null, types: {} };
+            }
+        } catch (e) {
+            console.warn('无法读取提醒内容:', e.message);
+        }
+    }
+
+    /**
+     * 保存提醒内容
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                preset: this.preset,
+                rotation: this.rotation,
+                enabledTypes: this.enabledTypes,
+                messages: this.messages,
+                state: this.state
+            }));
+        } catch (e) {
+            console.warn('无法保存提醒内容:', e.message);
+        }
+    }
+
+    /**
+     * 更新设置和文案
+     * @param {Object} options - { rotation, enabledTypes, messages }
+     */
+    update({ rotation, enabledTypes, messages }) {
+        this.rotation = rotation;
+        this.enabledTypes = enabledTypes;
+        this.messages = messages;
+        // 文案变了，轮换从头开始
+        this.state = { lastType: null, types: {} };
+        this.save();
+    }
+
+    /**
+     * 换成某个年龄段的预设文案
+     * @param {string} preset - 预设名（AGE_PRESETS 的键）
+     */
+    applyPreset(preset) {
+        if (!AGE_PRESETS[preset]) return;
+
+        this.preset = preset;
+        this.messages = MessageLibrary.presetMessages(preset);
+        this.state = { lastType: null, types: {} };
+        this.save();
+    }
+
+    /**
+     * 取下一条休息提醒
+     * 在启用的类型之间轮流，每个类型内按轮换方式选一条
+     * @returns {{type: string, icon: string, title: string, text: string}}
+     */
+    nextBreakMessage() {
+        const types = this.enabledTypes.filter(type => (this.messages[type] || []).length > 0);
+        if (types.length === 0) {
+            return this.nextMessage(MessageType.EYE_REST);
+        }
+
+        const lastIndex = types.indexOf(this.state.lastType);
+        const type = types[(lastIndex + 1) % types.length];
+        this.state.lastType = type;
+
+        return this.nextMessage(type);
+    }
+
+    /**
+     * 取下一条走神提醒
+     * @returns {{type: string, icon: string, title: string, text: string}}
+     */
+    nextFocusMessage() {
+        return this.nextMessage(FOCUS_MESSAGE_TYPE);
+    }
+
+    /**
+     * 按轮换方式取某个类型的下一条
+     * 该类型没有文案时使用预设
+     * @param {string} type - 提醒类型
+     * @returns {{type: string, icon: string, title: string, text: string}}
+     */
+    nextMessage(type) {
+        let list = this.messages[type] || [];
+        if (list.length === 0) {
+            list = AGE_PRESETS[DEFAULT_MESSAGE_PRESET].messages[type];
+        }
+
+        const info = MESSAGE_TYPE_INFO[type];
+        const index = this.pickIndex(type, list.length);
+        const message = list[index];
+        this.save();
+
+        return {
+            type,
+            icon: info.icon,
+            title: message.title || info.title,
+            text: message.text
+        };
+    }
+
+    /**
+     * 按轮换方式选出序号，并记录进度
+     * @param {string} type - 提醒类型
+     * @param {number} count - 文案条数
+     * @returns {number}
+     */
+    pickIndex(type, count) {
+        const progress = this.state.types[type] || { last: -1, queue: [] };
+        this.state.types[type] = progress;
+
+        let index;
+        if (count <= 1) {
+            index = 0;
+        } else if (this.rotation === RotationMode.SEQUENTIAL) {
+            index = (progress.last + 1) % count;
+        } else if (this.rotation === RotationMode.RANDOM) {
+            // 随机，但不和上一条相同
+            if (progress.last < 0 || progress.last >= count) {
+                index = Math.floor(Math.random() * count);
+            } else {
+                index = Math.floor(Math.random() * (count - 1));
+                if (index >= progress.last) index++;
+            }
+        } else {
+            // 洗牌：一轮用完再重新洗，新一轮第一条不和上一条相同
+            progress.queue = progress.queue.filter(i => i < count);
+            if (progress.queue.length === 0) {
+                progress.queue = MessageLibrary.shuffle(count);
+                if (progress.queue[0] === progress.last) {
+                    progress.queue.push(progress.queue.shift());
+                }
+            }
+            index = progress.queue.shift();
+        }
+
+        progress.last = index;
+        return index;
+    }
+
+    /**
+     * 复制一份预设文案
+     * @param {string} preset - 预设名
+     * @returns {Object} { [type]: Array<{title, text}> }
+     */
+    static presetMessages(preset) {
+        const source = (AGE_PRESETS[preset] || AGE_PRESETS[DEFAULT_MESSAGE_PRESET]).messages;
+        const messages = {};
+        Object.keys(source).forEach(type => {
+            messages[type] = source[type].map(m => ({ ...m }));
+        });
+        return messages;
+    }
+
+    /**
+     * 生成打乱的序号数组
+     * @param {number} count - 个数
+     * @returns {Array<number>}
+     */
+    static shuffle(count) {
+        const order = Array.from({ length: count }, (_, i) => i);
+        for (let i = count - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        return order;
+    }
+
+    /**
+     * 把文案列表转成编辑框文本，每行 "标题|内容"
+     * @param {Array<{title, text}>} list
+     * @returns {string}
+     */
+    static toText(list) {
+        return (list || []).map(m => m.title ? `${m.title}|${m.text}` : m.text).join('\n');
+    }
+
+    /**
+     * 解析编辑框文本，没有 "|" 的行只有内容、使用类型默认标题
+     * @param {string} text
+     * @returns {Array<{title, text}>}
+     */
+    static fromText(text) {
+        return text.split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .map(line => {
+                const separator = line.indexOf('|');
+                if (separator < 0) {
+                    return { title: '', text: line };
+                }
+                return {
+                    title: line.slice(0, separator).trim(),
+                    text: line.slice(separator + 1).trim()
+                };
+            })
+            .filter(m => m.text.length > 0);
+    }
+}
+
+/**
+ * MessageView 类 - 提醒内容编辑面板
+ */
+class MessageView {
+    constructor() {
+        // DOM元素引用
+        this.panel = null;
+        this.presetSelect = null;
+        this.rotationSelect = null;
+        this.typeList = null;
+        this.applyPresetBtn = null;
+        this.saveBtn = null;
+        // 每个类型的启用开关和编辑框
+        this.fields = {};
+        // 回调函数
+        this.saveCallback = null;
+        this.applyPresetCallback = null;
+    }
+
+    /**
+     * 初始化
+     * 绑定DOM元素，生成每个类型的编辑框
+     */
+    init() {
+        this.panel = document.getElementById('messagePanel');
+        this.presetSelect = document.getElementById('messagePreset');
+        this.rotationSelect = document.getElementById('messageRotation');
+        this.typeList = document.getElementById('messageTypeList');
+        this.applyPresetBtn = document.getElementById('applyPresetBtn');
+        this.saveBtn = document.getElementById('saveMessagesBtn');
+
+        if (this.presetSelect) {
+            Object.keys(AGE_PRESETS).forEach(key => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = AGE_PRESETS[key].label;
+                this.presetSelect.appendChild(option);
+            });
+        }
+
+        if (this.typeList) {
+            Object.values(MessageType).forEach(type => {
+                this.typeList.appendChild(this.createTypeField(type));
+            });
+        }
+
+        if (this.applyPresetBtn) {
+            this.applyPresetBtn.addEventListener('click', () => {
+                if (this.applyPresetCallback) {
+                    this.applyPresetCallback(this.presetSelect.value);
+                }
+            });
+        }
+
+        if (this.saveBtn) {
+            this.saveBtn.addEventListener('click', () => {
+                if (this.saveCallback) {
+                    this.saveCallback(this.readForm());
+                }
+            });
+        }
+    }
+
+    /**
+     * 生成一个类型的编辑区域
+     * @param {string} type - 提醒类型
+     * @returns {HTMLElement}
+     */
+    createTypeField(type) {
+        const info = MESSAGE_TYPE_INFO[type];
+        const item = document.createElement('div');
+        item.className = 'message-type';
+
+        const label = document.createElement('label');
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        label.append(enabled, ` ${info.icon} ${info.label}`);
+
+        // 鼓励类用于走神提醒，始终启用
+        if (type === FOCUS_MESSAGE_TYPE) {
+            enabled.checked = true;
+            enabled.disabled = true;
+            label.append('（走神时使用）');
+        }
+
+        const textarea = document.createElement('textarea');
+        textarea.rows = 3;
+        textarea.placeholder = '每行一条，格式：标题|内容';
+
+        item.append(label, textarea);
+        this.fields[type] = { enabled, textarea };
+        return item;
+    }
+
+    /**
+     * 用内容库填充表单
+     * @param {MessageLibrary} library
+     */
+    render(library) {
+        if (this.presetSelect) {
+            this.presetSelect.value = library.preset;
+        }
+        if (this.rotationSelect) {
+            this.rotationSelect.value = library.rotation;
+        }
+
+        Object.keys(this.fields).forEach(type => {
+            const field = this.fields[type];
+            if (type !== FOCUS_MESSAGE_TYPE) {
+                field.enabled.checked = library.enabledTypes.includes(type);
+            }
+            field.textarea.value = MessageLibrary.toText(library.messages[type]);
+        });
+    }
+
+    /**
+     * 读取表单
+     * @returns {{rotation: string, enabledTypes: Array<string>, messages: Object}}
+     */
+    readForm() {
+        const enabledTypes = [];
+        const messages = {};
+
+        Object.keys(this.fields).forEach(type => {
+            const field = this.fields[type];
+            messages[type] = MessageLibrary.fromText(field.textarea.value);
+            if (type !== FOCUS_MESSAGE_TYPE && field.enabled.checked) {
+                enabledTypes.push(type);
+            }
+        });
+
+        return {
+            rotation: this.rotationSelect.value,
+            enabledTypes,
+            messages
+        };
+    }
+
+    /**
+     * 切换面板显示
+     */
+    togglePanel() {
+        if (this.panel) {
+            this.panel.classList.toggle('hidden');
+        }
+    }
+
+    /**
+     * 隐藏面板
+     */
+    hidePanel() {
+        if (this.panel) {
+            this.panel.classList.add('hidden');
+        }
+    }
+
+    /**
+     * 注册保存回调
+     * @param {Function} callback - 回调函数，参数为 readForm() 的结果
+     */
+    onSave(callback) {
+        this.saveCallback = callback;
+    }
+
+    /**
+     * 注册应用预设回调
+     * @param {Function} callback - 回调函数，参数为预设名
+     */
+    onApplyPreset(callback) {
+        this.applyPresetCallback = callback;
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MessageLibrary,
+        MessageView,
+        MessageType,
+        RotationMode,
+        AGE_PRESETS,
+        MESSAGES_KEY
+    };
+}
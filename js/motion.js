@@ -0,0 +1,206 @@
+/**
+ * Motion 动作分析模块
+ * 用相邻两帧的差异找出画面中在动的区域，并统计一段时间内的躁动程度
+ *
+ * 每帧先把亮度按整帧均值和对比度归一化，再和上一帧比较，
+ * 摄像头自动曝光、开关灯引起的整体明暗变化不会被当成动作。
+ */
+
+// 运动图尺寸（把 320x240 的分析画面按 4x4 块缩小）
+const MOTION_GRID_WIDTH = 80;
+const MOTION_GRID_HEIGHT = 60;
+
+// 归一化亮度差超过此值认为这一块在动
+const MOTION_PIXEL_THRESHOLD = 0.45;
+
+// 区域划分（3x3，从左上到右下）
+const MOTION_REGION_COLS = 3;
+const MOTION_REGION_ROWS = 3;
+
+// 超过此比例的画面同时变化时认为是光线突变，这一帧不计入
+const LIGHTING_CHANGE_RATIO = 0.6;
+
+// 躁动指数统计的时间窗口（毫秒）
+const RESTLESSNESS_WINDOW_MS = 30 * 1000;
+
+// 窗口内平均有这么多画面在动时躁动指数为 100
+const RESTLESSNESS_FULL_SCALE = 0.12;
+
+// 一个样本最多代表的时长（毫秒）；间隔更长说明中间停止过检测，只按这么长计算
+const RESTLESSNESS_MAX_SAMPLE_MS = 2000;
+
+// 躁动指数达到此值时算作走神（坐不住）
+const RESTLESS_DISTRACTION_LEVEL = 70;
+
+/**
+ * MotionAnalyzer 类 - 帧差运动图
+ */
+class MotionAnalyzer {
+    constructor() {
+        // 上一帧归一化后的亮度
+        this.previous = null;
+        // 最近一帧的运动图（1 为在动）
+        this.map = new Uint8Array(MOTION_GRID_WIDTH * MOTION_GRID_HEIGHT);
+    }
+
+    /**
+     * 清除上一帧（摄像头重新打开时）
+     */
+    reset() {
+        this.previous = null;
+        this.map.fill(0);
+    }
+
+    /**
+     * 分析一帧
+     * @param {ImageData} imageData - 整帧图像
+     * @returns {Object} { score, regions, lightingChange }
+     *   score 为在动的画面比例（0~1），regions 为各区域在动的比例（按行排列），
+     *   lightingChange 为是否光线突变（此时 score 和 regions 都为 0）
+     */
+    analyze(imageData) {
+        const current = MotionAnalyzer.normalize(MotionAnalyzer.downsample(imageData));
+        const previous = this.previous;
+        this.previous = current;
+
+        const regions = new Array(MOTION_REGION_COLS * MOTION_REGION_ROWS).fill(0);
+        if (!previous) {
+            return { score: 0, regions, lightingChange: false };
+        }
+
+        const regionSize = (MOTION_GRID_WIDTH / MOTION_REGION_COLS) * (MOTION_GRID_HEIGHT / MOTION_REGION_ROWS);
+        let moving = 0;
+
+        for (let y = 0; y < MOTION_GRID_HEIGHT; y++) {
+            const row = Math.floor(y * MOTION_REGION_ROWS / MOTION_GRID_HEIGHT);
+            for (let x = 0; x < MOTION_GRID_WIDTH; x++) {
+                const i = y * MOTION_GRID_WIDTH + x;
+                const isMoving = Math.abs(current[i] - previous[i]) > MOTION_PIXEL_THRESHOLD ? 1 : 0;
+                this.map[i] = isMoving;
+                if (isMoving) {
+                    moving++;
+                    regions[row * MOTION_REGION_COLS + Math.floor(x * MOTION_REGION_COLS / MOTION_GRID_WIDTH)]++;
+                }
+            }
+        }
+
+        const score = moving / current.length;
+        if (score > LIGHTING_CHANGE_RATIO) {
+            this.map.fill(0);
+            return { score: 0, regions: regions.fill(0), lightingChange: true };
+        }
+
+        return {
+            score,
+            regions: regions.map(count => count / regionSize),
+            lightingChange: false
+        };
+    }
+
+    /**
+     * 把整帧缩小为灰度运动图尺寸（每块取平均亮度）
+     * @param {ImageData} imageData - 整帧图像
+     * @returns {Float32Array}
+     */
+    static downsample(imageData) {
+        const { data, width, height } = imageData;
+        const gray = new Float32Array(MOTION_GRID_WIDTH * MOTION_GRID_HEIGHT);
+        const counts = new Uint16Array(gray.length);
+
+        for (let y = 0; y < height; y++) {
+            const gy = Math.floor(y * MOTION_GRID_HEIGHT / height);
+            for (let x = 0; x < width; x++) {
+                const p = (y * width + x) * 4;
+                const i = gy * MOTION_GRID_WIDTH + Math.floor(x * MOTION_GRID_WIDTH / width);
+                gray[i] += 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+                counts[i]++;
+            }
+        }
+
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] /= counts[i] || 1;
+        }
+        return gray;
+    }
+
+    /**
+     * 按整帧均值和标准差归一化，抵消曝光和增益的整体变化
+     * @param {Float32Array} gray - 灰度图
+     * @returns {Float32Array}
+     */
+    static normalize(gray) {
+        let sum = 0;
+        for (let i = 0; i < gray.length; i++) {
+            sum += gray[i];
+        }
+        const mean = sum / gray.length;
+
+        let variance = 0;
+        for (let i = 0; i < gray.length; i++) {
+            variance += (gray[i] - mean) ** 2;
+        }
+        // 画面几乎全黑或全白时避免除以 0
+        const std = Math.max(Math.sqrt(variance / gray.length), 4);
+
+        return gray.map(v => (v - mean) / std);
+    }
+}
+
+/**
+ * RestlessnessMeter 类 - 躁动指数
+ * 取最近一段时间运动比例按时间加权的平均值，换算为 0~100
+ *
+ * 检测帧率会随画面变化（在动时每秒约 10 帧，坐着不动时约 1 帧），
+ * 每个样本按它和上一帧相隔的时间计权，在动的时段不会因为帧多而被放大。
+ */
+class RestlessnessMeter {
+    constructor() {
+        // 样本 { time, score, duration }，duration 为这一帧代表的时长
+        this.samples = [];
+        // 上一个样本的时间戳
+        this.lastTime = null;
+    }
+
+    /**
+     * 加入一帧的运动比例
+     * @param {number} score - 在动的画面比例（0~1），为上一帧到这一帧之间的变化
+     * @param {number} time - 时间戳，默认为现在
+     */
+    add(score, time = Date.now()) {
+        // 第一帧没有上一帧可比，不代表任何时长
+        const duration = this.lastTime === null
+            ? 0
+            : Math.min(Math.max(time - this.lastTime, 0), RESTLESSNESS_MAX_SAMPLE_MS);
+        this.lastTime = time;
+
+        this.samples.push({ time, score, duration });
+        while (this.samples.length > 0 && time - this.samples[0].time > RESTLESSNESS_WINDOW_MS) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * 当前躁动指数
+     * @returns {number} 0~100，没有样本时为 0
+     */
+    getValue() {
+        const totalDuration = this.samples.reduce((sum, s) => sum + s.duration, 0);
+        if (totalDuration === 0) return 0;
+
+        const average = this.samples.reduce((sum, s) => sum + s.score * s.duration, 0) / totalDuration;
+        return Math.min(100, Math.round(average / RESTLESSNESS_FULL_SCALE * 100));
+    }
+
+    /**
+     * 清空样本（人离开或停止检测时）
+     */
+    reset() {
+        this.samples = [];
+        this.lastTime = null;
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MotionAnalyzer, RestlessnessMeter, RESTLESS_DISTRACTION_LEVEL, MOTION_REGION_COLS, MOTION_REGION_ROWS };
+}
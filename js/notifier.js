@@ -0,0 +1,272 @@
+/**
+ * Notifier 后台提醒模块
+ * 页面不在前台时，通过系统通知、标签页标题和图标把提醒送到孩子眼前
+ */
+
+// 标签页倒计时的阶段
+const CountdownPhase = {
+    STUDY: 'study',    // 距离休息
+    BREAK: 'break',    // 休息剩余
+    PAUSED: 'paused'   // 已暂停
+};
+
+// 标题闪烁间隔（毫秒）
+const TITLE_FLASH_MS = 1000;
+
+// 图标大小（像素）
+const FAVICON_SIZE = 32;
+
+/**
+ * BackgroundNotifier 类 - 后台提醒
+ */
+class BackgroundNotifier {
+    constructor() {
+        // 是否发送系统通知
+        this.enabled = false;
+        // 原始标题和图标
+        this.baseTitle = '';
+        this.faviconLink = null;
+        this.baseFavicon = null;
+        // 当前倒计时标题（不闪烁时显示）
+        this.countdownTitle = '';
+        // 闪烁状态
+        this.flashId = null;
+        this.flashMessage = '';
+        this.flashOn = false;
+        // 正在显示的系统通知
+        this.notification = null;
+        // 画图标用的画布
+        this.canvas = null;
+    }
+
+    /**
+     * 初始化：记下原始标题，页面回到前台时停止闪烁
+     */
+    init() {
+        this.baseTitle = document.title;
+        this.faviconLink = document.querySelector('link[rel="icon"]');
+        this.baseFavicon = this.faviconLink ? this.faviconLink.href : null;
+
+        window.addEventListener('focus', () => {
+            this.acknowledge();
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.acknowledge();
+            }
+        });
+    }
+
+    /**
+     * 浏览器是否支持系统通知
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return 'Notification' in window;
+    }
+
+    /**
+     * 当前通知权限
+     * @returns {string} 'granted' / 'denied' / 'default' / 'unsupported'
+     */
+    static getPermission() {
+        return BackgroundNotifier.isSupported() ? Notification.permission : 'unsupported';
+    }
+
+    /**
+     * 请求通知权限
+     * @returns {Promise<string>} 请求后的权限
+     */
+    static async requestPermission() {
+        if (!BackgroundNotifier.isSupported()) return 'unsupported';
+        if (Notification.permission !== 'default') return Notification.permission;
+
+        try {
+            return await Notification.requestPermission();
+        } catch (e) {
+            console.warn('无法请求通知权限:', e.message);
+            return Notification.permission;
+        }
+    }
+
+    /**
+     * 设置是否发送系统通知
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    /**
+     * 页面是否在前台（可见且窗口有焦点）
+     * @returns {boolean}
+     */
+    static isInForeground() {
+        return !document.hidden && document.hasFocus();
+    }
+
+    /**
+     * 发出提醒：页面不在前台时发送系统通知并闪烁标题
+     * @param {string} title - 标题
+     * @param {string} body - 内容
+     * @param {string} tag - 通知类型（同类型的新通知替换旧通知）
+     */
+    alert(title, body, tag) {
+        if (BackgroundNotifier.isInForeground()) return;
+
+        this.startFlashing(title);
+
+        if (!this.enabled || BackgroundNotifier.getPermission() !== 'granted') return;
+
+        try {
+            this.closeNotification();
+            this.notification = new Notification(title, {
+                body: body,
+                tag: 'child-study-reminder-' + tag,
+                requireInteraction: true
+            });
+            this.notification.onclick = () => {
+                window.focus();
+                this.acknowledge();
+            };
+        } catch (e) {
+            console.warn('无法发送通知:', e.message);
+        }
+    }
+
+    /**
+     * 孩子已经回到页面：停止闪烁并关闭通知
+     */
+    acknowledge() {
+        this.stopFlashing();
+        this.closeNotification();
+    }
+
+    /**
+     * 关闭系统通知
+     */
+    closeNotification() {
+        if (this.notification) {
+            this.notification.close();
+            this.notification = null;
+        }
+    }
+
+    /**
+     * 开始闪烁标题
+     * @param {string} message - 与倒计时交替显示的提醒文字
+     */
+    startFlashing(message) {
+        this.stopFlashing();
+
+        this.flashMessage = message;
+        this.flashOn = true;
+        this.renderTitle();
+        this.flashId = setInterval(() => {
+            this.flashOn = !this.flashOn;
+            this.renderTitle();
+        }, TITLE_FLASH_MS);
+    }
+
+    /**
+     * 停止闪烁标题
+     */
+    stopFlashing() {
+        if (this.flashId) {
+            clearInterval(this.flashId);
+            this.flashId = null;
+        }
+        this.flashOn = false;
+        this.renderTitle();
+    }
+
+    /**
+     * 更新标签页倒计时
+     * @param {number} seconds - 秒数（学习时为距离休息，休息时为剩余）
+     * @param {string} phase - 阶段（见 CountdownPhase）
+     * @param {number} ratio - 本阶段已过去的比例（0~1），用于图标进度环
+     */
+    updateCountdown(seconds, phase, ratio) {
+        const icons = { study: '📖', break: '☕', paused: '⏸' };
+        const minutes = Math.floor(seconds / 60).toString().padStart(2, '0');
+        const rest = (seconds % 60).toString().padStart(2, '0');
+
+        this.countdownTitle = `${icons[phase]} ${minutes}:${rest} - ${this.baseTitle}`;
+        this.renderTitle();
+        this.drawFavicon(phase, ratio);
+    }
+
+    /**
+     * 清除倒计时，恢复原始标题和图标
+     */
+    clearCountdown() {
+        this.countdownTitle = '';
+        this.renderTitle();
+
+        if (this.faviconLink) {
+            if (this.baseFavicon) {
+                this.faviconLink.href = this.baseFavicon;
+            } else {
+                this.faviconLink.remove();
+                this.faviconLink = null;
+            }
+        }
+    }
+
+    /**
+     * 刷新标签页标题
+     */
+    renderTitle() {
+        if (this.flashOn) {
+            document.title = `🔔 ${this.flashMessage}`;
+        } else {
+            document.title = this.countdownTitle || this.baseTitle;
+        }
+    }
+
+    /**
+     * 画带进度环的图标
+     * @param {string} phase - 阶段
+     * @param {number} ratio - 进度（0~1）
+     */
+    drawFavicon(phase, ratio) {
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = FAVICON_SIZE;
+            this.canvas.height = FAVICON_SIZE;
+        }
+
+        const ctx = this.canvas.getContext('2d');
+        if (!ctx) return;
+
+        const center = FAVICON_SIZE / 2;
+        const colors = { study: '#11998e', break: '#f5a623', paused: '#999999' };
+
+        ctx.clearRect(0, 0, FAVICON_SIZE, FAVICON_SIZE);
+
+        // 底圈
+        ctx.beginPath();
+        ctx.arc(center, center, center - 3, 0, Math.PI * 2);
+        ctx.lineWidth = 6;
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.stroke();
+
+        // 进度
+        ctx.beginPath();
+        ctx.arc(center, center, center - 3, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * Math.min(1, Math.max(0, ratio)));
+        ctx.strokeStyle = colors[phase];
+        ctx.stroke();
+
+        if (!this.faviconLink) {
+            this.faviconLink = document.createElement('link');
+            this.faviconLink.rel = 'icon';
+            document.head.appendChild(this.faviconLink);
+        }
+        this.faviconLink.href = this.canvas.toDataURL('image/png');
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BackgroundNotifier, CountdownPhase };
+}
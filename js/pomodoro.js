@@ -0,0 +1,225 @@
+/**
+ * Pomodoro 番茄钟模块
+ * 在 Timer 之上管理 学习 / 短休息 / 长休息 三个阶段
+ */
+
+// 番茄钟阶段枚举
+const PomodoroPhase = {
+    WORK: 'work',               // 学习中
+    SHORT_BREAK: 'shortBreak',  // 短休息
+    LONG_BREAK: 'longBreak'     // 长休息
+};
+
+/**
+ * PomodoroCycle 类 - 番茄钟阶段状态机
+ *
+ * 学习阶段的计时由 Timer 负责，到达学习时长后由 App 调用 startBreak()；
+ * 休息阶段由本模块倒计时，结束后自动回到学习阶段。
+ *
+ *   WORK --startBreak()--> SHORT_BREAK / LONG_BREAK --倒计时结束--> WORK
+ */
+class PomodoroCycle {
+    constructor() {
+        // 当前阶段
+        this.phase = PomodoroPhase.WORK;
+        // 已完成的学习段数
+        this.completedCycles = 0;
+        // 时长配置（分钟）
+        this.shortBreakMinutes = 5;
+        this.longBreakMinutes = 15;
+        // 每完成几段学习进行一次长休息
+        this.longBreakEvery = 4;
+        // 休息结束时间戳（毫秒）
+        this.breakEndTime = null;
+        // 倒计时ID
+        this.countdownId = null;
+        // 回调函数
+        this.phaseChangeCallback = null;
+        this.breakTickCallback = null;
+        this.breakEndCallback = null;
+    }
+
+    /**
+     * 设置休息配置
+     * @param {Object} options
+     * @param {number} options.shortBreakMinutes - 短休息分钟数
+     * @param {number} options.longBreakMinutes - 长休息分钟数
+     * @param {number} options.longBreakEvery - 每几段学习一次长休息
+     */
+    configure({ shortBreakMinutes, longBreakMinutes, longBreakEvery }) {
+        if (shortBreakMinutes > 0) this.shortBreakMinutes = shortBreakMinutes;
+        if (longBreakMinutes > 0) this.longBreakMinutes = longBreakMinutes;
+        if (longBreakEvery > 0) this.longBreakEvery = longBreakEvery;
+    }
+
+    /**
+     * 完成一段学习，开始休息
+     * 状态转换：work -> shortBreak / longBreak
+     */
+    startBreak() {
+        if (this.isOnBreak()) return;
+
+        this.completedCycles++;
+        const isLong = this.completedCycles % this.longBreakEvery === 0;
+        const minutes = isLong ? this.longBreakMinutes : this.shortBreakMinutes;
+
+        this.phase = isLong ? PomodoroPhase.LONG_BREAK : PomodoroPhase.SHORT_BREAK;
+        this.breakEndTime = Date.now() + minutes * 60 * 1000;
+
+        if (this.phaseChangeCallback) {
+            this.phaseChangeCallback(this.phase);
+        }
+
+        this.tick();
+        this.countdownId = setInterval(() => {
+            this.tick();
+        }, 1000);
+    }
+
+    /**
+     * 倒计时走一步（按时间戳计算剩余时间）
+     */
+    tick() {
+        const remaining = this.getBreakRemaining();
+
+        if (this.breakTickCallback) {
+            this.breakTickCallback(remaining);
+        }
+
+        if (remaining <= 0) {
+            this.finishBreak();
+        }
+    }
+
+    /**
+     * 休息结束，回到学习阶段
+     * 状态转换：shortBreak / longBreak -> work
+     */
+    finishBreak() {
+        const finishedPhase = this.phase;
+
+        this.stopCountdown();
+        this.phase = PomodoroPhase.WORK;
+
+        if (this.phaseChangeCallback) {
+            this.phaseChangeCallback(this.phase);
+        }
+        if (this.breakEndCallback) {
+            this.breakEndCallback(finishedPhase);
+        }
+    }
+
+    /**
+     * 重置番茄钟
+     * 状态转换：any -> work，已完成段数归零
+     */
+    reset() {
+        this.stopCountdown();
+        this.phase = PomodoroPhase.WORK;
+        this.completedCycles = 0;
+    }
+
+    /**
+     * 获取可保存的阶段快照
+     * @returns {{phase: string, completedCycles: number, breakEndTime: number|null}}
+     */
+    getSnapshot() {
+        return {
+            phase: this.phase,
+            completedCycles: this.completedCycles,
+            breakEndTime: this.breakEndTime
+        };
+    }
+
+    /**
+     * 从快照恢复阶段
+     * 休息还没结束时继续倒计时；休息已在离开期间结束时直接回到学习阶段
+     * @param {Object} snapshot - getSnapshot() 的结果
+     */
+    restore(snapshot) {
+        this.stopCountdown();
+        this.completedCycles = snapshot.completedCycles || 0;
+        this.phase = PomodoroPhase.WORK;
+
+        if (snapshot.phase !== PomodoroPhase.WORK && snapshot.breakEndTime > Date.now()) {
+            this.phase = snapshot.phase;
+            this.breakEndTime = snapshot.breakEndTime;
+            this.countdownId = setInterval(() => {
+                this.tick();
+            }, 1000);
+        }
+    }
+
+    /**
+     * 停止倒计时
+     */
+    stopCountdown() {
+        if (this.countdownId) {
+            clearInterval(this.countdownId);
+            this.countdownId = null;
+        }
+        this.breakEndTime = null;
+    }
+
+    /**
+     * 获取休息剩余秒数
+     * @returns {number} 剩余秒数，不在休息时为 0
+     */
+    getBreakRemaining() {
+        if (!this.breakEndTime) return 0;
+        return Math.max(0, Math.ceil((this.breakEndTime - Date.now()) / 1000));
+    }
+
+    /**
+     * 是否在休息阶段
+     * @returns {boolean}
+     */
+    isOnBreak() {
+        return this.phase !== PomodoroPhase.WORK;
+    }
+
+    /**
+     * 获取当前阶段
+     * @returns {string} 当前阶段
+     */
+    getPhase() {
+        return this.phase;
+    }
+
+    /**
+     * 获取已完成的学习段数
+     * @returns {number}
+     */
+    getCompletedCycles() {
+        return this.completedCycles;
+    }
+
+    /**
+     * 注册阶段变化回调
+     * @param {Function} callback - 回调函数，参数为新阶段
+     */
+    onPhaseChange(callback) {
+        this.phaseChangeCallback = callback;
+    }
+
+    /**
+     * 注册休息倒计时回调
+     * @param {Function} callback - 回调函数，参数为剩余秒数
+     */
+    onBreakTick(callback) {
+        this.breakTickCallback = callback;
+    }
+
+    /**
+     * 注册休息结束回调
+     * @param {Function} callback - 回调函数，参数为刚结束的休息阶段
+     */
+    onBreakEnd(callback) {
+        this.breakEndCallback = callback;
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PomodoroCycle, PomodoroPhase };
+}
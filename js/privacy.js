@@ -0,0 +1,154 @@
+/**
+ * Privacy 摄像头隐私模块
+ * 预览画面的显示方式、摄像头开启指示、摄像头自动关闭的提示，以及隐私说明面板
+ *
+ * 摄像头画面只在本机内存中逐帧分析，分析完即丢弃，不保存、不上传；
+ * 保存下来的只有校准阈值和学习记录中的次数、时间等数字。
+ */
+
+// 预览画面显示方式
+const PrivacyMode = {
+    SHOW: 'show',   // 正常显示
+    BLUR: 'blur',   // 模糊显示
+    HIDE: 'hide'    // 不显示画面
+};
+
+// 摄像头自动关闭的原因
+const CameraOffReason = {
+    IDLE: 'idle',                   // 长时间没有检测到人
+    SESSION_END: 'sessionEnd',      // 本次学习结束
+    BREAK: 'break',                 // 休息时暂停
+    DISCONNECTED: 'disconnected'    // 摄像头断开，多次重连失败
+};
+
+/**
+ * PrivacyView 类 - 隐私相关的界面
+ */
+class PrivacyView {
+    constructor() {
+        // DOM元素引用
+        this.cameraContainer = null;
+        this.indicator = null;
+        this.offNotice = null;
+        this.offText = null;
+        this.resumeBtn = null;
+        this.panelBtn = null;
+        this.panel = null;
+        this.detectorInfo = null;
+        // 回调函数
+        this.resumeCallback = null;
+    }
+
+    /**
+     * 初始化
+     * 绑定DOM元素和事件
+     */
+    init() {
+        this.cameraContainer = document.getElementById('cameraContainer');
+        this.indicator = document.getElementById('cameraIndicator');
+        this.offNotice = document.getElementById('cameraOffNotice');
+        this.offText = document.getElementById('cameraOffText');
+        this.resumeBtn = document.getElementById('cameraResumeBtn');
+        this.panelBtn = document.getElementById('privacyBtn');
+        this.panel = document.getElementById('privacyPanel');
+        this.detectorInfo = document.getElementById('privacyDetectorInfo');
+
+        if (this.resumeBtn) {
+            this.resumeBtn.addEventListener('click', () => {
+                if (this.resumeCallback) {
+                    this.resumeCallback();
+                }
+            });
+        }
+        if (this.panelBtn) {
+            this.panelBtn.addEventListener('click', () => {
+                this.panel.classList.toggle('hidden');
+            });
+        }
+    }
+
+    /**
+     * 设置预览画面显示方式
+     * 只影响页面上的预览，检测照常进行
+     * @param {string} mode - PrivacyMode 之一
+     */
+    setMode(mode) {
+        if (!this.cameraContainer) return;
+
+        this.cameraContainer.classList.toggle('privacy-blur', mode === PrivacyMode.BLUR);
+        this.cameraContainer.classList.toggle('privacy-hide', mode === PrivacyMode.HIDE);
+    }
+
+    /**
+     * 更新摄像头开启指示和隐私面板中的检测说明
+     * @param {boolean} active - 摄像头是否开启
+     * @param {string} backendLabel - 检测方式名称
+     * @param {boolean} inWorker - 是否在后台线程分析
+     */
+    setCameraActive(active, backendLabel = '', inWorker = false) {
+        if (this.indicator) {
+            this.indicator.classList.toggle('hidden', !active);
+        }
+        if (this.detectorInfo) {
+            this.detectorInfo.textContent = active
+                ? `摄像头已开启：${backendLabel}，${inWorker ? '在后台线程中' : '在页面中'}分析`
+                : '摄像头未开启';
+        }
+    }
+
+    /**
+     * 显示摄像头已自动关闭的提示
+     * @param {string} reason - CameraOffReason 之一
+     * @param {number} idleMinutes - 自动关闭前等待的分钟数（IDLE 时使用）
+     */
+    showCameraOff(reason, idleMinutes = 0) {
+        if (!this.offNotice) return;
+
+        this.offText.textContent = PrivacyView.describeOffReason(reason, idleMinutes);
+        // 休息结束后会自动重新打开，不需要按钮
+        this.resumeBtn.classList.toggle('hidden', reason === CameraOffReason.BREAK);
+        this.offNotice.classList.remove('hidden');
+    }
+
+    /**
+     * 隐藏摄像头已关闭的提示
+     */
+    hideCameraOff() {
+        if (this.offNotice) {
+            this.offNotice.classList.add('hidden');
+        }
+    }
+
+    /**
+     * 摄像头自动关闭的说明文字
+     * @param {string} reason - CameraOffReason 之一
+     * @param {number} idleMinutes - 自动关闭前等待的分钟数
+     * @returns {string}
+     */
+    static describeOffReason(reason, idleMinutes) {
+        switch (reason) {
+            case CameraOffReason.IDLE:
+                return `${idleMinutes} 分钟没有检测到人，摄像头已自动关闭`;
+            case CameraOffReason.SESSION_END:
+                return '本次学习已结束，摄像头已关闭';
+            case CameraOffReason.BREAK:
+                return '休息中，摄像头已暂停，休息结束后自动打开';
+            case CameraOffReason.DISCONNECTED:
+                return '摄像头断开了，多次重新连接都没有成功，请检查摄像头后重新打开';
+            default:
+                return '摄像头已关闭';
+        }
+    }
+
+    /**
+     * 注册回调函数
+     */
+    onResume(callback) {
+        this.resumeCallback = callback;
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PrivacyView, PrivacyMode, CameraOffReason };
+}
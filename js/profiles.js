@@ -0,0 +1,424 @@
+/**
+ * Profiles 孩子资料模块
+ * 支持多个孩子共用一台电脑，每个孩子有独立的设置和学习记录
+ */
+
+// 资料列表存储键名
+const PROFILES_KEY = 'childStudyReminderProfiles';
+
+// 可选头像
+const PROFILE_AVATARS = ['🐱', '🐶', '🐰', '🐼', '🦊', '🐯', '🐸', '🐵', '🦁', '🐨'];
+
+// 资料名称最大长度
+const PROFILE_NAME_MAX = 12;
+
+/**
+ * ProfileManager 类 - 孩子资料管理
+ *
+ * 每个孩子的数据存放在 "<原键名>:<资料ID>" 下，
+ * 第一次使用时把旧版本的单份数据迁移到默认资料中。
+ */
+class ProfileManager {
+    /**
+     * @param {Array<string>} dataKeys - 按孩子隔离的数据键名
+     */
+    constructor(dataKeys = []) {
+        this.dataKeys = dataKeys;
+        this.profiles = [];
+        this.activeId = null;
+    }
+
+    /**
+     * 读取资料列表，没有时创建默认资料并迁移旧数据
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(PROFILES_KEY);
+            if (saved) {
+                const data = JSON.parse(saved);
+                if (Array.isArray(data.profiles) && data.profiles.length > 0) {
+                    this.profiles = data.profiles;
+                    this.activeId = this.getProfile(data.activeId) ? data.activeId : this.profiles[0].id;
+                    return;
+                }
+            }
+        } catch (e) {
+            console.warn('无法读取孩子资料:', e.message);
+        }
+
+        const profile = this.createProfile('宝贝', PROFILE_AVATARS[0]);
+        this.profiles = [profile];
+        this.activeId = profile.id;
+        this.migrateLegacyData(profile.id);
+        this.save();
+    }
+
+    /**
+     * 保存资料列表
+     */
+    save() {
+        try {
+            localStorage.setItem(PROFILES_KEY, JSON.stringify({
+                activeId: this.activeId,
+                profiles: this.profiles
+            }));
+        } catch (e) {
+            console.warn('无法保存孩子资料:', e.message);
+        }
+    }
+
+    /**
+     * 把旧版本（没有多孩子时）的数据移到指定资料下
+     * @param {string} id - 资料ID
+     */
+    migrateLegacyData(id) {
+        this.dataKeys.forEach(key => {
+            try {
+                const value = localStorage.getItem(key);
+                if (value !== null) {
+                    localStorage.setItem(ProfileManager.keyFor(key, id), value);
+                    localStorage.removeItem(key);
+                }
+            } catch (e) {
+                console.warn('无法迁移旧数据:', e.message);
+            }
+        });
+    }
+
+    /**
+     * 创建资料对象
+     * @param {string} name - 名字
+     * @param {string} avatar - 头像
+     * @returns {Object}
+     */
+    createProfile(name, avatar) {
+        return {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            name: name,
+            avatar: avatar,
+            createdAt: Date.now()
+        };
+    }
+
+    /**
+     * 添加孩子
+     * @param {string} name - 名字
+     * @param {string} avatar - 头像
+     * @returns {Object} 新资料
+     */
+    add(name, avatar) {
+        const profile = this.createProfile(name, avatar);
+        this.profiles.push(profile);
+        this.save();
+        return profile;
+    }
+
+    /**
+     * 修改名字和头像
+     * @param {string} id - 资料ID
+     * @param {string} name - 新名字
+     * @param {string} avatar - 新头像
+     */
+    rename(id, name, avatar) {
+        const profile = this.getProfile(id);
+        if (!profile) return;
+
+        profile.name = name;
+        profile.avatar = avatar;
+        this.save();
+    }
+
+    /**
+     * 删除孩子及其全部数据（至少保留一个）
+     * @param {string} id - 资料ID
+     * @returns {boolean} 是否删除成功
+     */
+    remove(id) {
+        if (this.profiles.length <= 1 || !this.getProfile(id)) return false;
+
+        this.profiles = this.profiles.filter(p => p.id !== id);
+        if (this.activeId === id) {
+            this.activeId = this.profiles[0].id;
+        }
+
+        this.dataKeys.forEach(key => {
+            try {
+                localStorage.removeItem(ProfileManager.keyFor(key, id));
+            } catch (e) {
+                console.warn('无法删除孩子数据:', e.message);
+            }
+        });
+
+        this.save();
+        return true;
+    }
+
+    /**
+     * 切换当前孩子
+     * @param {string} id - 资料ID
+     */
+    switchTo(id) {
+        if (!this.getProfile(id)) return;
+
+        this.activeId = id;
+        this.save();
+    }
+
+    /**
+     * 按ID查找资料
+     * @param {string} id - 资料ID
+     * @returns {Object|undefined}
+     */
+    getProfile(id) {
+        return this.profiles.find(p => p.id === id);
+    }
+
+    /**
+     * 获取当前孩子
+     * @returns {Object}
+     */
+    getActive() {
+        return this.getProfile(this.activeId);
+    }
+
+    /**
+     * 获取全部孩子
+     * @returns {Array<Object>}
+     */
+    getAll() {
+        return this.profiles;
+    }
+
+    /**
+     * 获取当前孩子的数据键名
+     * @param {string} key - 原键名
+     * @returns {string}
+     */
+    storageKey(key) {
+        return ProfileManager.keyFor(key, this.activeId);
+    }
+
+    /**
+     * 生成某个孩子的数据键名
+     * @param {string} key - 原键名
+     * @param {string} id - 资料ID
+     * @returns {string}
+     */
+    static keyFor(key, id) {
+        return key + ':' + id;
+    }
+
+    /**
+     * 校验名字
+     * @param {string} name - 名字
+     * @returns {string|null} 错误信息，合法时返回 null
+     */
+    static validateName(name) {
+        if (!name) {
+            return '请输入名字';
+        }
+        if (name.length > PROFILE_NAME_MAX) {
+            return `名字不能超过${PROFILE_NAME_MAX}个字`;
+        }
+        return null;
+    }
+}
+
+/**
+ * ProfileView 类 - 孩子切换栏和管理面板
+ */
+class ProfileView {
+    constructor() {
+        // DOM元素引用
+        this.bar = null;
+        this.panel = null;
+        this.list = null;
+        this.newNameInput = null;
+        this.newAvatarSelect = null;
+        this.addBtn = null;
+        // 回调函数
+        this.switchCallback = null;
+        this.addCallback = null;
+        this.renameCallback = null;
+        this.deleteCallback = null;
+    }
+
+    /**
+     * 初始化
+     * 绑定DOM元素和事件
+     */
+    init() {
+        this.bar = document.getElementById('profileBar');
+        this.panel = document.getElementById('profilePanel');
+        this.list = document.getElementById('profileList');
+        this.newNameInput = document.getElementById('newProfileName');
+        this.newAvatarSelect = document.getElementById('newProfileAvatar');
+        this.addBtn = document.getElementById('addProfileBtn');
+
+        if (this.newAvatarSelect) {
+            this.fillAvatarOptions(this.newAvatarSelect, PROFILE_AVATARS[0]);
+        }
+
+        if (this.addBtn) {
+            this.addBtn.addEventListener('click', () => {
+                if (this.addCallback) {
+                    this.addCallback(this.newNameInput.value.trim(), this.newAvatarSelect.value);
+                }
+            });
+        }
+    }
+
+    /**
+     * 渲染切换栏和管理列表
+     * @param {Array<Object>} profiles - 全部资料
+     * @param {string} activeId - 当前资料ID
+     */
+    render(profiles, activeId) {
+        this.renderBar(profiles, activeId);
+        this.renderList(profiles);
+    }
+
+    /**
+     * 渲染主界面上的切换栏
+     */
+    renderBar(profiles, activeId) {
+        if (!this.bar) return;
+
+        this.bar.innerHTML = '';
+
+        profiles.forEach(profile => {
+            const chip = document.createElement('button');
+            chip.className = 'profile-chip' + (profile.id === activeId ? ' active' : '');
+            chip.textContent = `${profile.avatar} ${profile.name}`;
+            chip.addEventListener('click', () => {
+                if (this.switchCallback) {
+                    this.switchCallback(profile.id);
+                }
+            });
+            this.bar.appendChild(chip);
+        });
+
+        const manage = document.createElement('button');
+        manage.className = 'profile-chip profile-manage';
+        manage.textContent = '👪 管理';
+        manage.addEventListener('click', () => {
+            this.togglePanel();
+        });
+        this.bar.appendChild(manage);
+    }
+
+    /**
+     * 渲染管理面板中的列表
+     */
+    renderList(profiles) {
+        if (!this.list) return;
+
+        this.list.innerHTML = '';
+
+        profiles.forEach(profile => {
+            const item = document.createElement('li');
+            item.className = 'profile-item';
+
+            const avatar = document.createElement('select');
+            this.fillAvatarOptions(avatar, profile.avatar);
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.value = profile.name;
+            name.maxLength = PROFILE_NAME_MAX;
+
+            const save = document.createElement('button');
+            save.className = 'btn btn-settings';
+            save.textContent = '保存';
+            save.addEventListener('click', () => {
+                if (this.renameCallback) {
+                    this.renameCallback(profile.id, name.value.trim(), avatar.value);
+                }
+            });
+
+            const remove = document.createElement('button');
+            remove.className = 'btn btn-settings';
+            remove.textContent = '删除';
+            remove.disabled = profiles.length <= 1;
+            remove.addEventListener('click', () => {
+                if (this.deleteCallback) {
+                    this.deleteCallback(profile.id);
+                }
+            });
+
+            item.append(avatar, name, save, remove);
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * 填充头像下拉框
+     * @param {HTMLSelectElement} select - 下拉框
+     * @param {string} selected - 选中的头像
+     */
+    fillAvatarOptions(select, selected) {
+        select.innerHTML = '';
+        PROFILE_AVATARS.forEach(avatar => {
+            const option = document.createElement('option');
+            option.value = avatar;
+            option.textContent = avatar;
+            option.selected = avatar === selected;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * 清空"添加孩子"表单
+     */
+    clearAddForm() {
+        if (this.newNameInput) {
+            this.newNameInput.value = '';
+        }
+    }
+
+    /**
+     * 切换管理面板显示
+     */
+    togglePanel() {
+        if (this.panel) {
+            this.panel.classList.toggle('hidden');
+        }
+    }
+
+    /**
+     * 注册切换孩子回调
+     * @param {Function} callback - 回调函数，参数为资料ID
+     */
+    onSwitch(callback) {
+        this.switchCallback = callback;
+    }
+
+    /**
+     * 注册添加孩子回调
+     * @param {Function} callback - 回调函数，参数为名字、头像
+     */
+    onAdd(callback) {
+        this.addCallback = callback;
+    }
+
+    /**
+     * 注册修改资料回调
+     * @param {Function} callback - 回调函数，参数为资料ID、名字、头像
+     */
+    onRename(callback) {
+        this.renameCallback = callback;
+    }
+
+    /**
+     * 注册删除孩子回调
+     * @param {Function} callback - 回调函数，参数为资料ID
+     */
+    onDelete(callback) {
+        this.deleteCallback = callback;
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProfileManager, ProfileView, PROFILES_KEY, PROFILE_AVATARS };
+}
@@ -0,0 +1,150 @@
+/**
+ * PWA 安装与更新模块
+ * 注册离线缓存（sw.js），提供"安装到桌面"按钮，有新版本时提示更新
+ */
+
+// 检查新版本的间隔（毫秒），页面长时间开着时也能发现更新
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+/**
+ * AppInstaller 类 - 离线缓存、安装和更新
+ */
+class AppInstaller {
+    constructor() {
+        this.registration = null;
+        // 浏览器提供的安装提示（beforeinstallprompt 事件）
+        this.installPrompt = null;
+        // 是否是点击更新后切换的版本（只在这种情况下自动刷新）
+        this.updating = false;
+        this.updateCheckId = null;
+        // 回调函数
+        this.updateAvailableCallback = null;
+        this.installAvailableCallback = null;
+    }
+
+    /**
+     * 浏览器是否支持离线缓存
+     * 直接双击打开本地文件（file://）时不支持
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return 'serviceWorker' in navigator && location.protocol !== 'file:';
+    }
+
+    /**
+     * 注册离线缓存并开始监听更新
+     */
+    async register() {
+        // 安装提示要尽早监听，不依赖离线缓存是否可用
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            this.installPrompt = e;
+            if (this.installAvailableCallback) {
+                this.installAvailableCallback(true);
+            }
+        });
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            if (this.installAvailableCallback) {
+                this.installAvailableCallback(false);
+            }
+        });
+
+        if (!AppInstaller.isSupported()) return;
+
+        try {
+            this.registration = await navigator.serviceWorker.register('sw.js');
+        } catch (e) {
+            console.warn('无法启用离线缓存:', e.message);
+            return;
+        }
+
+        // 上次打开时已经下载好的新版本
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.notifyUpdate();
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // 第一次安装时没有旧版本，不需要提示
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.notifyUpdate();
+                }
+            });
+        });
+
+        // 新版本启用后刷新页面（学习进度会在刷新前自动存档）
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updating) {
+                window.location.reload();
+            }
+        });
+
+        this.updateCheckId = setInterval(() => {
+            this.registration.update().catch(e => {
+                console.warn('无法检查更新:', e.message);
+            });
+        }, UPDATE_CHECK_MS);
+    }
+
+    /**
+     * 通知有新版本
+     */
+    notifyUpdate() {
+        if (this.updateAvailableCallback) {
+            this.updateAvailableCallback();
+        }
+    }
+
+    /**
+     * 切换到已下载的新版本
+     */
+    applyUpdate() {
+        if (!this.registration || !this.registration.waiting) return;
+
+        this.updating = true;
+        this.registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    /**
+     * 弹出浏览器的安装确认
+     * @returns {Promise<boolean>} 是否已安装
+     */
+    async install() {
+        if (!this.installPrompt) return false;
+
+        const prompt = this.installPrompt;
+        this.installPrompt = null;
+        if (this.installAvailableCallback) {
+            this.installAvailableCallback(false);
+        }
+
+        prompt.prompt();
+        const choice = await prompt.userChoice;
+        return choice.outcome === 'accepted';
+    }
+
+    /**
+     * 注册有新版本回调
+     * @param {Function} callback - 回调函数
+     */
+    onUpdateAvailable(callback) {
+        this.updateAvailableCallback = callback;
+    }
+
+    /**
+     * 注册可以安装回调
+     * @param {Function} callback - 回调函数，参数为现在是否可以安装
+     */
+    onInstallAvailable(callback) {
+        this.installAvailableCallback = callback;
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AppInstaller };
+}
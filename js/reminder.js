@@ -3,22 +3,47 @@
  * 负责显示提醒弹窗和播放提示音
  */
 
+// 坐姿提醒内容（键为 PostureIssue 的值）
+const POSTURE_REMINDERS = {
+    tooClose: { icon: '📏', text: '离屏幕太近啦，往后坐一点，保护眼睛~' },
+    badPosture: { icon: '🪑', text: '坐直一点，背挺起来哦~' }
+};
+
 /**
  * Reminder 类 - 提醒功能实现
  */
 class Reminder {
     constructor() {
-        // Web Audio API 上下文
-        this.audioContext = null;
+        // 提示音播放器
+        this.sounds = new SoundPlayer();
+        // 语音播报
+        this.voice = new VoiceAnnouncer(this.sounds.store);
         // 是否启用声音
         this.soundEnabled = true;
         // DOM元素引用
         this.modal = null;
         this.titleElement = null;
         this.messageElement = null;
+        this.countdownElement = null;
         this.dismissBtn = null;
+        this.nudgeElement = null;
+        this.nudgeIcon = null;
+        this.nudgeText = null;
+        this.postureElement = null;
+        this.postureIcon = null;
+        this.postureText = null;
+        // 休息活动
+        this.activity = null;
+        this.activitySection = null;
+        this.activityName = null;
+        this.activityIcon = null;
+        this.activityText = null;
+        this.activityProgress = null;
+        this.activityStepInfo = null;
+        this.activityConfirmBtn = null;
         // 关闭回调
         this.dismissCallback = null;
+        this.activityCompleteCallback = null;
     }
 
     /**
@@ -30,7 +55,21 @@ class Reminder {
         this.modal = document.getElementById('reminderModal');
         this.titleElement = document.getElementById('reminderTitle');
         this.messageElement = document.getElementById('reminderMessage');
+        this.countdownElement = document.getElementById('reminderCountdown');
         this.dismissBtn = document.getElementById('dismissBtn');
+        this.nudgeElement = document.getElementById('focusNudge');
+        this.nudgeIcon = document.getElementById('focusNudgeIcon');
+        this.nudgeText = document.getElementById('focusNudgeText');
+        this.postureElement = document.getElementById('postureAlert');
+        this.postureIcon = document.getElementById('postureAlertIcon');
+        this.postureText = document.getElementById('postureAlertText');
+        this.activitySection = document.getElementById('activitySection');
+        this.activityName = document.getElementById('activityName');
+        this.activityIcon = document.getElementById('activityIcon');
+        this.activityText = document.getElementById('activityText');
+        this.activityProgress = document.getElementById('activityProgress');
+        this.activityStepInfo = document.getElementById('activityStepInfo');
+        this.activityConfirmBtn = document.getElementById('activityConfirmBtn');
 
         // 绑定关闭按钮事件
         if (this.dismissBtn) {
@@ -39,47 +78,265 @@ class Reminder {
             });
         }
 
+        // 需要确认的活动步骤
+        if (this.activityConfirmBtn) {
+            this.activityConfirmBtn.addEventListener('click', () => {
+                if (this.activity) {
+                    this.activity.confirmStep();
+                }
+            });
+        }
+
         // 点击遮罩层不关闭（强制用户点击按钮确认）
     }
 
     /**
-     * 初始化 Web Audio API（需要用户交互后调用）
+     * 显示休息提醒
+     * 休息期间弹窗不能关闭，倒计时结束后由 App 关闭
+     * @param {boolean} isLongBreak - 是否为长休息
+     * @param {number} seconds - 休息总秒数
+     * @param {Object} [content] - 提醒内容 { icon, title, text }，见 MessageLibrary
      */
-    initAudio() {
-        if (!this.audioContext) {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    showBreakReminder(isLongBreak = false, seconds = 0, content = null) {
+        if (isLongBreak) {
+            // 长休息保留完成一轮的标题，内容换成本次的提醒
+            this.show(
+                '完成一轮啦，好好休息！',
+                content ? content.text : '起来走一走、伸伸懒腰，喝点水吧~',
+                '🏆'
+            );
+        } else if (content) {
+            this.show(content.title, content.text, content.icon);
+        } else {
+            this.show(
+                '该休息了！',
+                '请喝水、看看远方，保护眼睛哦~',
+                '🌟'
+            );
         }
+
+        this.setDismissible(false);
+        this.updateCountdown(seconds);
     }
 
     /**
-     * 显示休息提醒
+     * 更新休息倒计时
+     * @param {number} seconds - 剩余秒数
      */
-    showBreakReminder() {
-        this.show(
-            '该休息了！',
-            '请喝水、看看远方，保护眼睛哦~',
-            '🌟'
-        );
+    updateCountdown(seconds) {
+        if (!this.countdownElement) return;
+
+        const minutes = Math.floor(seconds / 60);
+        const rest = seconds % 60;
+        this.countdownElement.textContent = '休息倒计时 ' +
+            minutes.toString().padStart(2, '0') + ':' + rest.toString().padStart(2, '0');
+        this.countdownElement.classList.remove('hidden');
+    }
+
+    /**
+     * 休息结束：关闭弹窗并播放提示音
+     */
+    notifyBreakOver() {
+        this.hide();
+
+        if (this.soundEnabled) {
+            this.playSound(SoundEvent.BREAK_OVER);
+        }
+        this.voice.announce(SoundEvent.BREAK_OVER, '休息结束，继续学习吧！');
+    }
+
+    /**
+     * 在休息弹窗中开始引导活动
+     * @param {Object} activity - 活动 { name, steps }，见 BREAK_ACTIVITIES
+     */
+    startActivity(activity) {
+        if (!this.activitySection) return;
+
+        this.stopActivity();
+        this.activity = new GuidedActivity(activity);
+
+        this.activity.onStep((step, index, total) => {
+            this.activityIcon.textContent = step.icon;
+            this.activityIcon.className = 'activity-icon' + (step.animation ? ' anim-' + step.animation : '');
+            this.activityText.textContent = step.text;
+            this.activityStepInfo.textContent = `第 ${index + 1} / ${total} 步`;
+            this.activityProgress.style.width = '0%';
+            this.activityConfirmBtn.textContent = step.confirmText || '做好了';
+            this.activityConfirmBtn.classList.toggle('hidden', !step.confirm);
+            this.voice.queueSpeech(step.text);
+        });
+
+        this.activity.onProgress((remaining, ratio) => {
+            this.activityProgress.style.width = Math.round(ratio * 100) + '%';
+            this.activityStepInfo.textContent =
+                `第 ${this.activity.index + 1} / ${activity.steps.length} 步 · ${remaining} 秒`;
+        });
+
+        this.activity.onComplete(() => {
+            this.showActivityDone();
+            if (this.activityCompleteCallback) {
+                this.activityCompleteCallback();
+            }
+        });
+
+        this.activityName.textContent = activity.name;
+        this.setActivityVisible(true);
+        this.activity.start();
+    }
+
+    /**
+     * 显示活动已完成
+     */
+    showActivityDone() {
+        if (!this.activitySection) return;
+
+        this.activityIcon.textContent = '✅';
+        this.activityIcon.className = 'activity-icon';
+        this.activityText.textContent = '活动完成！安心休息到倒计时结束吧';
+        this.activityStepInfo.textContent = '';
+        this.activityProgress.style.width = '100%';
+        this.activityConfirmBtn.classList.add('hidden');
+        this.setActivityVisible(true);
+    }
+
+    /**
+     * 暂停活动（页面切到后台时）
+     */
+    pauseActivity() {
+        if (this.activity) {
+            this.activity.pause();
+        }
+    }
+
+    /**
+     * 继续活动
+     */
+    resumeActivity() {
+        if (this.activity) {
+            this.activity.resume();
+        }
+    }
+
+    /**
+     * 停止活动
+     */
+    stopActivity() {
+        if (this.activity) {
+            this.activity.stop();
+            this.activity = null;
+        }
+    }
+
+    /**
+     * 显示或隐藏活动区域（显示时用活动图标代替弹窗大图标）
+     * @param {boolean} visible
+     */
+    setActivityVisible(visible) {
+        if (!this.activitySection) return;
+
+        this.activitySection.classList.toggle('hidden', !visible);
+        this.modal.querySelector('.modal-content').classList.toggle('with-activity', visible);
+    }
+
+    /**
+     * 设置弹窗是否允许手动关闭
+     * @param {boolean} dismissible - 是否允许
+     */
+    setDismissible(dismissible) {
+        if (this.dismissBtn) {
+            this.dismissBtn.disabled = !dismissible;
+            this.dismissBtn.classList.toggle('hidden', !dismissible);
+        }
     }
 
     /**
      * 显示专注提醒（走神时使用，V2.0）
+     * @param {Object} [content] - 提醒内容 { icon, title, text }，见 MessageLibrary
      */
-    showFocusReminder() {
+    showFocusReminder(content = null) {
+        if (content) {
+            this.show(content.title, content.text, content.icon, SoundEvent.DISTRACTION);
+            return;
+        }
+
         this.show(
             '请专心学习哦',
             '集中注意力，你可以的！',
-            '📖'
+            '📖',
+            SoundEvent.DISTRACTION
         );
     }
 
+    /**
+     * 显示轻提示（走神第一级，不打断学习）
+     * @param {Object} content - 提醒内容 { icon, title, text }
+     */
+    showNudge(content) {
+        if (!this.nudgeElement) return;
+
+        this.nudgeIcon.textContent = content.icon;
+        this.nudgeText.textContent = content.title;
+        this.nudgeElement.classList.remove('shake');
+        this.nudgeElement.classList.remove('hidden');
+    }
+
+    /**
+     * 加强轻提示：晃动并播放走神提示音（走神第二级）
+     */
+    alertNudge() {
+        if (this.nudgeElement) {
+            this.nudgeElement.classList.add('shake');
+        }
+
+        if (this.soundEnabled) {
+            this.playSound(SoundEvent.DISTRACTION);
+        }
+    }
+
+    /**
+     * 隐藏轻提示
+     */
+    hideNudge() {
+        if (this.nudgeElement) {
+            this.nudgeElement.classList.add('hidden');
+            this.nudgeElement.classList.remove('shake');
+        }
+    }
+
+    /**
+     * 显示坐姿提醒（和走神提示分开显示，不打断学习）
+     * @param {string} issue - 坐姿问题（见 PostureIssue）
+     */
+    showPosture(issue) {
+        if (!this.postureElement) return;
+
+        const content = POSTURE_REMINDERS[issue];
+        this.postureIcon.textContent = content.icon;
+        this.postureText.textContent = content.text;
+        this.postureElement.classList.remove('hidden');
+
+        if (this.soundEnabled) {
+            this.playSound(SoundEvent.DISTRACTION);
+        }
+    }
+
+    /**
+     * 隐藏坐姿提醒
+     */
+    hidePosture() {
+        if (this.postureElement) {
+            this.postureElement.classList.add('hidden');
+        }
+    }
+
     /**
      * 显示自定义提醒
      * @param {string} title - 标题
      * @param {string} message - 消息内容
      * @param {string} icon - 图标emoji
+     * @param {string} sound - 提示音对应的提醒类型（见 SoundEvent）
      */
-    show(title, message, icon = '🔔') {
+    show(title, message, icon = '🔔', sound = SoundEvent.BREAK) {
         if (!this.modal) {
             console.error('Reminder: Modal element not found');
             return;
@@ -99,44 +356,43 @@ class Reminder {
             iconElement.textContent = icon;
         }
 
+        // 默认不显示倒计时和活动，允许关闭
+        if (this.countdownElement) {
+            this.countdownElement.classList.add('hidden');
+        }
+        this.stopActivity();
+        this.setActivityVisible(false);
+        this.setDismissible(true);
+
         // 显示弹窗
         this.modal.classList.remove('hidden');
 
         // 播放提示音
         if (this.soundEnabled) {
-            this.playSound();
+            this.playSound(sound);
         }
+
+        // 朗读提醒
+        this.voice.announce(sound, `${title}。${message}`);
     }
 
     /**
-     * 播放提示音（使用 Web Audio API 生成）
+     * 播放提示音
+     * @param {string} event - 提醒类型（见 SoundEvent）
      */
-    playSound() {
-        try {
-            this.initAudio();
-            
-            if (!this.audioContext) return;
-
-            // 创建振荡器生成提示音
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
-
-            oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
-
-            // 设置音调（愉快的提示音）
-            oscillator.frequency.setValueAtTime(523.25, this.audioContext.currentTime); // C5
-            oscillator.frequency.setValueAtTime(659.25, this.audioContext.currentTime + 0.1); // E5
-            oscillator.frequency.setValueAtTime(783.99, this.audioContext.currentTime + 0.2); // G5
+    playSound(event = SoundEvent.BREAK) {
+        this.sounds.play(event);
+    }
 
-            // 设置音量渐变
-            gainNode.gain.setValueAtTime(0.3, this.audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.5);
+    /**
+     * 隐藏弹窗（不触发关闭回调）
+     */
+    hide() {
+        this.stopActivity();
+        this.voice.cancel();
 
-            oscillator.start(this.audioContext.currentTime);
-            oscillator.stop(this.audioContext.currentTime + 0.5);
-        } catch (err) {
-            console.log('Audio play failed:', err.message);
+        if (this.modal) {
+            this.modal.classList.add('hidden');
         }
     }
 
@@ -144,9 +400,7 @@ class Reminder {
      * 关闭提醒
      */
     dismiss() {
-        if (this.modal) {
-            this.modal.classList.add('hidden');
-        }
+        this.hide();
 
         // 触发关闭回调
         if (this.dismissCallback) {
@@ -162,6 +416,22 @@ class Reminder {
         this.soundEnabled = enabled;
     }
 
+    /**
+     * 设置提示音主题、音量和重复方式
+     * @param {Object} options - { themes, volume, repeat, escalate }，见 DEFAULT_SOUND_OPTIONS
+     */
+    setSoundOptions(options) {
+        this.sounds.setOptions(options);
+    }
+
+    /**
+     * 设置语音播报方式、语言、声音和语速
+     * @param {Object} options - { mode, lang, voiceName, rate }，见 DEFAULT_VOICE_OPTIONS
+     */
+    setVoiceOptions(options) {
+        this.voice.setOptions(options);
+    }
+
     /**
      * 注册关闭回调
      * @param {Function} callback - 回调函数
@@ -170,6 +440,14 @@ class Reminder {
         this.dismissCallback = callback;
     }
 
+    /**
+     * 注册活动完成回调
+     * @param {Function} callback - 回调函数
+     */
+    onActivityComplete(callback) {
+        this.activityCompleteCallback = callback;
+    }
+
     /**
      * 检查提醒是否正在显示
      * @returns {boolean} 是否显示中
@@ -0,0 +1,588 @@
+/**
+ * Rewards 积分与奖励模块
+ * 学习、休息得积分，走神少有奖励，跳过休息扣分；
+ * 孩子用积分申请兑换家长设置的奖励，家长输入密码批准后才扣分
+ */
+
+// 积分存储键名
+const REWARDS_KEY = 'childStudyReminderRewards';
+
+// 积分变动原因
+const PointReason = {
+    STUDY_BLOCK: 'studyBlock',      // 学完一段
+    FOCUS_BONUS: 'focusBonus',      // 一段学习中走神少
+    BREAK_TAKEN: 'breakTaken',      // 做完休息活动
+    BREAK_SKIPPED: 'breakSkipped',  // 休息活动没做完
+    REDEEM: 'redeem',               // 兑换奖励
+    ADJUST: 'adjust'                // 家长调整
+};
+
+// 各原因的名称
+const POINT_REASON_LABELS = {
+    studyBlock: '学完一段',
+    focusBonus: '专注奖励',
+    breakTaken: '好好休息',
+    breakSkipped: '没做完休息活动',
+    redeem: '兑换',
+    adjust: '家长调整'
+};
+
+// 自动加减的积分
+const POINT_RULES = {
+    studyBlock: 10,
+    breakTaken: 5,
+    breakSkipped: -3
+};
+
+// 专注奖励：一段学习中走神次数不超过 maxDistractions 时加 points 分（从多到少依次匹配）
+const FOCUS_BONUS_RULES = [
+    { maxDistractions: 0, points: 5 },
+    { maxDistractions: 2, points: 2 }
+];
+
+// 兑换申请状态
+const RedeemStatus = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+};
+
+// 默认奖励
+const DEFAULT_REWARDS = [
+    { id: 'cartoon', icon: '📺', name: '看20分钟动画', cost: 50 },
+    { id: 'game', icon: '🎮', name: '玩15分钟游戏', cost: 60 },
+    { id: 'icecream', icon: '🍦', name: '吃一个冰淇淋', cost: 80 },
+    { id: 'park', icon: '🏞️', name: '周末去公园', cost: 150 }
+];
+
+// 最多保留的积分记录条数（余额单独保存，删掉旧记录不影响余额）
+const MAX_LEDGER_ENTRIES = 2000;
+
+/**
+ * 按一段学习中的走神次数计算专注奖励
+ * @param {number} distractions - 走神次数
+ * @returns {number} 奖励积分，没有奖励时为 0
+ */
+function getFocusBonus(distractions) {
+    const rule = FOCUS_BONUS_RULES.find(r => distractions <= r.maxDistractions);
+    return rule ? rule.points : 0;
+}
+
+/**
+ * RewardLedger 类 - 积分账本和奖励商店
+ *
+ * 每次积分变动都记一条流水 { id, time, amount, reason, note, balance }，
+ * balance 为变动后的余额，方便家长核对。
+ */
+class RewardLedger {
+    /**
+     * @param {string} storageKey - localStorage 键名
+     */
+    constructor(storageKey = REWARDS_KEY) {
+        this.storageKey = storageKey;
+        this.balance = 0;
+        // 积分流水（按时间升序）
+        this.entries = [];
+        // 奖励商店
+        this.rewards = DEFAULT_REWARDS.map(r => ({ ...r }));
+        // 兑换申请（按时间升序）
+        this.requests = [];
+    }
+
+    /**
+     * 从 localStorage 读取
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const data = JSON.parse(saved);
+                this.balance = data.balance || 0;
+                this.entries = Array.isArray(data.entries) ? data.entries : [];
+                this.rewards = Array.isArray(data.rewards) ? data.rewards : this.rewards;
+                this.requests = Array.isArray(data.requests) ? data.requests : [];
+            }
+        } catch (e) {
+            console.warn('无法读取积分记录:', e.message);
+        }
+    }
+
+    /**
+     * 保存到 localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                balance: this.balance,
+                entries: this.entries,
+                rewards: this.rewards,
+                requests: this.requests
+            }));
+        } catch (e) {
+            console.warn('无法保存积分记录:', e.message);
+        }
+    }
+
+    /**
+     * 记一笔积分变动
+     * 扣分时余额最少扣到 0
+     * @param {number} amount - 积分（负数为扣分）
+     * @param {string} reason - 原因（见 PointReason）
+     * @param {string} note - 备注
+     * @returns {Object|null} 流水记录，实际变动为 0 时返回 null
+     */
+    add(amount, reason, note = '') {
+        const change = Math.max(amount, -this.balance);
+        if (change === 0) return null;
+
+        const now = Date.now();
+        this.balance += change;
+
+        const entry = {
+            id: now.toString(36) + Math.random().toString(36).slice(2, 6),
+            time: now,
+            amount: change,
+            reason,
+            note,
+            balance: this.balance
+        };
+        this.entries.push(entry);
+        if (this.entries.length > MAX_LEDGER_ENTRIES) {
+            this.entries.splice(0, this.entries.length - MAX_LEDGER_ENTRIES);
+        }
+        this.save();
+
+        return entry;
+    }
+
+    /**
+     * 获取最近的流水（最新的在前）
+     * @param {number} count - 条数
+     * @returns {Array<Object>}
+     */
+    getRecentEntries(count = 20) {
+        return this.entries.slice(-count).reverse();
+    }
+
+    /**
+     * 等待批准的申请占用的积分
+     * @returns {number}
+     */
+    getPendingCost() {
+        return this.getPendingRequests().reduce((sum, r) => sum + r.cost, 0);
+    }
+
+    /**
+     * 可用积分（余额减去等待批准的申请）
+     * @returns {number}
+     */
+    getAvailable() {
+        return this.balance - this.getPendingCost();
+    }
+
+    /**
+     * 获取等待批准的申请
+     * @returns {Array<Object>}
+     */
+    getPendingRequests() {
+        return this.requests.filter(r => r.status === RedeemStatus.PENDING);
+    }
+
+    /**
+     * 孩子申请兑换奖励
+     * @param {string} rewardId - 奖励ID
+     * @returns {string|null} 错误信息，成功时返回 null
+     */
+    requestReward(rewardId) {
+        const reward = this.rewards.find(r => r.id === rewardId);
+        if (!reward) return '这个奖励已经不在商店里了';
+        if (this.getAvailable() < reward.cost) return '积分还不够哦，继续加油！';
+
+        const now = Date.now();
+        this.requests.push({
+            id: now.toString(36),
+            rewardId: reward.id,
+            icon: reward.icon,
+            name: reward.name,
+            cost: reward.cost,
+            time: now,
+            status: RedeemStatus.PENDING,
+            decidedAt: null
+        });
+        this.save();
+        return null;
+    }
+
+    /**
+     * 批准兑换申请并扣除积分
+     * @param {string} requestId - 申请ID
+     * @returns {string|null} 错误信息，成功时返回 null
+     */
+    approveRequest(requestId) {
+        const request = this.requests.find(r => r.id === requestId && r.status === RedeemStatus.PENDING);
+        if (!request) return '没有找到这个申请';
+        if (this.balance < request.cost) return '积分不够，不能兑换';
+
+        request.status = RedeemStatus.APPROVED;
+        request.decidedAt = Date.now();
+        this.add(-request.cost, PointReason.REDEEM, `${request.icon} ${request.name}`);
+        return null;
+    }
+
+    /**
+     * 拒绝兑换申请（不扣分）
+     * @param {string} requestId - 申请ID
+     */
+    rejectRequest(requestId) {
+        const request = this.requests.find(r => r.id === requestId && r.status === RedeemStatus.PENDING);
+        if (!request) return;
+
+        request.status = RedeemStatus.REJECTED;
+        request.decidedAt = Date.now();
+        this.save();
+    }
+
+    /**
+     * 添加奖励
+     * @param {Object} reward - { icon, name, cost }
+     */
+    addReward({ icon, name, cost }) {
+        this.rewards.push({ id: Date.now().toString(36), icon, name, cost });
+        this.save();
+    }
+
+    /**
+     * 删除奖励（已提交的申请不受影响）
+     * @param {string} rewardId - 奖励ID
+     */
+    removeReward(rewardId) {
+        this.rewards = this.rewards.filter(r => r.id !== rewardId);
+        this.save();
+    }
+
+    /**
+     * 校验奖励
+     * @param {Object} reward - { icon, name, cost }
+     * @returns {string|null} 错误信息，合法时返回 null
+     */
+    static validateReward({ name, cost }) {
+        if (!name) return '请填写奖励名称';
+        if (name.length > 20) return '奖励名称不能超过20个字';
+        if (!(Number.isInteger(cost) && cost >= 1 && cost <= 10000)) return '所需积分请设置在1-10000之间';
+        return null;
+    }
+}
+
+/**
+ * RewardShopView 类 - 积分面板（余额、奖励商店、兑换申请、积分记录）
+ */
+class RewardShopView {
+    constructor() {
+        // DOM元素引用
+        this.panel = null;
+        this.button = null;
+        this.balanceElement = null;
+        this.shopList = null;
+        this.requestList = null;
+        this.ledgerList = null;
+        this.newRewardIcon = null;
+        this.newRewardName = null;
+        this.newRewardCost = null;
+        this.addRewardBtn = null;
+        this.adjustAmount = null;
+        this.adjustNote = null;
+        this.adjustBtn = null;
+        // 回调函数
+        this.requestCallback = null;
+        this.approveCallback = null;
+        this.rejectCallback = null;
+        this.addRewardCallback = null;
+        this.removeRewardCallback = null;
+        this.adjustCallback = null;
+    }
+
+    /**
+     * 初始化
+     * 绑定DOM元素和事件
+     */
+    init() {
+        this.panel = document.getElementById('rewardPanel');
+        this.button = document.getElementById('rewardsBtn');
+        this.balanceElement = document.getElementById('rewardBalance');
+        this.shopList = document.getElementById('rewardShopList');
+        this.requestList = document.getElementById('rewardRequestList');
+        this.ledgerList = document.getElementById('rewardLedgerList');
+        this.newRewardIcon = document.getElementById('newRewardIcon');
+        this.newRewardName = document.getElementById('newRewardName');
+        this.newRewardCost = document.getElementById('newRewardCost');
+        this.addRewardBtn = document.getElementById('addRewardBtn');
+        this.adjustAmount = document.getElementById('adjustPointsAmount');
+        this.adjustNote = document.getElementById('adjustPointsNote');
+        this.adjustBtn = document.getElementById('adjustPointsBtn');
+
+        if (this.addRewardBtn) {
+            this.addRewardBtn.addEventListener('click', () => {
+                if (this.addRewardCallback) {
+                    this.addRewardCallback({
+                        icon: this.newRewardIcon.value.trim() || '🎁',
+                        name: this.newRewardName.value.trim(),
+                        cost: parseInt(this.newRewardCost.value, 10)
+                    });
+                }
+            });
+        }
+
+        if (this.adjustBtn) {
+            this.adjustBtn.addEventListener('click', () => {
+                if (this.adjustCallback) {
+                    this.adjustCallback(parseInt(this.adjustAmount.value, 10), this.adjustNote.value.trim());
+                }
+            });
+        }
+    }
+
+    /**
+     * 切换面板显示
+     * @param {RewardLedger} ledger - 积分账本
+     */
+    toggle(ledger) {
+        if (!this.panel) return;
+
+        this.panel.classList.toggle('hidden');
+        if (!this.panel.classList.contains('hidden')) {
+            this.render(ledger);
+        }
+    }
+
+    /**
+     * 清空添加奖励和调整积分的输入框
+     */
+    clearForms() {
+        if (this.newRewardName) {
+            this.newRewardIcon.value = '';
+            this.newRewardName.value = '';
+            this.newRewardCost.value = '';
+            this.adjustAmount.value = '';
+            this.adjustNote.value = '';
+        }
+    }
+
+    /**
+     * 渲染积分面板和按钮上的余额
+     * @param {RewardLedger} ledger - 积分账本
+     */
+    render(ledger) {
+        if (this.button) {
+            this.button.textContent = `⭐ ${ledger.balance}`;
+        }
+        if (!this.panel || this.panel.classList.contains('hidden')) return;
+
+        const pendingCost = ledger.getPendingCost();
+        this.balanceElement.textContent = `⭐ ${ledger.balance} 分` +
+            (pendingCost > 0 ? `（${pendingCost} 分等待家长批准）` : '');
+
+        this.renderShop(ledger);
+        this.renderRequests(ledger.getPendingRequests());
+        this.renderLedger(ledger.getRecentEntries(20));
+    }
+
+    /**
+     * 渲染奖励商店
+     * @param {RewardLedger} ledger - 积分账本
+     */
+    renderShop(ledger) {
+        this.shopList.innerHTML = '';
+        const available = ledger.getAvailable();
+
+        if (ledger.rewards.length === 0) {
+            this.shopList.appendChild(RewardShopView.createEmptyItem('还没有奖励，请家长在下方添加'));
+            return;
+        }
+
+        ledger.rewards.forEach(reward => {
+            const item = document.createElement('li');
+            item.className = 'reward-item';
+
+            const label = document.createElement('span');
+            label.className = 'reward-name';
+            label.textContent = `${reward.icon} ${reward.name}`;
+
+            const cost = document.createElement('span');
+            cost.className = 'reward-cost';
+            cost.textContent = `${reward.cost} 分`;
+
+            const redeemBtn = document.createElement('button');
+            redeemBtn.className = 'btn btn-settings';
+            redeemBtn.textContent = '兑换';
+            redeemBtn.disabled = available < reward.cost;
+            redeemBtn.addEventListener('click', () => {
+                if (this.requestCallback) {
+                    this.requestCallback(reward.id);
+                }
+            });
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-settings reward-remove';
+            removeBtn.textContent = '✕';
+            removeBtn.title = '删除奖励（需要家长密码）';
+            removeBtn.addEventListener('click', () => {
+                if (this.removeRewardCallback) {
+                    this.removeRewardCallback(reward.id);
+                }
+            });
+
+            item.appendChild(label);
+            item.appendChild(cost);
+            item.appendChild(redeemBtn);
+            item.appendChild(removeBtn);
+            this.shopList.appendChild(item);
+        });
+    }
+
+    /**
+     * 渲染等待批准的申请
+     * @param {Array<Object>} requests - 申请列表
+     */
+    renderRequests(requests) {
+        this.requestList.innerHTML = '';
+
+        if (requests.length === 0) {
+            this.requestList.appendChild(RewardShopView.createEmptyItem('没有等待批准的申请'));
+            return;
+        }
+
+        requests.forEach(request => {
+            const item = document.createElement('li');
+            item.className = 'reward-item';
+
+            const label = document.createElement('span');
+            label.className = 'reward-name';
+            label.textContent = `${request.icon} ${request.name}（${request.cost} 分）`;
+
+            const approveBtn = document.createElement('button');
+            approveBtn.className = 'btn btn-start';
+            approveBtn.textContent = '批准';
+            approveBtn.addEventListener('click', () => {
+                if (this.approveCallback) {
+                    this.approveCallback(request.id);
+                }
+            });
+
+            const rejectBtn = document.createElement('button');
+            rejectBtn.className = 'btn btn-settings';
+            rejectBtn.textContent = '拒绝';
+            rejectBtn.addEventListener('click', () => {
+                if (this.rejectCallback) {
+                    this.rejectCallback(request.id);
+                }
+            });
+
+            item.appendChild(label);
+            item.appendChild(approveBtn);
+            item.appendChild(rejectBtn);
+            this.requestList.appendChild(item);
+        });
+    }
+
+    /**
+     * 渲染积分记录
+     * @param {Array<Object>} entries - 流水（最新的在前）
+     */
+    renderLedger(entries) {
+        this.ledgerList.innerHTML = '';
+
+        if (entries.length === 0) {
+            this.ledgerList.appendChild(RewardShopView.createEmptyItem('还没有积分记录'));
+            return;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            const time = new Date(entry.time);
+            const amount = document.createElement('span');
+            amount.className = 'ledger-amount ' + (entry.amount > 0 ? 'earn' : 'spend');
+            amount.textContent = (entry.amount > 0 ? '+' : '') + entry.amount;
+
+            item.appendChild(amount);
+            item.appendChild(document.createTextNode(' ' + [
+                `${time.getMonth() + 1}/${time.getDate()} ${StatsView.formatClock(time)}`,
+                POINT_REASON_LABELS[entry.reason] + (entry.note ? `：${entry.note}` : ''),
+                `余额 ${entry.balance}`
+            ].join(' · ')));
+            this.ledgerList.appendChild(item);
+        });
+    }
+
+    /**
+     * 生成空列表提示
+     * @param {string} text - 提示文字
+     * @returns {HTMLElement}
+     */
+    static createEmptyItem(text) {
+        const item = document.createElement('li');
+        item.className = 'stats-empty';
+        item.textContent = text;
+        return item;
+    }
+
+    /**
+     * 注册申请兑换回调
+     * @param {Function} callback - 回调函数，参数为奖励ID
+     */
+    onRequest(callback) {
+        this.requestCallback = callback;
+    }
+
+    /**
+     * 注册批准回调
+     * @param {Function} callback - 回调函数，参数为申请ID
+     */
+    onApprove(callback) {
+        this.approveCallback = callback;
+    }
+
+    /**
+     * 注册拒绝回调
+     * @param {Function} callback - 回调函数，参数为申请ID
+     */
+    onReject(callback) {
+        this.rejectCallback = callback;
+    }
+
+    /**
+     * 注册添加奖励回调
+     * @param {Function} callback - 回调函数，参数为 { icon, name, cost }
+     */
+    onAddReward(callback) {
+        this.addRewardCallback = callback;
+    }
+
+    /**
+     * 注册删除奖励回调
+     * @param {Function} callback - 回调函数，参数为奖励ID
+     */
+    onRemoveReward(callback) {
+        this.removeRewardCallback = callback;
+    }
+
+    /**
+     * 注册调整积分回调
+     * @param {Function} callback - 回调函数，参数为积分、备注
+     */
+    onAdjust(callback) {
+        this.adjustCallback = callback;
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RewardLedger,
+        RewardShopView,
+        PointReason,
+        RedeemStatus,
+        POINT_RULES,
+        REWARDS_KEY,
+        getFocusBonus
+    };
+}
@@ -0,0 +1,491 @@
+/**
+ * Schedule 学习课表模块
+ * 家长设置每周固定的学习时间，到点提醒开始学习，没有学习的时段记为"错过"
+ */
+
+// 课表存储键名
+const SCHEDULE_KEY = 'childStudyReminderSchedule';
+
+// 检查课表的间隔（毫秒）
+const SCHEDULE_CHECK_MS = 30 * 1000;
+
+// "稍后提醒"推迟的时间（毫秒）
+const SCHEDULE_SNOOZE_MS = 5 * 60 * 1000;
+
+// 最多往前补查几天的错过记录（页面很久没打开时）
+const MISSED_LOOKBACK_DAYS = 7;
+
+// 最多保留的错过记录条数
+const MAX_MISSED_RECORDS = 200;
+
+/**
+ * StudySchedule 类 - 每周学习课表
+ *
+ * 每个时段 { id, days, start, end, subject, createdAt }：
+ * days 为星期几（0为周日，同 getDay()），start/end 为 "HH:MM"。
+ * 某一天的一次时段称为"场次" { slot, dateKey, start, end }（start/end 为 Date）。
+ */
+class StudySchedule {
+    /**
+     * @param {string} storageKey - localStorage 键名
+     */
+    constructor(storageKey = SCHEDULE_KEY) {
+        this.storageKey = storageKey;
+        this.slots = [];
+        // 错过的场次 { slotId, subject, dateKey, start, end }（start/end 为时间戳）
+        this.missed = [];
+        // 上次检查错过场次的时间戳
+        this.lastCheck = null;
+    }
+
+    /**
+     * 从 localStorage 读取课表
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const data = JSON.parse(saved);
+                this.slots = Array.isArray(data.slots) ? data.slots : [];
+                this.missed = Array.isArray(data.missed) ? data.missed : [];
+                this.lastCheck = data.lastCheck || null;
+            }
+        } catch (e) {
+            console.warn('无法读取课表:', e.message);
+            this.slots = [];
+            this.missed = [];
+        }
+    }
+
+    /**
+     * 保存课表到 localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                slots: this.slots,
+                missed: this.missed,
+                lastCheck: this.lastCheck
+            }));
+        } catch (e) {
+            console.warn('无法保存课表:', e.message);
+        }
+    }
+
+    /**
+     * 添加时段
+     * @param {Object} slot - { days, start, end, subject }
+     */
+    addSlot({ days, start, end, subject }) {
+        const now = Date.now();
+        this.slots.push({
+            id: now.toString(36),
+            days: [...days].sort((a, b) => a - b),
+            start,
+            end,
+            subject,
+            createdAt: now
+        });
+        this.slots.sort((a, b) => StudySchedule.parseTime(a.start) - StudySchedule.parseTime(b.start));
+        this.save();
+    }
+
+    /**
+     * 删除时段（已有的错过记录保留）
+     * @param {string} id - 时段ID
+     */
+    removeSlot(id) {
+        this.slots = this.slots.filter(s => s.id !== id);
+        this.save();
+    }
+
+    /**
+     * 获取某一天的场次
+     * @param {Object} slot - 时段
+     * @param {Date} day - 日期
+     * @returns {Object|null} 场次，这一天没有该时段时返回 null
+     */
+    static occurrenceOn(slot, day) {
+        if (!slot.days.includes(day.getDay())) return null;
+
+        const base = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+        const start = new Date(base.getTime());
+        const end = new Date(base.getTime());
+        start.setMinutes(StudySchedule.parseTime(slot.start));
+        end.setMinutes(StudySchedule.parseTime(slot.end));
+
+        return { slot, dateKey: StudyHistory.dateKey(base), start, end };
+    }
+
+    /**
+     * 获取一段日期内的全部场次（按开始时间升序）
+     * @param {Date} from - 开始日期（含）
+     * @param {number} days - 天数
+     * @returns {Array<Object>}
+     */
+    getOccurrences(from, days) {
+        const result = [];
+
+        for (let i = 0; i < days; i++) {
+            const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + i);
+            this.slots.forEach(slot => {
+                const occurrence = StudySchedule.occurrenceOn(slot, day);
+                if (occurrence) {
+                    result.push(occurrence);
+                }
+            });
+        }
+
+        return result.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * 获取正在进行的场次
+     * @param {Date} now - 当前时间
+     * @returns {Object|null}
+     */
+    getActive(now = new Date()) {
+        return this.getOccurrences(now, 1).find(o => o.start <= now && now < o.end) || null;
+    }
+
+    /**
+     * 获取下一个还没开始的场次（一周之内）
+     * @param {Date} now - 当前时间
+     * @returns {Object|null}
+     */
+    getNext(now = new Date()) {
+        return this.getOccurrences(now, 8).find(o => o.start > now) || null;
+    }
+
+    /**
+     * 检查已经结束却没有学习的场次，记为错过
+     * 只检查上次检查之后结束、且在时段添加之后开始的场次
+     * @param {Date} now - 当前时间
+     * @param {Array<Object>} sessions - 学习会话（含进行中的会话）
+     * @returns {Array<Object>} 本次新增的错过记录
+     */
+    checkMissed(now, sessions) {
+        const lookback = new Date(now.getFullYear(), now.getMonth(), now.getDate() - MISSED_LOOKBACK_DAYS);
+        const since = Math.max(this.lastCheck || now.getTime(), lookback.getTime());
+
+        const missed = this.getOccurrences(lookback, MISSED_LOOKBACK_DAYS + 1)
+            .filter(o => o.end.getTime() > since && o.end <= now)
+            .filter(o => o.start.getTime() >= o.slot.createdAt)
+            .filter(o => !StudySchedule.isAttended(o, sessions, now))
+            .map(o => ({
+                slotId: o.slot.id,
+                subject: o.slot.subject,
+                dateKey: o.dateKey,
+                start: o.start.getTime(),
+                end: o.end.getTime()
+            }));
+
+        this.lastCheck = now.getTime();
+        this.missed.push(...missed);
+        if (this.missed.length > MAX_MISSED_RECORDS) {
+            this.missed.splice(0, this.missed.length - MAX_MISSED_RECORDS);
+        }
+        this.save();
+
+        return missed;
+    }
+
+    /**
+     * 场次内是否有学习（有会话和场次时间重叠）
+     * @param {Object} occurrence - 场次
+     * @param {Array<Object>} sessions - 学习会话（含进行中的会话）
+     * @param {Date} now - 当前时间（进行中的会话算到现在）
+     * @returns {boolean}
+     */
+    static isAttended(occurrence, sessions, now = new Date()) {
+        return sessions.some(s =>
+            s.startTime < occurrence.end.getTime() && (s.endTime || now.getTime()) > occurrence.start.getTime()
+        );
+    }
+
+    /**
+     * 获取最近的错过记录（最新的在前）
+     * @param {number} count - 条数
+     * @returns {Array<Object>}
+     */
+    getRecentMissed(count = 10) {
+        return this.missed.slice(-count).reverse();
+    }
+
+    /**
+     * 把 "HH:MM" 转成分钟数
+     * @param {string} time - 时间
+     * @returns {number}
+     */
+    static parseTime(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * 校验时段
+     * @param {Object} slot - { days, start, end, subject }
+     * @returns {string|null} 错误信息，合法时返回 null
+     */
+    static validateSlot({ days, start, end, subject }) {
+        if (days.length === 0) return '请至少选择一天';
+        if (!/^\d{2}:\d{2}$/.test(start) || !/^\d{2}:\d{2}$/.test(end)) return '请填写开始和结束时间';
+        if (StudySchedule.parseTime(end) <= StudySchedule.parseTime(start)) return '结束时间要晚于开始时间';
+        if (!subject) return '请填写学习内容，如"数学作业"';
+        if (subject.length > 20) return '学习内容不能超过20个字';
+        return null;
+    }
+
+    /**
+     * 把星期几列表写成中文，如"周一至周五"、"周末"、"周一、三、五"
+     * @param {Array<number>} days - 星期几（0为周日）
+     * @returns {string}
+     */
+    static formatDays(days) {
+        const key = days.join(',');
+        if (key === '0,1,2,3,4,5,6') return '每天';
+        if (key === '1,2,3,4,5') return '周一至周五';
+        if (key === '0,6') return '周末';
+
+        // 周一排在前面，周日排在最后
+        const ordered = [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+        return '周' + ordered.map(d => WEEKDAY_NAMES[d]).join('、');
+    }
+}
+
+/**
+ * ScheduleView 类 - 课表面板、下次学习提示和到点提醒
+ */
+class ScheduleView {
+    constructor() {
+        // DOM元素引用
+        this.panel = null;
+        this.slotList = null;
+        this.missedList = null;
+        this.dayInputs = [];
+        this.startInput = null;
+        this.endInput = null;
+        this.subjectInput = null;
+        this.addBtn = null;
+        this.nextInfo = null;
+        this.prompt = null;
+        this.promptMessage = null;
+        this.promptStartBtn = null;
+        this.promptLaterBtn = null;
+        // 回调函数
+        this.addCallback = null;
+        this.removeCallback = null;
+        this.startCallback = null;
+        this.snoozeCallback = null;
+    }
+
+    /**
+     * 初始化
+     * 绑定DOM元素和事件
+     */
+    init() {
+        this.panel = document.getElementById('schedulePanel');
+        this.slotList = document.getElementById('scheduleSlotList');
+        this.missedList = document.getElementById('scheduleMissedList');
+        this.dayInputs = Array.from(document.querySelectorAll('.schedule-day'));
+        this.startInput = document.getElementById('scheduleStart');
+        this.endInput = document.getElementById('scheduleEnd');
+        this.subjectInput = document.getElementById('scheduleSubject');
+        this.addBtn = document.getElementById('addScheduleBtn');
+        this.nextInfo = document.getElementById('nextSessionInfo');
+        this.prompt = document.getElementById('schedulePrompt');
+        this.promptMessage = document.getElementById('schedulePromptMessage');
+        this.promptStartBtn = document.getElementById('scheduleStartBtn');
+        this.promptLaterBtn = document.getElementById('scheduleLaterBtn');
+
+        if (this.addBtn) {
+            this.addBtn.addEventListener('click', () => {
+                if (this.addCallback) {
+                    this.addCallback(this.readForm());
+                }
+            });
+        }
+        if (this.promptStartBtn) {
+            this.promptStartBtn.addEventListener('click', () => {
+                if (this.startCallback) {
+                    this.startCallback();
+                }
+            });
+        }
+        if (this.promptLaterBtn) {
+            this.promptLaterBtn.addEventListener('click', () => {
+                if (this.snoozeCallback) {
+                    this.snoozeCallback();
+                }
+            });
+        }
+    }
+
+    /**
+     * 读取添加时段的表单
+     * @returns {Object} { days, start, end, subject }
+     */
+    readForm() {
+        return {
+            days: this.dayInputs.filter(input => input.checked).map(input => parseInt(input.value, 10)),
+            start: this.startInput.value,
+            end: this.endInput.value,
+            subject: this.subjectInput.value.trim()
+        };
+    }
+
+    /**
+     * 清空学习内容输入框（保留星期和时间，方便连续添加）
+     */
+    clearForm() {
+        if (this.subjectInput) {
+            this.subjectInput.value = '';
+        }
+    }
+
+    /**
+     * 切换面板显示
+     * @param {StudySchedule} schedule - 课表
+     */
+    toggle(schedule) {
+        if (!this.panel) return;
+
+        this.panel.classList.toggle('hidden');
+        if (!this.panel.classList.contains('hidden')) {
+            this.render(schedule);
+        }
+    }
+
+    /**
+     * 渲染课表和错过记录
+     * @param {StudySchedule} schedule - 课表
+     */
+    render(schedule) {
+        if (!this.panel || this.panel.classList.contains('hidden')) return;
+
+        this.slotList.innerHTML = '';
+        if (schedule.slots.length === 0) {
+            this.slotList.appendChild(RewardShopView.createEmptyItem('还没有安排学习时间'));
+        }
+        schedule.slots.forEach(slot => {
+            const item = document.createElement('li');
+            item.className = 'reward-item';
+
+            const label = document.createElement('span');
+            label.className = 'reward-name';
+            label.textContent = `${StudySchedule.formatDays(slot.days)} ${slot.start}-${slot.end} ${slot.subject}`;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-settings reward-remove';
+            removeBtn.textContent = '✕';
+            removeBtn.title = '删除（需要家长密码）';
+            removeBtn.addEventListener('click', () => {
+                if (this.removeCallback) {
+                    this.removeCallback(slot.id);
+                }
+            });
+
+            item.appendChild(label);
+            item.appendChild(removeBtn);
+            this.slotList.appendChild(item);
+        });
+
+        this.missedList.innerHTML = '';
+        const missed = schedule.getRecentMissed(10);
+        if (missed.length === 0) {
+            this.missedList.appendChild(RewardShopView.createEmptyItem('没有错过的学习时间，真棒！'));
+        }
+        missed.forEach(record => {
+            const item = document.createElement('li');
+            const start = new Date(record.start);
+            item.textContent = `${start.getMonth() + 1}/${start.getDate()} 周${WEEKDAY_NAMES[start.getDay()]} ` +
+                `${StatsView.formatClock(start)}-${StatsView.formatClock(new Date(record.end))} ${record.subject}`;
+            this.missedList.appendChild(item);
+        });
+    }
+
+    /**
+     * 显示下次学习时间
+     * @param {Object|null} active - 正在进行的场次
+     * @param {Object|null} next - 下一个场次
+     * @param {Date} now - 当前时间
+     */
+    renderNext(active, next, now = new Date()) {
+        if (!this.nextInfo) return;
+
+        if (active) {
+            this.nextInfo.textContent = `📅 现在是学习时间：${active.slot.subject}（到 ${active.slot.end}）`;
+        } else if (next) {
+            const minutes = Math.ceil((next.start - now) / 60000);
+            const day = next.dateKey === StudyHistory.dateKey(now) ? '今天' : '周' + WEEKDAY_NAMES[next.start.getDay()];
+            this.nextInfo.textContent = `📅 下次学习：${day} ${next.slot.start} ${next.slot.subject}` +
+                `（还有 ${StatsView.formatDuration(minutes * 60)}）`;
+        }
+        this.nextInfo.classList.toggle('hidden', !active && !next);
+    }
+
+    /**
+     * 显示到点提醒
+     * @param {Object} occurrence - 场次
+     */
+    showPrompt(occurrence) {
+        if (!this.prompt) return;
+
+        this.promptMessage.textContent = `⏰ ${occurrence.slot.start} 的"${occurrence.slot.subject}"时间到了，开始学习吧！`;
+        this.prompt.classList.remove('hidden');
+    }
+
+    /**
+     * 隐藏到点提醒
+     */
+    hidePrompt() {
+        if (this.prompt) {
+            this.prompt.classList.add('hidden');
+        }
+    }
+
+    /**
+     * 到点提醒是否正在显示
+     * @returns {boolean}
+     */
+    isPromptVisible() {
+        return this.prompt && !this.prompt.classList.contains('hidden');
+    }
+
+    /**
+     * 注册添加时段回调
+     * @param {Function} callback - 回调函数，参数为 { days, start, end, subject }
+     */
+    onAdd(callback) {
+        this.addCallback = callback;
+    }
+
+    /**
+     * 注册删除时段回调
+     * @param {Function} callback - 回调函数，参数为时段ID
+     */
+    onRemove(callback) {
+        this.removeCallback = callback;
+    }
+
+    /**
+     * 注册"开始学习"回调
+     * @param {Function} callback - 回调函数
+     */
+    onStart(callback) {
+        this.startCallback = callback;
+    }
+
+    /**
+     * 注册"稍后提醒"回调
+     * @param {Function} callback - 回调函数
+     */
+    onSnooze(callback) {
+        this.snoozeCallback = callback;
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StudySchedule, ScheduleView, SCHEDULE_KEY, SCHEDULE_CHECK_MS, SCHEDULE_SNOOZE_MS };
+}
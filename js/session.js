@@ -0,0 +1,89 @@
+/**
+ * Session 会话存档模块
+ * 定期保存进行中的学习状态，页面刷新或浏览器崩溃后可以恢复
+ */
+
+// 会话存档键名
+const SESSION_KEY = 'childStudyReminderSession';
+
+// 间隔不超过此时长（毫秒）时询问是否继续，超过则直接结束上次会话
+const RESUME_MAX_GAP_MS = 30 * 60 * 1000;
+
+/**
+ * SessionStore 类 - 进行中会话的存档
+ *
+ * 存档内容：
+ * {
+ *   savedAt: 保存时间戳,
+ *   timer: Timer.getSnapshot(),
+ *   pomodoro: PomodoroCycle.getSnapshot(),
+ *   session: StudyHistory 中进行中的会话
+ * }
+ */
+class SessionStore {
+    /**
+     * @param {string} storageKey - localStorage 键名
+     */
+    constructor(storageKey = SESSION_KEY) {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * 保存存档
+     * @param {Object} checkpoint - 存档内容（savedAt 自动填写）
+     */
+    save(checkpoint) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                ...checkpoint,
+                savedAt: Date.now()
+            }));
+        } catch (e) {
+            console.warn('无法保存学习进度:', e.message);
+        }
+    }
+
+    /**
+     * 读取存档
+     * @returns {Object|null} 存档内容，没有或已损坏时返回 null
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const checkpoint = JSON.parse(saved);
+                if (checkpoint && checkpoint.timer && checkpoint.savedAt) {
+                    return checkpoint;
+                }
+            }
+        } catch (e) {
+            console.warn('无法读取学习进度:', e.message);
+        }
+        return null;
+    }
+
+    /**
+     * 清除存档
+     */
+    clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (e) {
+            console.warn('无法清除学习进度:', e.message);
+        }
+    }
+
+    /**
+     * 存档是否在可询问继续的时间范围内
+     * @param {Object} checkpoint - 存档内容
+     * @returns {boolean}
+     */
+    static isRecent(checkpoint) {
+        return Date.now() - checkpoint.savedAt <= RESUME_MAX_GAP_MS;
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionStore, SESSION_KEY, RESUME_MAX_GAP_MS };
+}
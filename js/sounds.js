@@ -0,0 +1,332 @@
+/**
+ * Sounds 提示音模块
+ * 按提醒类型选择提示音主题，支持音量、重复/渐强和家长上传的音频
+ */
+
+// 需要提示音的提醒类型
+const SoundEvent = {
+    BREAK: 'break',              // 休息提醒
+    DISTRACTION: 'distraction',  // 走神提醒
+    BREAK_OVER: 'breakOver'      // 休息结束
+};
+
+// 提醒类型名称
+const SOUND_EVENT_LABELS = {
+    break: '休息提醒',
+    distraction: '走神提醒',
+    breakOver: '休息结束'
+};
+
+// 使用上传音频的主题名
+const CUSTOM_SOUND_THEME = 'custom';
+
+// 合成音主题：wave 波形，notes 为 [频率Hz, 开始秒, 时长秒]
+const SOUND_THEMES = {
+    chime: {
+        label: '叮咚',
+        wave: 'sine',
+        notes: [[523.25, 0, 0.1], [659.25, 0.1, 0.1], [783.99, 0.2, 0.3]]  // C5-E5-G5
+    },
+    bell: {
+        label: '铃铛',
+        wave: 'triangle',
+        notes: [[1046.5, 0, 0.6], [1318.5, 0.25, 0.6]]
+    },
+    melody: {
+        label: '小星星',
+        wave: 'sine',
+        notes: [
+            [523.25, 0, 0.25], [523.25, 0.3, 0.25], [783.99, 0.6, 0.25], [783.99, 0.9, 0.25],
+            [880.0, 1.2, 0.25], [880.0, 1.5, 0.25], [783.99, 1.8, 0.5]
+        ]
+    },
+    soft: {
+        label: '轻柔',
+        wave: 'sine',
+        notes: [[392.0, 0, 0.6], [523.25, 0.4, 0.8]]
+    },
+    beep: {
+        label: '哔哔',
+        wave: 'square',
+        notes: [[880.0, 0, 0.12], [880.0, 0.2, 0.12], [880.0, 0.4, 0.12]]
+    }
+};
+
+// 上传音频的大小上限（字节）
+const MAX_SOUND_FILE_BYTES = 2 * 1024 * 1024;
+
+// 音量 100 时的最大增益
+const MAX_SOUND_GAIN = 0.5;
+
+// 两次重复之间的间隔（秒）
+const SOUND_REPEAT_GAP = 0.4;
+
+// 默认提示音设置
+const DEFAULT_SOUND_OPTIONS = {
+    themes: { break: 'chime', distraction: 'chime', breakOver: 'chime' },
+    volume: 60,        // 0-100
+    repeat: 1,         // 每次提醒播放几遍
+    escalate: false    // 重复时是否一遍比一遍响
+};
+
+/**
+ * SoundStore 类 - 家长上传的音频和录音（保存在本机 IndexedDB）
+ */
+class SoundStore {
+    constructor() {
+        this.dbName = 'childStudyReminderSounds';
+        this.storeName = 'files';
+        this.db = null;
+    }
+
+    /**
+     * 打开数据库
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('浏览器不支持 IndexedDB'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 执行一次读写
+     * @param {string} mode - 'readonly' 或 'readwrite'
+     * @param {Function} action - 参数为 objectStore，返回 IDBRequest
+     * @returns {Promise<*>}
+     */
+    async run(mode, action) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const request = action(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 保存音频
+     * @param {string} key - 键名（提示音用提醒类型，录音见 VoiceAnnouncer.clipKey）
+     * @param {Blob} file - 音频文件
+     */
+    put(key, file) {
+        return this.run('readwrite', store => store.put(file, key));
+    }
+
+    /**
+     * 读取音频
+     * @param {string} key - 键名
+     * @returns {Promise<Blob|undefined>}
+     */
+    get(key) {
+        return this.run('readonly', store => store.get(key));
+    }
+}
+
+/**
+ * SoundPlayer 类 - 播放提示音
+ */
+class SoundPlayer {
+    constructor() {
+        // Web Audio API 上下文
+        this.audioContext = null;
+        this.options = { ...DEFAULT_SOUND_OPTIONS, themes: { ...DEFAULT_SOUND_OPTIONS.themes } };
+        this.store = new SoundStore();
+        // 上传音频的 object URL 缓存
+        this.customUrls = {};
+    }
+
+    /**
+     * 初始化 Web Audio API（需要用户交互后调用）
+     */
+    initAudio() {
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+    }
+
+    /**
+     * 设置提示音选项
+     * @param {Object} options - { themes, volume, repeat, escalate }
+     */
+    setOptions(options) {
+        this.options = {
+            ...this.options,
+            ...options,
+            themes: { ...this.options.themes, ...options.themes }
+        };
+    }
+
+    /**
+     * 播放某个提醒类型的提示音
+     * @param {string} event - 提醒类型（见 SoundEvent）
+     * @param {Object} [options] - 临时使用的选项（试听用），默认用已保存的选项
+     */
+    play(event, options = this.options) {
+        const theme = options.themes[event] || 'chime';
+        const repeat = Math.max(1, options.repeat || 1);
+
+        if (theme === CUSTOM_SOUND_THEME) {
+            this.playCustom(event, options, repeat).catch(err => {
+                // 没有上传音频或播放失败时改用默认音
+                console.log('Custom sound failed:', err.message);
+                this.playTheme(SOUND_THEMES.chime, options, repeat);
+            });
+        } else {
+            this.playTheme(SOUND_THEMES[theme] || SOUND_THEMES.chime, options, repeat);
+        }
+    }
+
+    /**
+     * 计算第几遍的增益
+     * @param {Object} options - 提示音选项
+     * @param {number} index - 第几遍（从0开始）
+     * @returns {number} 0~1
+     */
+    gainFor(options, index) {
+        const base = Math.min(100, Math.max(0, options.volume)) / 100;
+        const factor = options.escalate ? 1 + index * 0.5 : 1;
+        return Math.min(1, base * factor);
+    }
+
+    /**
+     * 用振荡器播放合成音主题
+     * @param {Object} theme - SOUND_THEMES 中的主题
+     * @param {Object} options - 提示音选项
+     * @param {number} repeat - 播放遍数
+     */
+    playTheme(theme, options, repeat) {
+        try {
+            this.initAudio();
+
+            if (!this.audioContext) return;
+
+            const length = Math.max(...theme.notes.map(([, start, duration]) => start + duration));
+            const now = this.audioContext.currentTime;
+
+            for (let i = 0; i < repeat; i++) {
+                const offset = now + i * (length + SOUND_REPEAT_GAP);
+                const gain = Math.max(0.001, this.gainFor(options, i) * MAX_SOUND_GAIN);
+
+                theme.notes.forEach(([frequency, start, duration]) => {
+                    const oscillator = this.audioContext.createOscillator();
+                    const gainNode = this.audioContext.createGain();
+
+                    oscillator.type = theme.wave;
+                    oscillator.connect(gainNode);
+                    gainNode.connect(this.audioContext.destination);
+
+                    oscillator.frequency.setValueAtTime(frequency, offset + start);
+
+                    // 音量渐变
+                    gainNode.gain.setValueAtTime(gain, offset + start);
+                    gainNode.gain.exponentialRampToValueAtTime(0.001, offset + start + duration);
+
+                    oscillator.start(offset + start);
+                    oscillator.stop(offset + start + duration);
+                });
+            }
+        } catch (err) {
+            console.log('Audio play failed:', err.message);
+        }
+    }
+
+    /**
+     * 播放家长上传的音频，一遍放完再放下一遍
+     * @param {string} event - 提醒类型
+     * @param {Object} options - 提示音选项
+     * @param {number} repeat - 播放遍数
+     */
+    async playCustom(event, options, repeat) {
+        const url = await this.getCustomUrl(event);
+        if (!url) {
+            throw new Error('没有上传音频');
+        }
+
+        const playOnce = (index) => {
+            const audio = new Audio(url);
+            audio.volume = this.gainFor(options, index);
+            if (index + 1 < repeat) {
+                audio.addEventListener('ended', () => {
+                    setTimeout(() => playOnce(index + 1), SOUND_REPEAT_GAP * 1000);
+                });
+            }
+            return audio.play();
+        };
+
+        await playOnce(0);
+    }
+
+    /**
+     * 获取上传音频的地址
+     * @param {string} event - 提醒类型
+     * @returns {Promise<string|null>}
+     */
+    async getCustomUrl(event) {
+        if (this.customUrls[event]) return this.customUrls[event];
+
+        const file = await this.store.get(event);
+        if (!file) return null;
+
+        this.customUrls[event] = URL.createObjectURL(file);
+        return this.customUrls[event];
+    }
+
+    /**
+     * 保存家长上传的音频
+     * @param {string} event - 提醒类型
+     * @param {File} file - 音频文件
+     */
+    async saveCustom(event, file) {
+        await this.store.put(event, file);
+
+        if (this.customUrls[event]) {
+            URL.revokeObjectURL(this.customUrls[event]);
+            delete this.customUrls[event];
+        }
+    }
+
+    /**
+     * 校验上传的音频文件
+     * @param {File} file - 文件
+     * @returns {string|null} 错误信息，合法时返回 null
+     */
+    static validateFile(file) {
+        if (!file.type.startsWith('audio/')) {
+            return '请选择音频文件（如 mp3、wav）';
+        }
+        if (file.size > MAX_SOUND_FILE_BYTES) {
+            return '音频文件不能超过2MB';
+        }
+        return null;
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SoundPlayer,
+        SoundStore,
+        SoundEvent,
+        SOUND_THEMES,
+        SOUND_EVENT_LABELS,
+        CUSTOM_SOUND_THEME,
+        DEFAULT_SOUND_OPTIONS
+    };
+}
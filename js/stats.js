@@ -0,0 +1,256 @@
+/**
+ * Stats 统计面板模块
+ * 负责把学习记录渲染成每日/每周统计
+ */
+
+// 星期显示名称（getDay() 顺序）
+const WEEKDAY_NAMES = ['日', '一', '二', '三', '四', '五', '六'];
+
+/**
+ * StatsView 类 - 统计面板
+ */
+class StatsView {
+    constructor() {
+        // DOM元素引用
+        this.panel = null;
+        this.todayElement = null;
+        this.weekElement = null;
+        this.streakElement = null;
+        this.dailyChart = null;
+        this.weeklyChart = null;
+        this.sessionList = null;
+        this.taskList = null;
+    }
+
+    /**
+     * 初始化统计面板
+     * 绑定DOM元素
+     */
+    init() {
+        this.panel = document.getElementById('statsPanel');
+        this.todayElement = document.getElementById('statsToday');
+        this.weekElement = document.getElementById('statsWeek');
+        this.streakElement = document.getElementById('statsStreak');
+        this.dailyChart = document.getElementById('statsDailyChart');
+        this.weeklyChart = document.getElementById('statsWeeklyChart');
+        this.sessionList = document.getElementById('statsSessionList');
+        this.taskList = document.getElementById('statsTaskList');
+    }
+
+    /**
+     * 切换面板显示
+     * @param {StudyHistory} history - 学习记录
+     */
+    toggle(history) {
+        if (!this.panel) return;
+
+        this.panel.classList.toggle('hidden');
+        if (!this.panel.classList.contains('hidden')) {
+            this.render(history);
+        }
+    }
+
+    /**
+     * 面板是否正在显示
+     * @returns {boolean}
+     */
+    isVisible() {
+        return this.panel && !this.panel.classList.contains('hidden');
+    }
+
+    /**
+     * 渲染统计数据
+     * @param {StudyHistory} history - 学习记录
+     */
+    render(history) {
+        if (!this.panel) return;
+
+        const daily = history.getDailyTotals(7);
+        const weekly = history.getWeeklyTotals(4);
+
+        this.todayElement.textContent = StatsView.formatDuration(daily[daily.length - 1].seconds);
+        this.weekElement.textContent = StatsView.formatDuration(weekly[weekly.length - 1].seconds);
+        this.streakElement.textContent = history.getStreak() + ' 天';
+
+        this.renderBars(this.dailyChart, daily.map(d => ({
+            label: '周' + WEEKDAY_NAMES[StatsView.parseDateKey(d.date).getDay()],
+            seconds: d.seconds
+        })));
+
+        this.renderBars(this.weeklyChart, weekly.map(w => ({
+            label: w.weekStart.slice(5).replace('-', '/'),
+            seconds: w.seconds
+        })));
+
+        this.renderTasks(history.getTaskTotals(7));
+        this.renderSessions(history.getRecentSessions(5));
+    }
+
+    /**
+     * 渲染各学习内容的时长
+     * @param {Array<{task: string|null, seconds: number}>} totals - 按时长降序
+     */
+    renderTasks(totals) {
+        if (!this.taskList) return;
+
+        this.taskList.innerHTML = '';
+
+        if (totals.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'stats-empty';
+            empty.textContent = '还没有学习记录';
+            this.taskList.appendChild(empty);
+            return;
+        }
+
+        const max = totals[0].seconds || 1;
+        totals.forEach(t => {
+            const item = document.createElement('li');
+            item.className = 'stats-task';
+
+            const name = document.createElement('span');
+            name.className = 'stats-task-name';
+            name.textContent = t.task || '未选择';
+
+            const bar = document.createElement('span');
+            bar.className = 'stats-task-bar';
+            bar.style.width = Math.round(t.seconds / max * 100) + '%';
+
+            const value = document.createElement('span');
+            value.className = 'stats-task-value';
+            value.textContent = StatsView.formatDuration(t.seconds);
+
+            item.appendChild(name);
+            item.appendChild(bar);
+            item.appendChild(value);
+            this.taskList.appendChild(item);
+        });
+    }
+
+    /**
+     * 渲染柱状图
+     * @param {HTMLElement} container - 图表容器
+     * @param {Array<{label: string, seconds: number}>} items - 数据
+     */
+    renderBars(container, items) {
+        if (!container) return;
+
+        const max = Math.max(...items.map(i => i.seconds), 1);
+        container.innerHTML = '';
+
+        items.forEach(item => {
+            const column = document.createElement('div');
+            column.className = 'stats-bar';
+            column.title = StatsView.formatDuration(item.seconds);
+
+            const fill = document.createElement('div');
+            fill.className = 'stats-bar-fill';
+            fill.style.height = Math.round(item.seconds / max * 100) + '%';
+
+            const label = document.createElement('span');
+            label.className = 'stats-bar-label';
+            label.textContent = item.label;
+
+            column.appendChild(fill);
+            column.appendChild(label);
+            container.appendChild(column);
+        });
+    }
+
+    /**
+     * 渲染最近会话列表
+     * @param {Array<Object>} sessions - 会话列表（最新的在前）
+     */
+    renderSessions(sessions) {
+        if (!this.sessionList) return;
+
+        this.sessionList.innerHTML = '';
+
+        if (sessions.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'stats-empty';
+            empty.textContent = '还没有学习记录';
+            this.sessionList.appendChild(empty);
+            return;
+        }
+
+        sessions.forEach(s => {
+            const item = document.createElement('li');
+            const start = new Date(s.startTime);
+            const end = new Date(s.endTime);
+            const restlessness = StudyHistory.averageRestlessness(s);
+
+            item.textContent = [
+                `${start.getMonth() + 1}/${start.getDate()} ${StatsView.formatClock(start)}-${StatsView.formatClock(end)}`,
+                `专注 ${StatsView.formatDuration(s.focusedSeconds)}`,
+                `暂停 ${s.pauses.length} 次`,
+                `休息 ${s.breaks} 次` + (s.skippedBreaks ? `（未完成 ${s.skippedBreaks} 次）` : ''),
+                `走神 ${s.distractions.length} 次`
+            ].concat(s.parentAlerts && s.parentAlerts.length > 0 ? [`⚠️ 需家长关注 ${s.parentAlerts.length} 次`] : [])
+                .concat(s.postureAlerts && s.postureAlerts.length > 0 ? [`坐姿提醒 ${s.postureAlerts.length} 次`] : [])
+                .concat(restlessness !== null ? [`躁动指数 ${restlessness}`] : [])
+                .concat(StatsView.formatTaskSeconds(s.taskSeconds))
+                .join(' · ');
+
+            this.sessionList.appendChild(item);
+        });
+    }
+
+    /**
+     * 格式化时长为中文
+     * @param {number} totalSeconds - 总秒数
+     * @returns {string} 如 "1小时5分"、"12分"
+     */
+    static formatDuration(totalSeconds) {
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+
+        if (hours > 0) {
+            return `${hours}小时${minutes}分`;
+        }
+        if (minutes > 0) {
+            return `${minutes}分`;
+        }
+        return totalSeconds > 0 ? '不到1分' : '0分';
+    }
+
+    /**
+     * 把会话中各学习内容的时长写成一行，如"数学 20分、语文 15分"
+     * @param {Object<string, number>} taskSeconds - 学习内容 -> 秒数
+     * @returns {Array<string>} 没有记录学习内容时为空数组
+     */
+    static formatTaskSeconds(taskSeconds) {
+        const entries = Object.entries(taskSeconds || {}).filter(([, seconds]) => seconds > 0);
+        if (entries.length === 0) return [];
+
+        return [entries
+            .sort((a, b) => b[1] - a[1])
+            .map(([task, seconds]) => `${task} ${StatsView.formatDuration(seconds)}`)
+            .join('、')];
+    }
+
+    /**
+     * 格式化时刻 HH:MM
+     * @param {Date} date - 时间
+     * @returns {string}
+     */
+    static formatClock(date) {
+        return date.getHours().toString().padStart(2, '0') + ':' +
+            date.getMinutes().toString().padStart(2, '0');
+    }
+
+    /**
+     * 把 YYYY-MM-DD 解析为本地日期
+     * @param {string} key - 日期键
+     * @returns {Date}
+     */
+    static parseDateKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StatsView };
+}
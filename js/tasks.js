@@ -0,0 +1,449 @@
+/**
+ * Tasks 学习内容与作业清单模块
+ * 管理科目和每天的作业清单，学习时可选择正在做的科目或作业
+ */
+
+// 科目和作业清单存储键名
+const TASKS_KEY = 'childStudyReminderTasks';
+
+// 默认科目
+const DEFAULT_SUBJECTS = ['语文', '数学', '英语', '阅读'];
+
+// 作业保留天数（更早的作业读取时清理掉）
+const TASK_ITEM_KEEP_DAYS = 30;
+
+/**
+ * TaskList 类 - 科目和作业清单
+ *
+ * 作业 { id, subject, title, dateKey, done, doneAt }，dateKey 为布置作业那天。
+ * 学习内容用字符串表示：选科目时为科目名，选作业时为"科目·作业"。
+ */
+class TaskList {
+    /**
+     * @param {string} storageKey - localStorage 键名
+     */
+    constructor(storageKey = TASKS_KEY) {
+        this.storageKey = storageKey;
+        this.subjects = [...DEFAULT_SUBJECTS];
+        this.items = [];
+    }
+
+    /**
+     * 从 localStorage 读取科目和作业
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const data = JSON.parse(saved);
+                this.subjects = Array.isArray(data.subjects) ? data.subjects : [...DEFAULT_SUBJECTS];
+                this.items = Array.isArray(data.items) ? data.items : [];
+            }
+        } catch (e) {
+            console.warn('无法读取作业清单:', e.message);
+            this.subjects = [...DEFAULT_SUBJECTS];
+            this.items = [];
+        }
+
+        const today = new Date();
+        const oldest = StudyHistory.dateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - TASK_ITEM_KEEP_DAYS));
+        this.items = this.items.filter(item => item.dateKey >= oldest);
+    }
+
+    /**
+     * 保存科目和作业到 localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                subjects: this.subjects,
+                items: this.items
+            }));
+        } catch (e) {
+            console.warn('无法保存作业清单:', e.message);
+        }
+    }
+
+    /**
+     * 添加科目
+     * @param {string} name - 科目名
+     */
+    addSubject(name) {
+        this.subjects.push(name);
+        this.save();
+    }
+
+    /**
+     * 删除科目（已有的作业保留）
+     * @param {string} name - 科目名
+     */
+    removeSubject(name) {
+        this.subjects = this.subjects.filter(s => s !== name);
+        this.save();
+    }
+
+    /**
+     * 添加今天的作业
+     * @param {string} subject - 科目
+     * @param {string} title - 作业内容
+     * @returns {Object} 新作业
+     */
+    addItem(subject, title) {
+        const item = {
+            id: Date.now().toString(36),
+            subject,
+            title,
+            dateKey: StudyHistory.dateKey(new Date()),
+            done: false,
+            doneAt: null
+        };
+        this.items.push(item);
+        this.save();
+        return item;
+    }
+
+    /**
+     * 勾选 / 取消勾选作业
+     * @param {string} id - 作业ID
+     */
+    toggleItem(id) {
+        const item = this.items.find(i => i.id === id);
+        if (!item) return;
+
+        item.done = !item.done;
+        item.doneAt = item.done ? Date.now() : null;
+        this.save();
+    }
+
+    /**
+     * 删除作业
+     * @param {string} id - 作业ID
+     */
+    removeItem(id) {
+        this.items = this.items.filter(i => i.id !== id);
+        this.save();
+    }
+
+    /**
+     * 获取今天的作业清单：今天布置的，加上以前没做完的
+     * @returns {Array<Object>} 以前的在前
+     */
+    getToday() {
+        const today = StudyHistory.dateKey(new Date());
+        return this.items.filter(i => i.dateKey === today || (!i.done && i.dateKey < today));
+    }
+
+    /**
+     * 作业对应的学习内容
+     * @param {Object} item - 作业
+     * @returns {string}
+     */
+    static labelOf(item) {
+        return `${item.subject}·${item.title}`;
+    }
+
+    /**
+     * 校验科目名
+     * @param {string} name - 科目名
+     * @param {Array<string>} subjects - 已有科目
+     * @returns {string|null} 错误信息，合法时返回 null
+     */
+    static validateSubject(name, subjects) {
+        if (!name) return '请填写科目名称';
+        if (name.length > 10) return '科目名称不能超过10个字';
+        if (name.includes('·')) return '科目名称不能包含"·"';
+        if (subjects.includes(name)) return '这个科目已经有了';
+        return null;
+    }
+
+    /**
+     * 校验作业
+     * @param {string} subject - 科目
+     * @param {string} title - 作业内容
+     * @returns {string|null} 错误信息，合法时返回 null
+     */
+    static validateItem(subject, title) {
+        if (!subject) return '请先选择科目';
+        if (!title) return '请填写作业内容，如"口算第12页"';
+        if (title.length > 30) return '作业内容不能超过30个字';
+        return null;
+    }
+}
+
+/**
+ * TaskView 类 - 学习内容选择和作业清单面板
+ */
+class TaskView {
+    constructor() {
+        // DOM元素引用
+        this.select = null;
+        this.button = null;
+        this.panel = null;
+        this.checklist = null;
+        this.itemSubjectSelect = null;
+        this.itemTitleInput = null;
+        this.addItemBtn = null;
+        this.subjectList = null;
+        this.subjectInput = null;
+        this.addSubjectBtn = null;
+        // 回调函数
+        this.changeCallback = null;
+        this.toggleItemCallback = null;
+        this.addItemCallback = null;
+        this.removeItemCallback = null;
+        this.addSubjectCallback = null;
+        this.removeSubjectCallback = null;
+    }
+
+    /**
+     * 初始化
+     * 绑定DOM元素和事件
+     */
+    init() {
+        this.select = document.getElementById('taskSelect');
+        this.button = document.getElementById('tasksBtn');
+        this.panel = document.getElementById('taskPanel');
+        this.checklist = document.getElementById('taskChecklist');
+        this.itemSubjectSelect = document.getElementById('newTaskSubject');
+        this.itemTitleInput = document.getElementById('newTaskTitle');
+        this.addItemBtn = document.getElementById('addTaskBtn');
+        this.subjectList = document.getElementById('subjectList');
+        this.subjectInput = document.getElementById('newSubjectName');
+        this.addSubjectBtn = document.getElementById('addSubjectBtn');
+
+        if (this.select) {
+            this.select.addEventListener('change', () => {
+                if (this.changeCallback) {
+                    this.changeCallback(this.select.value || null);
+                }
+            });
+        }
+        if (this.addItemBtn) {
+            this.addItemBtn.addEventListener('click', () => {
+                if (this.addItemCallback) {
+                    this.addItemCallback(this.itemSubjectSelect.value, this.itemTitleInput.value.trim());
+                }
+            });
+        }
+        if (this.addSubjectBtn) {
+            this.addSubjectBtn.addEventListener('click', () => {
+                if (this.addSubjectCallback) {
+                    this.addSubjectCallback(this.subjectInput.value.trim());
+                }
+            });
+        }
+    }
+
+    /**
+     * 切换作业清单面板显示
+     */
+    toggle() {
+        if (this.panel) {
+            this.panel.classList.toggle('hidden');
+        }
+    }
+
+    /**
+     * 清空输入框
+     */
+    clearForms() {
+        if (this.itemTitleInput) {
+            this.itemTitleInput.value = '';
+        }
+        if (this.subjectInput) {
+            this.subjectInput.value = '';
+        }
+    }
+
+    /**
+     * 渲染学习内容选择、作业清单和科目列表
+     * @param {TaskList} tasks - 科目和作业清单
+     * @param {string|null} current - 当前学习内容
+     */
+    render(tasks, current) {
+        const today = tasks.getToday();
+
+        if (this.button) {
+            const done = today.filter(i => i.done).length;
+            this.button.textContent = today.length > 0 ? `📝 作业 ${done}/${today.length}` : '📝 作业';
+        }
+
+        this.renderSelect(tasks, today, current);
+        this.renderChecklist(today);
+        this.renderSubjects(tasks.subjects);
+    }
+
+    /**
+     * 渲染学习内容下拉框：科目 + 今天没做完的作业
+     * @param {TaskList} tasks - 科目和作业清单
+     * @param {Array<Object>} today - 今天的作业
+     * @param {string|null} current - 当前学习内容
+     */
+    renderSelect(tasks, today, current) {
+        if (!this.select) return;
+
+        this.select.innerHTML = '';
+        this.select.appendChild(new Option('📚 选择学习内容', ''));
+
+        const labels = [];
+        const addGroup = (title, options) => {
+            if (options.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = title;
+            options.forEach(([text, value]) => {
+                group.appendChild(new Option(text, value));
+                labels.push(value);
+            });
+            this.select.appendChild(group);
+        };
+
+        addGroup('科目', tasks.subjects.map(s => [s, s]));
+        addGroup('今天的作业', today.filter(i => !i.done).map(i => [TaskList.labelOf(i), TaskList.labelOf(i)]));
+
+        // 当前内容已删除或勾选完成时仍保留在选项中
+        if (current && !labels.includes(current)) {
+            this.select.appendChild(new Option(current, current));
+        }
+        this.select.value = current || '';
+
+        if (this.itemSubjectSelect) {
+            const selected = this.itemSubjectSelect.value;
+            this.itemSubjectSelect.innerHTML = '';
+            tasks.subjects.forEach(s => {
+                this.itemSubjectSelect.appendChild(new Option(s, s));
+            });
+            if (tasks.subjects.includes(selected)) {
+                this.itemSubjectSelect.value = selected;
+            }
+        }
+    }
+
+    /**
+     * 渲染作业清单
+     * @param {Array<Object>} today - 今天的作业
+     */
+    renderChecklist(today) {
+        if (!this.checklist) return;
+
+        this.checklist.innerHTML = '';
+        if (today.length === 0) {
+            this.checklist.appendChild(RewardShopView.createEmptyItem('今天还没有作业，在下方添加'));
+        }
+
+        const todayKey = StudyHistory.dateKey(new Date());
+        today.forEach(item => {
+            const row = document.createElement('li');
+            row.className = 'reward-item task-item' + (item.done ? ' done' : '');
+
+            const label = document.createElement('label');
+            label.className = 'reward-name';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = item.done;
+            checkbox.addEventListener('change', () => {
+                if (this.toggleItemCallback) {
+                    this.toggleItemCallback(item.id);
+                }
+            });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(
+                ` ${TaskList.labelOf(item)}` + (item.dateKey < todayKey ? `（${item.dateKey.slice(5).replace('-', '/')}）` : '')
+            ));
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-settings reward-remove';
+            removeBtn.textContent = '✕';
+            removeBtn.title = '删除';
+            removeBtn.addEventListener('click', () => {
+                if (this.removeItemCallback) {
+                    this.removeItemCallback(item.id);
+                }
+            });
+
+            row.appendChild(label);
+            row.appendChild(removeBtn);
+            this.checklist.appendChild(row);
+        });
+    }
+
+    /**
+     * 渲染科目列表
+     * @param {Array<string>} subjects - 科目
+     */
+    renderSubjects(subjects) {
+        if (!this.subjectList) return;
+
+        this.subjectList.innerHTML = '';
+        subjects.forEach(name => {
+            const chip = document.createElement('span');
+            chip.className = 'subject-chip';
+            chip.textContent = name;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'subject-remove';
+            removeBtn.textContent = '✕';
+            removeBtn.title = '删除科目';
+            removeBtn.addEventListener('click', () => {
+                if (this.removeSubjectCallback) {
+                    this.removeSubjectCallback(name);
+                }
+            });
+
+            chip.appendChild(removeBtn);
+            this.subjectList.appendChild(chip);
+        });
+    }
+
+    /**
+     * 注册切换学习内容回调
+     * @param {Function} callback - 回调函数，参数为学习内容（不选择时为 null）
+     */
+    onChange(callback) {
+        this.changeCallback = callback;
+    }
+
+    /**
+     * 注册勾选作业回调
+     * @param {Function} callback - 回调函数，参数为作业ID
+     */
+    onToggleItem(callback) {
+        this.toggleItemCallback = callback;
+    }
+
+    /**
+     * 注册添加作业回调
+     * @param {Function} callback - 回调函数，参数为 (科目, 作业内容)
+     */
+    onAddItem(callback) {
+        this.addItemCallback = callback;
+    }
+
+    /**
+     * 注册删除作业回调
+     * @param {Function} callback - 回调函数，参数为作业ID
+     */
+    onRemoveItem(callback) {
+        this.removeItemCallback = callback;
+    }
+
+    /**
+     * 注册添加科目回调
+     * @param {Function} callback - 回调函数，参数为科目名
+     */
+    onAddSubject(callback) {
+        this.addSubjectCallback = callback;
+    }
+
+    /**
+     * 注册删除科目回调
+     * @param {Function} callback - 回调函数，参数为科目名
+     */
+    onRemoveSubject(callback) {
+        this.removeSubjectCallback = callback;
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TaskList, TaskView, TASKS_KEY, DEFAULT_SUBJECTS };
+}
@@ -1,8 +1,14 @@
 /**
  * Timer 定时器模块
  * 负责学习时间的计时功能
+ *
+ * 计时基于时间戳（开始/暂停锚点）计算，而不是累加 setInterval 的次数，
+ * 这样后台标签页被节流、电脑休眠或主线程繁忙时也不会少算时间。
  */
 
+// 检查时间的频率（毫秒），只在秒数变化时触发回调
+const TIMER_POLL_MS = 250;
+
 // 定时器状态枚举
 const TimerState = {
     IDLE: 'idle',       // 未开始
@@ -17,8 +23,14 @@ class Timer {
     constructor() {
         // 当前状态
         this.state = TimerState.IDLE;
-        // 已计时秒数
+        // 已计时秒数（最近一次同步的结果）
         this.elapsedSeconds = 0;
+        // 之前各段运行累计的毫秒数（不含当前这段）
+        this.accumulatedMs = 0;
+        // 当前这段开始运行的时间戳，未运行时为 null
+        this.startTimestamp = null;
+        // 已触发过的提醒次数（用于补发错过的提醒）
+        this.remindersFired = 0;
         // 提醒间隔（秒），默认25分钟
         this.reminderInterval = 25 * 60;
         // 定时器ID
@@ -38,24 +50,40 @@ class Timer {
         }
 
         this.state = TimerState.RUNNING;
+        this.startTimestamp = Date.now();
         
-        // 每秒更新一次
+        // 定期按时间戳同步（被节流时间隔会变长，但计算结果不受影响）
         this.timerId = setInterval(() => {
-            this.elapsedSeconds++;
-            
+            this.sync();
+        }, TIMER_POLL_MS);
+    }
+
+    /**
+     * 按时间戳同步已计时秒数
+     * 秒数变化时触发每秒回调；跨过提醒间隔时触发提醒（错过多次也只补发一次）
+     * 页面重新可见时也应调用，以便立即补上错过的时间和提醒
+     */
+    sync() {
+        if (this.state !== TimerState.RUNNING) return;
+
+        const seconds = this.getTime();
+        if (seconds !== this.elapsedSeconds) {
+            this.elapsedSeconds = seconds;
+
             // 触发每秒回调
             if (this.tickCallback) {
-                this.tickCallback(this.elapsedSeconds);
+                this.tickCallback(seconds);
             }
+        }
 
-            // 检查是否到达提醒间隔
-            if (this.elapsedSeconds > 0 && 
-                this.elapsedSeconds % this.reminderInterval === 0) {
-                if (this.intervalReachedCallback) {
-                    this.intervalReachedCallback();
-                }
+        // 检查是否到达提醒间隔
+        const reached = Math.floor(seconds / this.reminderInterval);
+        if (reached > this.remindersFired) {
+            this.remindersFired = reached;
+            if (this.intervalReachedCallback) {
+                this.intervalReachedCallback();
             }
-        }, 1000);
+        }
     }
 
     /**
@@ -67,6 +95,10 @@ class Timer {
             return; // 只有运行中才能暂停
         }
 
+        // 把这段运行时间并入累计值
+        this.accumulatedMs += Date.now() - this.startTimestamp;
+        this.startTimestamp = null;
+        this.elapsedSeconds = this.getTime();
         this.state = TimerState.PAUSED;
         
         if (this.timerId) {
@@ -82,6 +114,9 @@ class Timer {
     reset() {
         this.state = TimerState.IDLE;
         this.elapsedSeconds = 0;
+        this.accumulatedMs = 0;
+        this.startTimestamp = null;
+        this.remindersFired = 0;
         
         if (this.timerId) {
             clearInterval(this.timerId);
@@ -99,7 +134,43 @@ class Timer {
      * @returns {number} 已计时秒数
      */
     getTime() {
-        return this.elapsedSeconds;
+        let ms = this.accumulatedMs;
+        if (this.startTimestamp !== null) {
+            ms += Date.now() - this.startTimestamp;
+        }
+        return Math.floor(ms / 1000);
+    }
+
+    /**
+     * 获取可保存的计时快照
+     * @returns {{state: string, elapsedMs: number}} 当前状态和已计时毫秒数
+     */
+    getSnapshot() {
+        let elapsedMs = this.accumulatedMs;
+        if (this.startTimestamp !== null) {
+            elapsedMs += Date.now() - this.startTimestamp;
+        }
+        return { state: this.state, elapsedMs };
+    }
+
+    /**
+     * 从快照恢复计时（恢复后处于暂停状态，需要再调用 start() 继续）
+     * @param {{elapsedMs: number}} snapshot - getSnapshot() 的结果
+     */
+    restore(snapshot) {
+        this.reset();
+
+        const elapsedMs = Math.max(0, snapshot.elapsedMs || 0);
+        if (elapsedMs === 0) return;
+
+        this.accumulatedMs = elapsedMs;
+        this.elapsedSeconds = this.getTime();
+        this.remindersFired = Math.floor(this.elapsedSeconds / this.reminderInterval);
+        this.state = TimerState.PAUSED;
+
+        if (this.tickCallback) {
+            this.tickCallback(this.elapsedSeconds);
+        }
     }
 
     /**
@@ -117,6 +188,8 @@ class Timer {
     setInterval(minutes) {
         if (minutes > 0) {
             this.reminderInterval = minutes * 60;
+            // 已经过去的间隔不再补发
+            this.remindersFired = Math.floor(this.getTime() / this.reminderInterval);
         }
     }
 
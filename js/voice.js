@@ -0,0 +1,336 @@
+/**
+ * Voice 语音播报模块
+ * 用浏览器语音合成朗读提醒，或播放家长录好的语音，方便还不识字的孩子
+ */
+
+// 语音播报方式
+const VoiceMode = {
+    OFF: 'off',            // 关闭
+    SPEECH: 'speech',      // 朗读提醒文字
+    RECORDED: 'recorded'   // 播放家长录音（没有录音时改为朗读）
+};
+
+// 可选语言
+const VOICE_LANGUAGES = {
+    'zh-CN': '普通话',
+    'zh-HK': '粤语',
+    'zh-TW': '国语（台湾）',
+    'en-US': 'English'
+};
+
+// 录音最长秒数
+const MAX_RECORDING_SECONDS = 15;
+
+// 提示音之后再开始播报（毫秒），避免声音叠在一起
+const VOICE_DELAY_MS = 700;
+
+// 默认语音设置
+const DEFAULT_VOICE_OPTIONS = {
+    mode: VoiceMode.OFF,
+    lang: 'zh-CN',
+    voiceName: '',   // 空字符串表示该语言的默认声音
+    rate: 1
+};
+
+/**
+ * VoiceAnnouncer 类 - 语音播报
+ */
+class VoiceAnnouncer {
+    /**
+     * @param {SoundStore} store - 保存家长录音的存储
+     */
+    constructor(store) {
+        this.store = store;
+        this.options = { ...DEFAULT_VOICE_OPTIONS };
+        // 录音的 object URL 缓存
+        this.clipUrls = {};
+        // 正在播放的录音
+        this.currentClip = null;
+        // 延迟播报的定时器，以及等播报开始后再朗读的文字
+        this.delayId = null;
+        this.pendingTexts = [];
+    }
+
+    /**
+     * 设置语音选项
+     * @param {Object} options - { mode, lang, voiceName, rate }
+     */
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * 是否开启了语音播报
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.options.mode !== VoiceMode.OFF;
+    }
+
+    /**
+     * 浏览器是否支持语音合成
+     * @returns {boolean}
+     */
+    static isSpeechSupported() {
+        return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+    }
+
+    /**
+     * 播报一条提醒（稍等提示音播完）
+     * 录音模式下优先播放该提醒类型的录音
+     * @param {string} event - 提醒类型（见 SoundEvent）
+     * @param {string} text - 要朗读的文字
+     * @param {Object} [options] - 临时使用的选项（试听用）
+     */
+    announce(event, text, options = this.options) {
+        if (options.mode === VoiceMode.OFF) return;
+
+        this.cancel();
+        this.delayId = setTimeout(() => {
+            this.delayId = null;
+
+            if (options.mode === VoiceMode.RECORDED) {
+                this.playClip(event).catch(() => {
+                    this.speak(text, options);
+                });
+            } else {
+                this.speak(text, options);
+                this.pendingTexts.forEach(pending => this.speak(pending, options, true));
+            }
+            this.pendingTexts = [];
+        }, VOICE_DELAY_MS);
+    }
+
+    /**
+     * 朗读一段补充文字（如休息活动的步骤），排在当前播报之后
+     * 只在朗读模式下使用
+     * @param {string} text - 文字
+     */
+    queueSpeech(text) {
+        if (this.options.mode !== VoiceMode.SPEECH) return;
+
+        if (this.delayId) {
+            this.pendingTexts.push(text);
+        } else {
+            this.speak(text, this.options, true);
+        }
+    }
+
+    /**
+     * 用语音合成朗读文字
+     * @param {string} text - 文字
+     * @param {Object} [options] - 语音选项
+     * @param {boolean} append - 是否排在正在朗读的内容之后
+     */
+    speak(text, options = this.options, append = false) {
+        if (!VoiceAnnouncer.isSpeechSupported() || !text) return;
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = options.lang;
+        utterance.rate = options.rate;
+
+        const voice = VoiceAnnouncer.getVoices(options.lang)
+            .find(v => v.name === options.voiceName);
+        if (voice) {
+            utterance.voice = voice;
+        }
+
+        if (!append) {
+            speechSynthesis.cancel();
+        }
+        speechSynthesis.speak(utterance);
+    }
+
+    /**
+     * 播放家长录音
+     * @param {string} event - 提醒类型
+     * @returns {Promise<void>} 没有录音或播放失败时 reject
+     */
+    async playClip(event) {
+        const url = await this.getClipUrl(event);
+        if (!url) {
+            throw new Error('没有录音');
+        }
+
+        this.currentClip = new Audio(url);
+        await this.currentClip.play();
+    }
+
+    /**
+     * 停止正在进行的播报
+     */
+    cancel() {
+        if (this.delayId) {
+            clearTimeout(this.delayId);
+            this.delayId = null;
+        }
+        this.pendingTexts = [];
+        if (this.currentClip) {
+            this.currentClip.pause();
+            this.currentClip = null;
+        }
+        if (VoiceAnnouncer.isSpeechSupported()) {
+            speechSynthesis.cancel();
+        }
+    }
+
+    /**
+     * 获取录音地址
+     * @param {string} event - 提醒类型
+     * @returns {Promise<string|null>}
+     */
+    async getClipUrl(event) {
+        if (this.clipUrls[event]) return this.clipUrls[event];
+
+        const clip = await this.store.get(VoiceAnnouncer.clipKey(event));
+        if (!clip) return null;
+
+        this.clipUrls[event] = URL.createObjectURL(clip);
+        return this.clipUrls[event];
+    }
+
+    /**
+     * 是否有某个提醒类型的录音
+     * @param {string} event - 提醒类型
+     * @returns {Promise<boolean>}
+     */
+    async hasClip(event) {
+        try {
+            return !!(await this.store.get(VoiceAnnouncer.clipKey(event)));
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * 保存录音
+     * @param {string} event - 提醒类型
+     * @param {Blob} clip - 录音
+     */
+    async saveClip(event, clip) {
+        await this.store.put(VoiceAnnouncer.clipKey(event), clip);
+
+        if (this.clipUrls[event]) {
+            URL.revokeObjectURL(this.clipUrls[event]);
+            delete this.clipUrls[event];
+        }
+    }
+
+    /**
+     * 获取某种语言可用的声音
+     * @param {string} lang - 语言，如 'zh-CN'
+     * @returns {Array<SpeechSynthesisVoice>}
+     */
+    static getVoices(lang) {
+        if (!VoiceAnnouncer.isSpeechSupported()) return [];
+
+        const prefix = lang.toLowerCase();
+        return speechSynthesis.getVoices()
+            .filter(v => v.lang.replace('_', '-').toLowerCase().startsWith(prefix));
+    }
+
+    /**
+     * 录音在存储中的键名
+     * @param {string} event - 提醒类型
+     * @returns {string}
+     */
+    static clipKey(event) {
+        return 'voice:' + event;
+    }
+}
+
+/**
+ * VoiceRecorder 类 - 用麦克风录制家长语音
+ */
+class VoiceRecorder {
+    constructor() {
+        this.mediaRecorder = null;
+        this.stream = null;
+        this.chunks = [];
+        this.stopTimerId = null;
+        this.resolveStop = null;
+    }
+
+    /**
+     * 浏览器是否支持录音
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia && window.MediaRecorder);
+    }
+
+    /**
+     * 是否正在录音
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.mediaRecorder !== null;
+    }
+
+    /**
+     * 开始录音，最长 MAX_RECORDING_SECONDS 秒后自动停止
+     * @returns {Promise<Blob>} 录音结束后得到的音频
+     */
+    async start() {
+        this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        this.chunks = [];
+        this.mediaRecorder = new MediaRecorder(this.stream);
+
+        const finished = new Promise((resolve) => {
+            this.resolveStop = resolve;
+        });
+
+        this.mediaRecorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) {
+                this.chunks.push(e.data);
+            }
+        });
+        this.mediaRecorder.addEventListener('stop', () => {
+            const clip = new Blob(this.chunks, { type: this.mediaRecorder.mimeType || 'audio/webm' });
+            this.cleanup();
+            this.resolveStop(clip);
+        });
+
+        this.mediaRecorder.start();
+        this.stopTimerId = setTimeout(() => {
+            this.stop();
+        }, MAX_RECORDING_SECONDS * 1000);
+
+        return finished;
+    }
+
+    /**
+     * 停止录音
+     */
+    stop() {
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.stop();
+        }
+    }
+
+    /**
+     * 释放麦克风
+     */
+    cleanup() {
+        if (this.stopTimerId) {
+            clearTimeout(this.stopTimerId);
+            this.stopTimerId = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.mediaRecorder = null;
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VoiceAnnouncer,
+        VoiceRecorder,
+        VoiceMode,
+        VOICE_LANGUAGES,
+        DEFAULT_VOICE_OPTIONS
+    };
+}
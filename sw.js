@@ -0,0 +1,109 @@
+/**
+ * Service Worker 离线缓存
+ * 安装时缓存应用的全部文件，之后优先从缓存读取，断网也能使用
+ *
+ * 发布新版本时修改 CACHE_VERSION，页面会提示"有新版本"，
+ * 孩子（或家长）点击更新后才切换，避免学习中途刷新页面
+ */
+
+// 缓存版本，每次发布时修改
+const CACHE_VERSION = 'v9';
+const CACHE_NAME = 'child-study-reminder-' + CACHE_VERSION;
+
+// 安装时缓存的应用文件
+const APP_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/style.css',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'js/timer.js',
+    'js/pomodoro.js',
+    'js/messages.js',
+    'js/activities.js',
+    'js/sounds.js',
+    'js/voice.js',
+    'js/notifier.js',
+    'js/reminder.js',
+    'js/backends.js',
+    'js/motion.js',
+    'js/frames.js',
+    'js/detector-worker.js',
+    'js/detector.js',
+    'js/interventions.js',
+    'js/calibration.js',
+    'js/history.js',
+    'js/session.js',
+    'js/profiles.js',
+    'js/lock.js',
+    'js/stats.js',
+    'js/achievements.js',
+    'js/rewards.js',
+    'js/schedule.js',
+    'js/tasks.js',
+    'js/backup.js',
+    'js/privacy.js',
+    'js/pwa.js',
+    'js/app.js',
+    'vendor/face-api/face-api.js',
+    'models/tiny_face_detector_model-weights_manifest.json',
+    'models/tiny_face_detector_model.bin',
+    'models/face_landmark_68_tiny_model-weights_manifest.json',
+    'models/face_landmark_68_tiny_model.bin'
+];
+
+// 安装：缓存应用文件，等页面确认后再启用
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(APP_FILES))
+    );
+});
+
+// 启用：删除旧版本的缓存
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('child-study-reminder-') && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// 页面确认更新后立即启用新版本
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// 读取：优先用缓存，没有缓存的本站文件下载后存入缓存
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then((cached) => {
+            if (cached) return cached;
+
+            return fetch(request)
+                .then((response) => {
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                    }
+                    return response;
+                })
+                .catch((err) => {
+                    // 断网时打开页面，返回缓存的主页
+                    if (request.mode === 'navigate') {
+                        return caches.match('index.html');
+                    }
+                    throw err;
+                });
+        })
+    );
+});
@@ -0,0 +1,188 @@
+/**
+ * 备份导入测试：校验、预览和合并
+ * 运行：node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers.js');
+
+const SCRIPTS = [
+    'history.js', 'stats.js', 'messages.js', 'profiles.js', 'achievements.js',
+    'rewards.js', 'schedule.js', 'tasks.js', 'backup.js'
+];
+
+// 代替 app.js 中的设置键名和默认设置
+const CONFIG_KEY = 'testConfig';
+const DEFAULT_CONFIG = { reminderInterval: 25, soundEnabled: true, calibration: null };
+
+/**
+ * 加载脚本并创建有一个孩子的 BackupManager
+ */
+function setup() {
+    const env = loadScripts(SCRIPTS);
+    const keys = [CONFIG_KEY, ...['HISTORY_KEY', 'ACHIEVEMENTS_KEY', 'REWARDS_KEY', 'SCHEDULE_KEY', 'TASKS_KEY'].map(env.get)];
+
+    const profiles = new (env.get('ProfileManager'))(keys);
+    profiles.profiles = [{ id: 'kid1', name: '小明', avatar: '🐱', createdAt: 1 }];
+    profiles.activeId = 'kid1';
+    const backup = new (env.get('BackupManager'))(profiles, keys, { [CONFIG_KEY]: DEFAULT_CONFIG });
+
+    return { env, profiles, backup };
+}
+
+function session(id, startTime) {
+    return { id, startTime, endTime: startTime + 1000, focusedSeconds: 1, pauses: [], distractions: [], breaks: 0 };
+}
+
+/**
+ * 生成只有一个孩子的备份文件内容
+ */
+function backupText(env, data, profile = { id: 'kid1', name: '小明', avatar: '🐱' }) {
+    return JSON.stringify({
+        format: env.get('BACKUP_FORMAT'),
+        version: env.get('BACKUP_VERSION'),
+        exportedAt: 0,
+        activeId: profile.id,
+        profiles: [{ ...profile, createdAt: 1, data }]
+    });
+}
+
+test('导出的备份可以原样导入', () => {
+    const { env, backup } = setup();
+    backup.writeData(env.get('HISTORY_KEY'), 'kid1', { sessions: [session('a', 100)] });
+    backup.writeData(env.get('SCHEDULE_KEY'), 'kid1', {
+        slots: [{ id: 's1', days: [1, 3], start: '18:00', end: '19:00', subject: '数学', createdAt: 1 }],
+        missed: [],
+        lastCheck: null
+    });
+    backup.writeData(CONFIG_KEY, 'kid1', { ...DEFAULT_CONFIG, calibration: { baseline: 1 } });
+
+    const { backup: parsed, error } = backup.parse(JSON.stringify(backup.createBackup()));
+
+    assert.strictEqual(error, null);
+    assert.strictEqual(parsed.profiles[0].data[env.get('HISTORY_KEY')].sessions.length, 1);
+});
+
+test('每一项数据格式不对都不能导入', () => {
+    const { env, backup } = setup();
+    const cases = [
+        [{ [CONFIG_KEY]: { reminderInterval: '25' } }, '设置格式不正确'],
+        [{ [CONFIG_KEY]: { calibration: 5 } }, '设置格式不正确'],
+        [{ [env.get('HISTORY_KEY')]: { sessions: [{ id: 'a' }] } }, '学习记录格式不正确'],
+        [{ [env.get('ACHIEVEMENTS_KEY')]: { unlocked: { firstSession: '昨天' } } }, '成就记录格式不正确'],
+        [{ [env.get('REWARDS_KEY')]: { balance: -5 } }, '积分记录格式不正确'],
+        [{ [env.get('REWARDS_KEY')]: { rewards: [{ id: 'x', name: '奖励', cost: 0 }] } }, '积分记录格式不正确'],
+        [{ [env.get('SCHEDULE_KEY')]: { slots: 'x' } }, '课表格式不正确'],
+        [{
+            [env.get('SCHEDULE_KEY')]: {
+                slots: [{ id: 's1', days: [1], start: '19:00', end: '18:00', subject: '数学', createdAt: 1 }]
+            }
+        }, '课表格式不正确'],
+        [{ [env.get('TASKS_KEY')]: { items: [{ id: 't1', subject: '数学', title: '口算', dateKey: '2026-10-18', done: 'no' }] } },
+            '作业清单格式不正确'],
+        [{ [env.get('TASKS_KEY')]: [] }, '作业清单格式不正确']
+    ];
+
+    cases.forEach(([data, message]) => {
+        const { backup: parsed, error } = backup.parse(backupText(env, data));
+        assert.strictEqual(parsed, null);
+        assert.strictEqual(error, `"小明"的${message}`);
+    });
+});
+
+test('不认识的数据项会被去掉', () => {
+    const { env, backup } = setup();
+    const { backup: parsed, error } = backup.parse(backupText(env, {
+        [env.get('HISTORY_KEY')]: { sessions: [] },
+        childStudyReminderParentLock: { pinHash: 'x' },
+        somethingElse: 'x'
+    }));
+
+    assert.strictEqual(error, null);
+    assert.deepStrictEqual(Object.keys(parsed.profiles[0].data), [env.get('HISTORY_KEY')]);
+});
+
+test('文件本身不对时给出原因', () => {
+    const { env, backup } = setup();
+
+    assert.strictEqual(backup.parse('{').error, '文件不是有效的 JSON 备份');
+    assert.strictEqual(backup.parse('{"format":"other"}').error, '这不是学习提醒助手导出的备份文件');
+
+    const newer = JSON.parse(backupText(env, {}));
+    newer.version = env.get('BACKUP_VERSION') + 1;
+    assert.strictEqual(backup.parse(JSON.stringify(newer)).error, '备份来自更新版本的应用，请先更新后再导入');
+
+    const twice = JSON.parse(backupText(env, {}));
+    twice.profiles.push(twice.profiles[0]);
+    assert.strictEqual(backup.parse(JSON.stringify(twice)).error, '备份中"小明"重复出现');
+});
+
+test('合并时预览新增的记录和成就', () => {
+    const { env, backup } = setup();
+    backup.writeData(env.get('HISTORY_KEY'), 'kid1', { sessions: [session('a', 100)] });
+    backup.writeData(env.get('ACHIEVEMENTS_KEY'), 'kid1', { unlocked: { first: 50 } });
+
+    const { backup: parsed } = backup.parse(backupText(env, {
+        [env.get('HISTORY_KEY')]: { sessions: [session('a', 100), session('b', 200)] },
+        [env.get('ACHIEVEMENTS_KEY')]: { unlocked: { first: 10, streak3: 20 } }
+    }));
+    const other = JSON.parse(backupText(env, { [env.get('HISTORY_KEY')]: { sessions: [session('c', 300)] } },
+        { id: 'kid2', name: '小红', avatar: '🐶' }));
+    parsed.profiles.push(other.profiles[0]);
+
+    assert.deepStrictEqual(plain(backup.preview(parsed, env.get('ImportMode').MERGE)), [
+        '🐱 小明：新增 1 条学习记录、1 个成就',
+        '🐶 小红：新增孩子，1 条学习记录',
+        '本机已有孩子的设置、积分、课表和作业保留不变'
+    ]);
+    assert.deepStrictEqual(plain(backup.preview(parsed, env.get('ImportMode').REPLACE)), [
+        '⚠️ 删除本机 1 个孩子的全部数据（1 条学习记录）',
+        '🐱 小明：2 条学习记录，2 个成就',
+        '🐶 小红：1 条学习记录，0 个成就'
+    ]);
+});
+
+test('合并时学习记录按ID去重，成就取较早的解锁时间，其他数据保留本机的', () => {
+    const { env, backup, profiles } = setup();
+    backup.writeData(env.get('HISTORY_KEY'), 'kid1', { sessions: [session('b', 200), session('a', 100)] });
+    backup.writeData(env.get('ACHIEVEMENTS_KEY'), 'kid1', { unlocked: { first: 50, streak3: 20 } });
+    backup.writeData(env.get('REWARDS_KEY'), 'kid1', { balance: 30 });
+
+    const { backup: parsed } = backup.parse(backupText(env, {
+        [env.get('HISTORY_KEY')]: { sessions: [session('c', 150), session('a', 100)] },
+        [env.get('ACHIEVEMENTS_KEY')]: { unlocked: { first: 10, streak3: 40, week: 60 } },
+        [env.get('REWARDS_KEY')]: { balance: 999 },
+        [CONFIG_KEY]: { reminderInterval: 40 }
+    }));
+    backup.apply(parsed, env.get('ImportMode').MERGE);
+
+    const history = backup.readData(env.get('HISTORY_KEY'), 'kid1');
+    assert.deepStrictEqual(plain(history.sessions.map(s => s.id)), ['a', 'c', 'b']);
+    assert.deepStrictEqual(plain(backup.readData(env.get('ACHIEVEMENTS_KEY'), 'kid1').unlocked), { first: 10, streak3: 20, week: 60 });
+    assert.strictEqual(backup.readData(env.get('REWARDS_KEY'), 'kid1').balance, 30);
+    // 本机没有的数据直接写入
+    assert.strictEqual(backup.readData(CONFIG_KEY, 'kid1').reminderInterval, 40);
+    assert.strictEqual(profiles.getAll().length, 1);
+
+    // 再导入一次不会重复
+    backup.apply(parsed, env.get('ImportMode').MERGE);
+    assert.strictEqual(backup.readData(env.get('HISTORY_KEY'), 'kid1').sessions.length, 3);
+});
+
+test('替换时删除本机全部孩子的数据', () => {
+    const { env, backup, profiles } = setup();
+    backup.writeData(env.get('HISTORY_KEY'), 'kid1', { sessions: [session('a', 100)] });
+    backup.writeData(env.get('REWARDS_KEY'), 'kid1', { balance: 30 });
+
+    const { backup: parsed } = backup.parse(backupText(env, {
+        [env.get('HISTORY_KEY')]: { sessions: [session('z', 900)] }
+    }, { id: 'kid2', name: '小红', avatar: '🐶' }));
+    backup.apply(parsed, env.get('ImportMode').REPLACE);
+
+    assert.deepStrictEqual(plain(profiles.getAll().map(p => p.id)), ['kid2']);
+    assert.strictEqual(profiles.activeId, 'kid2');
+    assert.strictEqual(backup.readData(env.get('HISTORY_KEY'), 'kid1'), null);
+    assert.strictEqual(backup.readData(env.get('REWARDS_KEY'), 'kid1'), null);
+    assert.deepStrictEqual(plain(backup.readData(env.get('HISTORY_KEY'), 'kid2').sessions.map(s => s.id)), ['z']);
+});
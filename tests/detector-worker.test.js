@@ -0,0 +1,159 @@
+/**
+ * 检测 Worker 测试
+ * 在模拟的 Worker 环境（没有 window 和 document）中运行 js/detector-worker.js
+ * 运行：node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { WorkerFrameAnalyzer } = require('../js/frames.js');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+/**
+ * 只记录尺寸的画布：画什么都不保留，取像素总是全黑
+ */
+class FakeImageData {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.data = new Uint8ClampedArray(width * height * 4);
+    }
+}
+
+class FakeContext2D {
+    constructor(canvas) {
+        this.canvas = canvas;
+    }
+
+    drawImage() {}
+
+    getImageData(x, y, width, height) {
+        return new FakeImageData(width, height);
+    }
+}
+
+class FakeOffscreenCanvas {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    // 没有 WebGL，TensorFlow.js 会改用 CPU
+    getContext(type) {
+        return type === '2d' ? new FakeContext2D(this) : null;
+    }
+}
+
+/**
+ * 创建模拟的 Worker 环境并运行检测 Worker
+ * @param {Object} overrides - 替换环境中的全局对象
+ * @returns {Object} { send(message), nextMessage() }
+ */
+function startWorker(overrides = {}) {
+    const replies = [];
+    const waiting = [];
+
+    const scope = {
+        // TensorFlow.js 会打印 WebGL 不可用等提示，测试中不显示
+        console: { log() {}, warn() {}, error: console.error },
+        setTimeout,
+        clearTimeout,
+        performance,
+        TextEncoder,
+        TextDecoder,
+        URL,
+        Response,
+        WebAssembly,
+        ArrayBuffer,
+        Uint8Array,
+        Uint8ClampedArray,
+        Int32Array,
+        Float32Array,
+        navigator: { userAgent: 'node' },
+        OffscreenCanvas: FakeOffscreenCanvas,
+        OffscreenCanvasRenderingContext2D: FakeContext2D,
+        ImageData: FakeImageData,
+        WorkerGlobalScope: class {},
+        // 路径相对 Worker 脚本所在的 js/ 目录
+        fetch: async (url) => new Response(fs.readFileSync(path.join(JS_DIR, String(url)))),
+        importScripts: (...files) => {
+            files.forEach((file) => {
+                const fullPath = path.join(JS_DIR, file);
+                vm.runInContext(fs.readFileSync(fullPath, 'utf8'), scope, { filename: fullPath });
+            });
+        },
+        postMessage: (message) => {
+            if (waiting.length > 0) {
+                waiting.shift()(message);
+            } else {
+                replies.push(message);
+            }
+        },
+        ...overrides
+    };
+    scope.self = scope;
+    vm.createContext(scope);
+    scope.importScripts('detector-worker.js');
+
+    return {
+        send: (message) => scope.onmessage({ data: message }),
+        nextMessage: () => new Promise((resolve) => {
+            if (replies.length > 0) {
+                resolve(replies.shift());
+            } else {
+                waiting.push(resolve);
+            }
+        })
+    };
+}
+
+test('Worker 中能加载人脸模型并分析画面', async () => {
+    const worker = startWorker();
+
+    worker.send({ type: 'load', preference: 'auto' });
+    assert.deepStrictEqual({ ...(await worker.nextMessage()) }, { type: 'loaded', backend: 'faceModel' });
+
+    let closed = false;
+    const frame = new FakeOffscreenCanvas(320, 240);
+    frame.close = () => { closed = true; };
+    worker.send({ type: 'frame', id: 1, frame });
+
+    const reply = await worker.nextMessage();
+    assert.strictEqual(reply.type, 'result');
+    assert.strictEqual(reply.id, 1);
+    assert.strictEqual(reply.error, undefined);
+    // 全黑画面：没有人，也没有动作
+    assert.strictEqual(reply.analysis.present, false);
+    assert.strictEqual(reply.analysis.motion.score, 0);
+    assert.ok(reply.busyMs >= 0);
+    assert.ok(closed, '分析完要释放帧');
+});
+
+test('加载失败时回复错误，不会一直等待', async () => {
+    class BrokenCanvas {
+        getContext() {
+            throw new Error('不支持画布');
+        }
+    }
+    const worker = startWorker({ OffscreenCanvas: BrokenCanvas });
+
+    worker.send({ type: 'load', preference: 'skin' });
+    assert.deepStrictEqual({ ...(await worker.nextMessage()) }, { type: 'loaded', error: '不支持画布' });
+});
+
+test('WorkerFrameAnalyzer 收到加载错误时返回 false，可以马上改用主线程', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const analyzer = new WorkerFrameAnalyzer();
+    const loaded = new Promise((resolve) => {
+        analyzer.loadCallback = resolve;
+    });
+
+    analyzer.handleMessage({ type: 'loaded', error: '不支持画布' });
+
+    assert.strictEqual(await loaded, false);
+    assert.strictEqual(analyzer.backend, null);
+});
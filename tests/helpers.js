@@ -0,0 +1,82 @@
+/**
+ * 测试辅助：像浏览器一样按顺序加载 js/ 下的脚本
+ * 脚本共用一个全局环境，localStorage 存在内存中，Date.now() 可以手动设置
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+/**
+ * 只存在内存中的 localStorage
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * 加载脚本
+ * @param {Array<string>} files - js/ 下的文件名，按 index.html 中的顺序
+ * @param {Object} globals - 额外的全局对象
+ * @returns {Object} { get(name), setNow(time), localStorage }
+ */
+function loadScripts(files, globals = {}) {
+    const scope = {
+        console,
+        setTimeout,
+        clearTimeout,
+        TextEncoder,
+        crypto: globalThis.crypto,
+        localStorage: new MemoryStorage(),
+        ...globals
+    };
+    scope.window = scope;
+    vm.createContext(scope);
+
+    files.forEach((file) => {
+        const fullPath = path.join(JS_DIR, file);
+        vm.runInContext(fs.readFileSync(fullPath, 'utf8'), scope, { filename: fullPath });
+    });
+
+    // 脚本中的 Date.now() 返回设置的时间，没有设置时为真实时间
+    const date = vm.runInContext('Date', scope);
+    const realNow = date.now;
+    let now = null;
+    date.now = () => (now === null ? realNow() : now);
+
+    return {
+        // 全局的 class 和 const 不是 scope 的属性，只能在脚本环境中取
+        get: (name) => vm.runInContext(name, scope),
+        setNow: (time) => {
+            now = time;
+        },
+        localStorage: scope.localStorage
+    };
+}
+
+/**
+ * 转成本环境的普通对象，方便用 deepStrictEqual 比较脚本环境中的对象
+ * @param {*} value - 值
+ * @returns {*}
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, plain, MemoryStorage };
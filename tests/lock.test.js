@@ -0,0 +1,131 @@
+/**
+ * 家长锁测试：密码哈希和连续输错后的锁定
+ * 运行：node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers.js');
+
+/**
+ * 只保留家长锁对话框用到的属性
+ */
+class FakeElement {
+    constructor() {
+        this.value = '';
+        this.textContent = '';
+        this.placeholder = '';
+        this.classList = { add() {}, remove() {}, toggle() {} };
+    }
+
+    focus() {}
+
+    addEventListener() {}
+}
+
+/**
+ * 创建已设置密码 1234 的家长锁
+ * @param {Object} env - loadScripts 的返回值，不传时新建（传入同一个相当于刷新页面）
+ */
+async function createLock(env = loadScripts(['lock.js'], {
+    document: { getElementById: () => new FakeElement() }
+})) {
+    const ParentLock = env.get('ParentLock');
+    if (!env.localStorage.getItem(env.get('PARENT_LOCK_KEY'))) {
+        env.localStorage.setItem(env.get('PARENT_LOCK_KEY'), JSON.stringify({
+            salt: 'salt',
+            pinHash: await ParentLock.hash('salt1234'),
+            recoveryHash: await ParentLock.hash('saltABCD')
+        }));
+    }
+
+    const lock = new ParentLock();
+    lock.init();
+    return { env, lock };
+}
+
+/**
+ * 在密码框中输入并提交
+ * @returns {Promise<string>} 对话框中显示的错误，验证通过时为空
+ */
+async function enterPin(lock, pin) {
+    lock.inputs[0].value = pin;
+    lock.errorElement.textContent = '';
+    await lock.submitDialog();
+    return lock.errorElement.textContent;
+}
+
+test('密码用 SHA-256 哈希，不支持 Web Crypto 时退回 FNV-1a', async () => {
+    const ParentLock = loadScripts(['lock.js']).get('ParentLock');
+    assert.strictEqual(await ParentLock.hash('abc'),
+        'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+
+    const Fallback = loadScripts(['lock.js'], { crypto: undefined }).get('ParentLock');
+    assert.strictEqual(await Fallback.hash('a'), 'fnve40c292c');
+});
+
+test('连续输错 5 次锁定 60 秒，锁定期间正确密码也不能解锁', async () => {
+    const { env, lock } = await createLock();
+    env.setNow(1000000);
+
+    const unlocked = lock.requestUnlock();
+    for (let i = 0; i < 4; i++) {
+        assert.strictEqual(await enterPin(lock, '0000'), '密码不正确');
+    }
+    assert.strictEqual(lock.failedAttempts, 4);
+    assert.strictEqual(await enterPin(lock, '0000'), '密码不正确');
+    assert.strictEqual(lock.lockoutUntil, 1000000 + 60000);
+
+    assert.strictEqual(await enterPin(lock, '1234'), '输错次数太多，请 60 秒后再试');
+    env.setNow(1000000 + 30500);
+    assert.strictEqual(await enterPin(lock, '1234'), '输错次数太多，请 30 秒后再试');
+
+    env.setNow(1000000 + 60000);
+    assert.strictEqual(await enterPin(lock, '1234'), '');
+    assert.strictEqual(await unlocked, true);
+    assert.strictEqual(lock.isUnlocked(), true);
+    lock.lock();
+});
+
+test('输对密码后重新计算输错次数', async () => {
+    const { env, lock } = await createLock();
+    env.setNow(1000000);
+
+    const unlocked = lock.requestUnlock();
+    for (let i = 0; i < 4; i++) {
+        await enterPin(lock, '0000');
+    }
+    await enterPin(lock, '1234');
+    assert.strictEqual(await unlocked, true);
+    assert.strictEqual(lock.failedAttempts, 0);
+    assert.strictEqual(env.localStorage.getItem(env.get('PARENT_LOCK_ATTEMPTS_KEY')), null);
+    lock.lock();
+});
+
+test('刷新页面后输错次数和锁定仍然有效', async () => {
+    const first = await createLock();
+    first.env.setNow(1000000);
+
+    first.lock.requestUnlock();
+    for (let i = 0; i < 3; i++) {
+        await enterPin(first.lock, '0000');
+    }
+    first.lock.closeDialog(null);
+
+    const second = await createLock(first.env);
+    assert.strictEqual(second.lock.failedAttempts, 3);
+
+    second.lock.requestUnlock();
+    await enterPin(second.lock, '0000');
+    await enterPin(second.lock, '0000');
+    second.lock.closeDialog(null);
+
+    const third = await createLock(first.env);
+    third.env.setNow(1000000 + 10000);
+    assert.strictEqual(third.lock.lockoutUntil, 1000000 + 60000);
+
+    const unlocked = third.lock.requestUnlock();
+    assert.strictEqual(await enterPin(third.lock, '1234'), '输错次数太多，请 50 秒后再试');
+    third.lock.closeDialog(null);
+    assert.strictEqual(await unlocked, false);
+});
@@ -0,0 +1,76 @@
+/**
+ * 躁动指数测试
+ * 运行：node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { RestlessnessMeter } = require('../js/motion.js');
+
+// 检测帧率：在动时约每秒 10 帧，坐着不动时约每秒 1 帧
+const MOVING_INTERVAL_MS = 100;
+const STILL_INTERVAL_MS = 1000;
+
+/**
+ * 按给定间隔从 start 到 end 逐帧加入同一个运动比例
+ * @returns {number} 最后一帧的时间
+ */
+function feed(meter, score, start, end, interval) {
+    let time = start;
+    for (; time <= end; time += interval) {
+        meter.add(score, time);
+    }
+    return time - interval;
+}
+
+test('坐着不动 25 秒再动 5 秒，按时间计权而不是按帧数', () => {
+    const meter = new RestlessnessMeter();
+    feed(meter, 0, 0, 25000, STILL_INTERVAL_MS);
+    feed(meter, 0.1, 25100, 30000, MOVING_INTERVAL_MS);
+
+    // 0.1 × 5 / 30 ÷ 0.12 ≈ 14；按帧平均会得到约 55
+    assert.strictEqual(meter.getValue(), 14);
+});
+
+test('先动 5 秒再坐着不动 25 秒，结果相同', () => {
+    const meter = new RestlessnessMeter();
+    const end = feed(meter, 0.1, 0, 5000, MOVING_INTERVAL_MS);
+    feed(meter, 0, end + STILL_INTERVAL_MS, 30000, STILL_INTERVAL_MS);
+
+    assert.strictEqual(meter.getValue(), 14);
+});
+
+test('一直在动时和帧率无关', () => {
+    const fast = new RestlessnessMeter();
+    const slow = new RestlessnessMeter();
+    feed(fast, 0.06, 0, 30000, MOVING_INTERVAL_MS);
+    feed(slow, 0.06, 0, 30000, STILL_INTERVAL_MS);
+
+    assert.strictEqual(fast.getValue(), 50);
+    assert.strictEqual(slow.getValue(), 50);
+});
+
+test('停止检测后的长间隔只按最长样本时长计算', () => {
+    const meter = new RestlessnessMeter();
+    feed(meter, 0, 0, 10000, STILL_INTERVAL_MS);
+    // 中间停了 15 秒，重新检测的第一帧变化很大
+    meter.add(0.12, 25000);
+
+    // 0.12 × 2 / (10 + 2) ÷ 0.12 ≈ 17
+    assert.strictEqual(meter.getValue(), 17);
+});
+
+test('没有样本或只有一帧时为 0，清空后重新开始', () => {
+    const meter = new RestlessnessMeter();
+    assert.strictEqual(meter.getValue(), 0);
+
+    meter.add(0.5, 0);
+    assert.strictEqual(meter.getValue(), 0);
+
+    meter.add(0.5, 100);
+    assert.strictEqual(meter.getValue(), 100);
+
+    meter.reset();
+    meter.add(0, 200);
+    assert.strictEqual(meter.getValue(), 0);
+});
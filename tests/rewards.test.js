@@ -0,0 +1,94 @@
+/**
+ * 积分账本测试：余额、流水和兑换申请
+ * 运行：node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers.js');
+
+function createLedger() {
+    const env = loadScripts(['rewards.js']);
+    env.setNow(1000000);
+    const ledger = new (env.get('RewardLedger'))();
+    return { env, ledger, PointReason: env.get('PointReason') };
+}
+
+test('每笔流水记下变动后的余额，扣分最多扣到 0', () => {
+    const { ledger, PointReason } = createLedger();
+
+    ledger.add(10, PointReason.STUDY_BLOCK);
+    ledger.add(5, PointReason.BREAK_TAKEN);
+    ledger.add(-3, PointReason.BREAK_SKIPPED);
+    assert.strictEqual(ledger.balance, 12);
+
+    const entry = ledger.add(-20, PointReason.ADJUST, '家长调整');
+    assert.strictEqual(entry.amount, -12);
+    assert.strictEqual(ledger.balance, 0);
+
+    // 余额为 0 时再扣分不记流水
+    assert.strictEqual(ledger.add(-3, PointReason.BREAK_SKIPPED), null);
+    assert.deepStrictEqual(plain(ledger.entries.map(e => [e.amount, e.balance])), [[10, 10], [5, 15], [-3, 12], [-12, 0]]);
+    assert.deepStrictEqual(plain(ledger.getRecentEntries(2).map(e => e.amount)), [-12, -3]);
+});
+
+test('余额和流水保存后可以读回', () => {
+    const { env, ledger, PointReason } = createLedger();
+    ledger.add(30, PointReason.ADJUST);
+
+    const reloaded = new (env.get('RewardLedger'))();
+    reloaded.load();
+    assert.strictEqual(reloaded.balance, 30);
+    assert.strictEqual(reloaded.entries.length, 1);
+});
+
+test('等待批准的申请占用积分，批准后才扣分', () => {
+    const { env, ledger, PointReason } = createLedger();
+    ledger.add(120, PointReason.ADJUST);
+
+    assert.strictEqual(ledger.requestReward('cartoon'), null);
+    assert.strictEqual(ledger.balance, 120);
+    assert.strictEqual(ledger.getAvailable(), 70);
+
+    env.setNow(1000001);
+    assert.strictEqual(ledger.requestReward('game'), null);
+    assert.strictEqual(ledger.getAvailable(), 10);
+    // 可用积分不够时不能再申请
+    env.setNow(1000002);
+    assert.strictEqual(ledger.requestReward('cartoon'), '积分还不够哦，继续加油！');
+    assert.strictEqual(ledger.requestReward('missing'), '这个奖励已经不在商店里了');
+
+    const [cartoon, game] = ledger.getPendingRequests();
+    assert.strictEqual(ledger.approveRequest(cartoon.id), null);
+    assert.strictEqual(ledger.balance, 70);
+    assert.strictEqual(ledger.getAvailable(), 10);
+    assert.strictEqual(ledger.entries[ledger.entries.length - 1].reason, PointReason.REDEEM);
+
+    ledger.rejectRequest(game.id);
+    assert.strictEqual(ledger.balance, 70);
+    assert.strictEqual(ledger.getAvailable(), 70);
+
+    // 已处理的申请不能再批准
+    assert.strictEqual(ledger.approveRequest(cartoon.id), '没有找到这个申请');
+    assert.strictEqual(ledger.balance, 70);
+});
+
+test('批准时余额不够（家长扣过分）不能兑换', () => {
+    const { ledger, PointReason } = createLedger();
+    ledger.add(50, PointReason.ADJUST);
+    ledger.requestReward('cartoon');
+    ledger.add(-10, PointReason.ADJUST);
+
+    const [request] = ledger.getPendingRequests();
+    assert.strictEqual(ledger.approveRequest(request.id), '积分不够，不能兑换');
+    assert.strictEqual(ledger.balance, 40);
+});
+
+test('专注奖励按一段中的走神次数计算', () => {
+    const getFocusBonus = loadScripts(['rewards.js']).get('getFocusBonus');
+
+    assert.strictEqual(getFocusBonus(0), 5);
+    assert.strictEqual(getFocusBonus(1), 2);
+    assert.strictEqual(getFocusBonus(2), 2);
+    assert.strictEqual(getFocusBonus(3), 0);
+});
@@ -0,0 +1,96 @@
+/**
+ * 学习课表测试：错过场次的检查
+ * 运行：node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers.js');
+
+// 2026-10-12 是周一
+const day = (date, hours, minutes = 0) => new Date(2026, 9, date, hours, minutes);
+
+/**
+ * 创建只有"周一、三 18:00-19:00 数学"一个时段的课表
+ * @param {Date} createdAt - 添加时段的时间
+ */
+function createSchedule(createdAt = day(12, 8)) {
+    const env = loadScripts(['history.js', 'schedule.js']);
+    env.setNow(createdAt.getTime());
+    const schedule = new (env.get('StudySchedule'))();
+    schedule.addSlot({ days: [3, 1], start: '18:00', end: '19:00', subject: '数学' });
+    return { env, schedule };
+}
+
+test('场次结束后才记为错过，同一场次不会重复记录', () => {
+    const { schedule } = createSchedule();
+
+    assert.deepStrictEqual(plain(schedule.checkMissed(day(12, 18, 30), [])), []);
+
+    const missed = schedule.checkMissed(day(12, 19, 30), []);
+    assert.deepStrictEqual(plain(missed), [{
+        slotId: schedule.slots[0].id,
+        subject: '数学',
+        dateKey: '2026-10-12',
+        start: day(12, 18).getTime(),
+        end: day(12, 19).getTime()
+    }]);
+
+    assert.deepStrictEqual(plain(schedule.checkMissed(day(12, 20), [])), []);
+    assert.strictEqual(schedule.missed.length, 1);
+});
+
+test('结束时间正好等于上次检查时间的场次只记一次', () => {
+    const { schedule } = createSchedule();
+    schedule.checkMissed(day(14, 18, 59), []);
+
+    assert.strictEqual(schedule.checkMissed(day(14, 19), []).length, 1);
+    assert.strictEqual(schedule.checkMissed(day(14, 19, 1), []).length, 0);
+});
+
+test('两次检查之间结束的场次都会补记', () => {
+    const { schedule } = createSchedule();
+    schedule.checkMissed(day(12, 10), []);
+
+    // 周一、周三都没打开页面，周四才打开
+    const missed = schedule.checkMissed(day(15, 9), []);
+    assert.deepStrictEqual(plain(missed.map(m => m.dateKey)), ['2026-10-12', '2026-10-14']);
+});
+
+test('第一次检查不补记以前的场次', () => {
+    const { schedule } = createSchedule();
+
+    assert.deepStrictEqual(plain(schedule.checkMissed(day(15, 9), [])), []);
+    assert.strictEqual(schedule.lastCheck, day(15, 9).getTime());
+});
+
+test('添加时段之前开始的场次不算错过', () => {
+    const { schedule } = createSchedule(day(12, 18, 30));
+    schedule.checkMissed(day(12, 18, 30), []);
+
+    assert.deepStrictEqual(plain(schedule.checkMissed(day(12, 19, 30), [])), []);
+});
+
+test('很久没打开页面时最多补查 7 天', () => {
+    const { schedule } = createSchedule(day(1, 8));
+    schedule.checkMissed(day(1, 9), []);
+
+    const missed = schedule.checkMissed(day(18, 9), []);
+    assert.deepStrictEqual(plain(missed.map(m => m.dateKey)), ['2026-10-12', '2026-10-14']);
+});
+
+test('场次内有学习就不算错过，进行中的会话算到现在', () => {
+    const { env, schedule } = createSchedule();
+    const StudySchedule = env.get('StudySchedule');
+    schedule.checkMissed(day(12, 10), []);
+
+    const sessions = [{ startTime: day(12, 18, 50).getTime(), endTime: day(12, 19, 20).getTime() }];
+    assert.deepStrictEqual(plain(schedule.checkMissed(day(12, 19, 30), sessions)), []);
+
+    const occurrence = StudySchedule.occurrenceOn(schedule.slots[0], day(14, 0));
+    const before = [{ startTime: day(14, 17).getTime(), endTime: day(14, 18).getTime() }];
+    const ongoing = [{ startTime: day(14, 17).getTime(), endTime: null }];
+    assert.strictEqual(StudySchedule.isAttended(occurrence, before, day(14, 19)), false);
+    assert.strictEqual(StudySchedule.isAttended(occurrence, ongoing, day(14, 17, 59)), false);
+    assert.strictEqual(StudySchedule.isAttended(occurrence, ongoing, day(14, 18, 1)), true);
+});
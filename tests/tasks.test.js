@@ -0,0 +1,70 @@
+/**
+ * 学习内容测试：一段计时中切换学习内容时的时间分配
+ * 运行：node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers.js');
+
+function createHistory() {
+    const env = loadScripts(['history.js', 'tasks.js']);
+    const history = new (env.get('StudyHistory'))();
+    return { env, history };
+}
+
+test('切换前的时间算给原来的内容，跨段累加', () => {
+    const { history } = createHistory();
+    history.startSession('数学');
+
+    // 第一段学到 10 分钟时换成语文，25 分钟时这一段结束
+    history.setTask('语文', 600);
+    history.addFocusedTime(1500);
+    assert.deepStrictEqual(plain(history.current.taskSeconds), { 数学: 600, 语文: 900 });
+
+    // 第二段 5 分钟后不再选择学习内容
+    history.setTask(null, 300);
+    history.addFocusedTime(600);
+
+    const session = history.endSession();
+    assert.strictEqual(session.focusedSeconds, 2100);
+    assert.deepStrictEqual(plain(session.taskSeconds), { 数学: 600, 语文: 1200 });
+});
+
+test('一段中来回切换不会重复计算', () => {
+    const { history } = createHistory();
+    history.startSession('数学');
+
+    history.setTask('语文', 100);
+    history.setTask('数学', 250);
+    history.setTask('语文', 400);
+    history.endSession(1000);
+
+    assert.deepStrictEqual(plain(history.sessions[0].taskSeconds), { 数学: 250, 语文: 750 });
+});
+
+test('按学习内容汇总时，没有选择内容的时间单独列出', () => {
+    const { history } = createHistory();
+    history.startSession('语文');
+    history.setTask(null, 1200);
+    history.endSession(1500);
+
+    history.startSession('数学');
+    history.endSession(600);
+
+    assert.deepStrictEqual(plain(history.getTaskTotals(7)), [
+        { task: '语文', seconds: 1200 },
+        { task: '数学', seconds: 600 },
+        { task: null, seconds: 300 }
+    ]);
+});
+
+test('选作业时学习内容为"科目·作业"', () => {
+    const { env } = createHistory();
+    const TaskList = env.get('TaskList');
+    const tasks = new TaskList();
+
+    const item = tasks.addItem('数学', '口算第12页');
+    assert.strictEqual(TaskList.labelOf(item), '数学·口算第12页');
+    assert.deepStrictEqual(plain(tasks.getToday().map(i => i.id)), [item.id]);
+});